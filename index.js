@@ -9,38 +9,124 @@
 
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { parseCliOptions, USAGE } from "./src/config/cliOptions.js";
 import { loadProjects } from "./src/config/projectLoader.js";
+import { watchConfig } from "./src/config/configWatcher.js";
+import { withProjectGroups } from "./src/config/projectGroups.js";
+import { startHttpServer, isLoopbackHost } from "./src/server/httpServer.js";
 import { registerFileTools } from "./src/tools/fileTools.js";
 import { registerGitTools } from "./src/tools/gitTools.js";
+import { registerCompareTools } from "./src/tools/compareTools.js";
+import { registerCodeTools } from "./src/tools/codeTools.js";
+import { registerWorkspaceTools } from "./src/tools/workspaceTools.js";
+import { registerFileResources } from "./src/resources/fileResources.js";
 
 // --------------------------------------------
-// 1️⃣ Initialize Projects from Config
+// 1️⃣ Parse the command line
 // --------------------------------------------
-const currentProjectPath = process.cwd();
-const { projects, currentProjectName } = await loadProjects(currentProjectPath);
+let options;
+try {
+  options = await parseCliOptions(process.argv.slice(2));
+} catch (error) {
+  console.error(`❌ ${error.message}\nRun with --help for usage.`);
+  process.exit(1);
+}
+
+if (options.help) {
+  console.error(USAGE);
+  process.exit(0);
+}
 
 // --------------------------------------------
-// 2️⃣ Create the MCP Server
+// 2️⃣ Initialize Projects from Config
 // --------------------------------------------
-const mcpServer = new McpServer({
-  name: "workspace-bridge-mcp",
-  version: "0.1.0",
-});
+const { root: currentProjectPath, configPath, readOnly } = options;
+const { projects, settings, groups, currentProjectName } = await loadProjects(currentProjectPath, configPath);
+
+// Every connected client session has its own server; the registries are shared
+const activeServers = new Set();
+
+// --------------------------------------------
+// 3️⃣ Create the MCP Server
+// --------------------------------------------
+/**
+ * Create an MCP server with every tool and resource registered
+ * @returns {McpServer}
+ */
+function createMcpServer() {
+  const mcpServer = new McpServer({
+    name: "workspace-bridge-mcp",
+    version: "0.1.0",
+  });
+
+  // Register all tools (any `project` argument also accepts a group name)
+  const toolServer = withProjectGroups(mcpServer, projects, groups);
+  registerFileTools(toolServer, projects, settings, currentProjectPath, { configPath, readOnly });
+  registerGitTools(toolServer, projects, settings);
+  registerCompareTools(toolServer, projects, settings);
+  registerCodeTools(toolServer, projects, settings);
+  registerWorkspaceTools(toolServer, projects, settings);
+
+  // Register project files as resources
+  const closeSubscriptions = registerFileResources(mcpServer, projects, settings);
+
+  activeServers.add(mcpServer);
+  mcpServer.server.onclose = () => {
+    activeServers.delete(mcpServer);
+    closeSubscriptions();
+  };
+  return mcpServer;
+}
 
-// Register all tools
-registerFileTools(mcpServer, projects);
-registerGitTools(mcpServer, projects);
+// --------------------------------------------
+// 4️⃣ Hot-reload linked projects
+// --------------------------------------------
+watchConfig(currentProjectPath, projects, settings, groups, {
+  configPath,
+  onReload: () => {
+    // Only resource listings depend on the registry; tool definitions stay the same
+    activeServers.forEach((mcpServer) => mcpServer.sendResourceListChanged());
+  },
+});
 
 // --------------------------------------------
-// 3️⃣ Start the server
+// 5️⃣ Start the server
 // --------------------------------------------
 async function main() {
-  const transport = new StdioServerTransport();
-  await mcpServer.connect(transport);
+  let endpoint = "stdio";
+  if (options.transport === "http") {
+    const httpServer = await startHttpServer({
+      createServer: createMcpServer,
+      host: options.host,
+      port: options.port,
+      token: options.token,
+    });
+    endpoint = httpServer.url;
+
+    const shutdown = async () => {
+      await httpServer.close();
+      process.exit(0);
+    };
+    process.once("SIGINT", shutdown);
+    process.once("SIGTERM", shutdown);
+  } else {
+    await createMcpServer().connect(new StdioServerTransport());
+  }
   
   // Log startup info (to stderr to not interfere with stdio protocol)
   console.error(`🚀 workspace-bridge-mcp v0.1.0 started!`);
   console.error(`📂 Current project: ${currentProjectName} (${currentProjectPath})`);
+  console.error(`⚙️  Config: ${configPath}`);
+  console.error(`📡 Transport: ${options.transport}${options.transport === "http" ? ` → ${endpoint}` : ""}`);
+  if (options.transport === "http") {
+    console.error(`🔑 Auth: ${options.token ? "bearer token required" : "none"}`);
+    if (!options.token && !isLoopbackHost(options.host)) {
+      console.error(`⚠️  Warning: Listening on ${options.host} without a token; anyone who can reach this port can read your projects`);
+    }
+  }
+  if (readOnly) {
+    console.error(`🔒 Read-only: write tools and config persistence are disabled`);
+  }
   
   const linkedProjects = Object.entries(projects).filter(([name]) => name !== currentProjectName);
   if (linkedProjects.length > 0) {
@@ -51,6 +137,11 @@ async function main() {
   } else {
     console.error(`📝 No linked projects. Create .workspace-bridge.json to link other projects.`);
   }
+
+  const groupNames = Object.keys(groups);
+  if (groupNames.length > 0) {
+    console.error(`🧩 Groups: ${groupNames.join(", ")}`);
+  }
 }
 
 main().catch((error) => {
@@ -0,0 +1,136 @@
+// ============================================
+// Command-Line Options
+// ============================================
+// Parses and validates the server's CLI flags
+// into a resolved startup configuration
+// ============================================
+
+import fs from "fs/promises";
+import path from "path";
+import { parseArgs } from "util";
+import { getConfigPath } from "./configFile.js";
+
+export const DEFAULT_HTTP_HOST = "127.0.0.1";
+export const DEFAULT_HTTP_PORT = 3333;
+
+// Environment variable holding the bearer token (keeps it out of `ps` output)
+export const TOKEN_ENV_VAR = "WORKSPACE_BRIDGE_TOKEN";
+
+const TRANSPORTS = ["stdio", "http"];
+
+// Flags that only make sense for the HTTP transport
+const HTTP_ONLY_FLAGS = ["port", "host", "token"];
+
+export const USAGE = `Usage: workspace-bridge-mcp [options]
+
+Options:
+  --root <dir>          Current project directory (default: working directory)
+  --config <file>       Project config file (default: <root>/.workspace-bridge.json)
+  --transport <name>    "stdio" (default) or "http" (streamable HTTP)
+  --port <number>       HTTP port (default: ${DEFAULT_HTTP_PORT})
+  --host <address>      HTTP bind address (default: ${DEFAULT_HTTP_HOST})
+  --token <token>       Require "Authorization: Bearer <token>" on HTTP requests
+                        (or set ${TOKEN_ENV_VAR})
+  --read-only           Disable write tools and config persistence
+  -h, --help            Show this help`;
+
+/**
+ * Check that a path is an existing directory
+ * @param {string} target - Absolute path
+ * @param {string} flag - Flag the path came from (for error messages)
+ * @throws {Error} If the path is missing or not a directory
+ */
+async function assertDirectory(target, flag) {
+  let stats;
+  try {
+    stats = await fs.stat(target);
+  } catch {
+    throw new Error(`${flag}: ${target} does not exist`);
+  }
+  if (!stats.isDirectory()) {
+    throw new Error(`${flag}: ${target} is not a directory`);
+  }
+}
+
+/**
+ * Parse a TCP port number
+ * @param {string} value - Raw flag value
+ * @returns {number}
+ * @throws {Error} If the value is not a port number
+ */
+function parsePort(value) {
+  const port = Number(value);
+  if (!/^\d+$/.test(value) || port < 1 || port > 65535) {
+    throw new Error(`--port: '${value}' is not a valid port (1-65535)`);
+  }
+  return port;
+}
+
+/**
+ * Parse and validate the command line into a resolved startup configuration
+ *
+ * Relative paths are resolved against the working directory. An explicitly given
+ * --config file must exist; the default one is optional.
+ *
+ * @param {string[]} argv - Arguments after the script name
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Working directory (default: process.cwd())
+ * @param {Object} [options.env] - Environment (default: process.env)
+ * @returns {Promise<{help: boolean, root: string, configPath: string, transport: string, host?: string, port?: number, token?: string, readOnly: boolean}>}
+ * @throws {Error} If a flag is unknown or a value is invalid
+ */
+export async function parseCliOptions(argv, { cwd = process.cwd(), env = process.env } = {}) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      root: { type: "string" },
+      config: { type: "string" },
+      transport: { type: "string", default: "stdio" },
+      port: { type: "string" },
+      host: { type: "string" },
+      token: { type: "string" },
+      "read-only": { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+    strict: true,
+    allowPositionals: false,
+  });
+
+  if (values.help) {
+    return { help: true };
+  }
+
+  if (!TRANSPORTS.includes(values.transport)) {
+    throw new Error(`--transport: expected one of ${TRANSPORTS.join(", ")}, got '${values.transport}'`);
+  }
+
+  const root = path.resolve(cwd, values.root ?? ".");
+  await assertDirectory(root, "--root");
+
+  const configPath = values.config ? path.resolve(cwd, values.config) : getConfigPath(root);
+  if (values.config) {
+    const stats = await fs.stat(configPath).catch(() => null);
+    if (!stats?.isFile()) {
+      throw new Error(`--config: ${configPath} ${stats ? "is not a file" : "does not exist"}`);
+    }
+  }
+
+  const resolved = { help: false, root, configPath, transport: values.transport, readOnly: values["read-only"] };
+
+  if (values.transport !== "http") {
+    const misplaced = HTTP_ONLY_FLAGS.filter((flag) => values[flag] !== undefined);
+    if (misplaced.length > 0) {
+      const flags = misplaced.map((flag) => `--${flag}`).join(", ");
+      throw new Error(`${flags} ${misplaced.length === 1 ? "only applies" : "only apply"} to --transport http`);
+    }
+    return resolved;
+  }
+
+  const token = values.token ?? env[TOKEN_ENV_VAR];
+  return {
+    ...resolved,
+    host: values.host ?? DEFAULT_HTTP_HOST,
+    port: values.port !== undefined ? parsePort(values.port) : DEFAULT_HTTP_PORT,
+    ...(token && { token }),
+  };
+}
@@ -0,0 +1,329 @@
+// ============================================
+// Config File Access
+// ============================================
+// Reads, validates and atomically rewrites
+// .workspace-bridge.json files
+// ============================================
+
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { writeFileAtomic } from "../utils/fileContent.js";
+
+export const CONFIG_FILE_NAME = ".workspace-bridge.json";
+
+// Characters that turn a project path into a directory glob
+const GLOB_CHARS = /[*?[\]{}]/;
+
+// Kinds of projects a `discover` setting can turn on
+export const DISCOVERY_SOURCES = ["submodules", "worktrees", "workspaces"];
+
+// Linked projects at most this many levels above the current project are stored relative
+const MAX_RELATIVE_DEPTH = 2;
+
+/**
+ * Get the config file path for a project directory
+ * @param {string} projectPath - Project directory path
+ * @returns {string}
+ */
+export function getConfigPath(projectPath) {
+  return path.join(projectPath, CONFIG_FILE_NAME);
+}
+
+/**
+ * Get the user-level config file path
+ *
+ * Uses $XDG_CONFIG_HOME (or %APPDATA% on Windows) and falls back to ~/.config.
+ *
+ * @returns {string}
+ */
+export function getGlobalConfigPath() {
+  const configHome = process.env.XDG_CONFIG_HOME
+    || (process.platform === "win32" && process.env.APPDATA)
+    || path.join(os.homedir(), ".config");
+  return path.join(configHome, "workspace-bridge", "config.json");
+}
+
+/**
+ * Check whether a configured project path is a directory glob
+ * @param {string} projectPath - Path from a config entry
+ * @returns {boolean}
+ */
+export function isGlobPath(projectPath) {
+  return GLOB_CHARS.test(projectPath);
+}
+
+/**
+ * Resolve a configured path against the directory of its config file, expanding `~`
+ * @param {string} baseDir - Directory holding the config file
+ * @param {string} projectPath - Path from a config entry
+ * @returns {string} Absolute path (or absolute glob)
+ */
+export function resolveConfigPath(baseDir, projectPath) {
+  if (projectPath === "~" || projectPath.startsWith("~/")) {
+    return path.join(os.homedir(), projectPath.slice(1));
+  }
+  return path.resolve(baseDir, projectPath);
+}
+
+/**
+ * Check that a value is a string or an array of strings
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isPatternList(value) {
+  return typeof value === "string"
+    || (Array.isArray(value) && value.every((item) => typeof item === "string"));
+}
+
+/**
+ * Validate a `discover` setting: a boolean or an object of booleans per discovery source
+ * @param {*} value - Setting value
+ * @param {string} label - Where the setting appears (for error messages)
+ * @returns {string[]} Errors
+ */
+function validateDiscover(value, label) {
+  if (value === undefined || typeof value === "boolean") {
+    return [];
+  }
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return [`${label}: must be a boolean or an object with ${DISCOVERY_SOURCES.join(", ")}`];
+  }
+  return Object.entries(value)
+    .filter(([key, enabled]) => !DISCOVERY_SOURCES.includes(key) || typeof enabled !== "boolean")
+    .map(([key]) => (DISCOVERY_SOURCES.includes(key)
+      ? `${label}.${key}: must be a boolean`
+      : `${label}: unknown source '${key}' (expected ${DISCOVERY_SOURCES.join(", ")})`));
+}
+
+/**
+ * Validate a parsed .workspace-bridge.json config
+ * @param {*} config - Parsed config
+ * @returns {{valid: boolean, errors: string[], entries: Object[], groups: Object}} Errors plus the entries and groups that passed validation
+ */
+export function validateConfig(config) {
+  const errors = [];
+  const entries = [];
+  const groups = {};
+
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    return { valid: false, errors: ["Config must be a JSON object"], entries, groups };
+  }
+
+  if (config.groups !== undefined) {
+    if (!config.groups || typeof config.groups !== "object" || Array.isArray(config.groups)) {
+      errors.push("'groups' must be an object mapping group names to arrays of project names");
+    } else {
+      for (const [group, members] of Object.entries(config.groups)) {
+        if (!Array.isArray(members) || !members.every((member) => typeof member === "string")) {
+          errors.push(`groups.${group}: must be an array of project names`);
+        } else {
+          groups[group] = members;
+        }
+      }
+    }
+  }
+
+  errors.push(...validateDiscover(config.discover, "discover"));
+
+  if (config.projects === undefined) {
+    return { valid: errors.length === 0, errors, entries, groups };
+  }
+
+  if (!Array.isArray(config.projects)) {
+    return { valid: false, errors: [...errors, "'projects' must be an array"], entries, groups };
+  }
+
+  const seenNames = new Set();
+  config.projects.forEach((project, index) => {
+    const label = `projects[${index}]`;
+    const entryErrors = [];
+
+    if (!project || typeof project !== "object" || Array.isArray(project)) {
+      errors.push(`${label}: entry must be an object`);
+      return;
+    }
+
+    const hasPath = typeof project.path === "string" && project.path.trim() !== "";
+    if (!hasPath) {
+      entryErrors.push(`${label}: 'path' must be a non-empty string`);
+    }
+
+    // Glob entries derive one project per matching directory, named after the directory
+    if (hasPath && isGlobPath(project.path)) {
+      if (project.name !== undefined) {
+        entryErrors.push(`${label}: glob entries take their names from the matched directories; remove 'name'`);
+      }
+    } else if (typeof project.name !== "string" || !project.name.trim()) {
+      entryErrors.push(`${label}: 'name' must be a non-empty string`);
+    } else if (seenNames.has(project.name)) {
+      entryErrors.push(`${label}: duplicate project name '${project.name}'`);
+    }
+
+    for (const key of ["include", "exclude"]) {
+      if (project[key] !== undefined && !isPatternList(project[key])) {
+        entryErrors.push(`${label}: '${key}' must be a string or an array of strings`);
+      }
+    }
+
+    for (const key of ["hidden", "writable"]) {
+      if (project[key] !== undefined && typeof project[key] !== "boolean") {
+        entryErrors.push(`${label}: '${key}' must be a boolean`);
+      }
+    }
+
+    entryErrors.push(...validateDiscover(project.discover, `${label}.discover`));
+
+    if (entryErrors.length > 0) {
+      errors.push(...entryErrors);
+      return;
+    }
+
+    if (project.name !== undefined) {
+      seenNames.add(project.name);
+    }
+    entries.push(project);
+  });
+
+  return { valid: errors.length === 0, errors, entries, groups };
+}
+
+/**
+ * Read and parse a config file
+ * @param {string} configPath - Config file path
+ * @returns {Promise<{config: Object, raw: string}|null>} Null when the file does not exist
+ * @throws {Error} If the file cannot be read or is not valid JSON
+ */
+export async function readConfigFile(configPath) {
+  let raw;
+  try {
+    raw = await fs.readFile(configPath, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+
+  try {
+    return { config: JSON.parse(raw), raw };
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${path.basename(configPath)}: ${error.message}`);
+  }
+}
+
+/**
+ * Detect the indentation, line ending and trailing newline of existing JSON text
+ * @param {string} [raw] - Existing file content
+ * @returns {{indent: string|number, eol: string, finalNewline: boolean}}
+ */
+function detectFormat(raw) {
+  if (!raw) {
+    return { indent: 2, eol: "\n", finalNewline: true };
+  }
+
+  const indentMatch = raw.match(/^[ \t]+(?=")/m);
+  return {
+    indent: indentMatch ? indentMatch[0] : 2,
+    eol: raw.includes("\r\n") ? "\r\n" : "\n",
+    finalNewline: /\r?\n$/.test(raw),
+  };
+}
+
+/**
+ * Atomically write a config file
+ *
+ * The file is reformatted with JSON.stringify: the previous version's indentation, line
+ * endings and final newline are kept, but inline arrays and objects are expanded.
+ *
+ * @param {string} configPath - Config file path
+ * @param {Object} config - Config object to write
+ * @param {string} [previousRaw] - Previous file content, used to detect indentation and line endings
+ */
+export async function writeConfigFile(configPath, config, previousRaw) {
+  const { indent, eol, finalNewline } = detectFormat(previousRaw);
+  let text = JSON.stringify(config, null, indent);
+  if (eol !== "\n") {
+    text = text.replace(/\n/g, eol);
+  }
+  if (finalNewline) {
+    text += eol;
+  }
+
+  await writeFileAtomic(configPath, text);
+}
+
+/**
+ * Express a project path the way it should be stored in the config
+ * @param {string} currentProjectPath - Directory holding the config file
+ * @param {string} projectPath - Absolute project path
+ * @returns {string} Relative path when the project is nearby, otherwise absolute
+ */
+export function toConfigPath(currentProjectPath, projectPath) {
+  const relative = path.relative(currentProjectPath, projectPath);
+  if (path.isAbsolute(relative)) {
+    return projectPath;
+  }
+
+  const depth = relative.split(path.sep).filter((segment) => segment === "..").length;
+  if (depth > MAX_RELATIVE_DEPTH) {
+    return projectPath;
+  }
+
+  const normalized = relative.split(path.sep).join("/");
+  return normalized.startsWith("..") ? normalized : `./${normalized}`;
+}
+
+/**
+ * Add or update a project entry in a config file
+ * @param {string} configPath - Config file path
+ * @param {string} name - Project name
+ * @param {string} projectPath - Absolute project path
+ * @returns {Promise<string>} The config file path that was written
+ */
+export async function saveProjectEntry(configPath, name, projectPath) {
+  const existing = await readConfigFile(configPath);
+  const config = existing?.config ?? {};
+
+  if (config.projects !== undefined && !Array.isArray(config.projects)) {
+    throw new Error(`Cannot update ${CONFIG_FILE_NAME}: 'projects' is not an array`);
+  }
+
+  const projects = config.projects ?? [];
+  const storedPath = toConfigPath(path.dirname(configPath), projectPath);
+  const entry = projects.find((project) => project?.name === name);
+
+  // Update in place so settings such as include/exclude on the entry survive
+  if (entry) {
+    entry.path = storedPath;
+  } else {
+    projects.push({ name, path: storedPath });
+  }
+  config.projects = projects;
+
+  await writeConfigFile(configPath, config, existing?.raw);
+  return configPath;
+}
+
+/**
+ * Remove a project entry from a config file
+ * @param {string} configPath - Config file path
+ * @param {string} name - Project name
+ * @returns {Promise<boolean>} Whether an entry was removed
+ */
+export async function deleteProjectEntry(configPath, name) {
+  const existing = await readConfigFile(configPath);
+  if (!existing || !Array.isArray(existing.config.projects)) {
+    return false;
+  }
+
+  const { config } = existing;
+  const remaining = config.projects.filter((project) => project?.name !== name);
+  if (remaining.length === config.projects.length) {
+    return false;
+  }
+
+  config.projects = remaining;
+  await writeConfigFile(configPath, config, existing.raw);
+  return true;
+}
@@ -0,0 +1,94 @@
+// ============================================
+// Config Watcher
+// ============================================
+// Watches .workspace-bridge.json and the user
+// config and re-applies them to the live
+// projects registry on change
+// ============================================
+
+import { watch } from "fs";
+import path from "path";
+import { getConfigPath, getGlobalConfigPath } from "./configFile.js";
+import { reloadProjects } from "./projectLoader.js";
+
+// Editors often write a file in several steps; wait for them to settle
+const RELOAD_DEBOUNCE_MS = 200;
+
+/**
+ * Watch the current project's and the user's config files and hot-reload linked projects
+ * @param {string} currentProjectPath - Current project directory path
+ * @param {Object} projects - Projects registry
+ * @param {Object} settings - Project settings registry
+ * @param {Object} groups - Project groups registry
+ * @param {Object} [options]
+ * @param {string} [options.configPath] - Project config file (default: .workspace-bridge.json in the current project)
+ * @param {Function} [options.onReload] - Called with the applied changes when the registry changed
+ * @returns {Function} Stops watching
+ */
+export function watchConfig(currentProjectPath, projects, settings, groups, { configPath = getConfigPath(currentProjectPath), onReload } = {}) {
+  let timer = null;
+  let pending = Promise.resolve();
+
+  const reload = async () => {
+    try {
+      const changes = await reloadProjects(currentProjectPath, projects, settings, groups, configPath);
+      const changed = changes.added.length + changes.removed.length + changes.updated.length > 0
+        || changes.groupsChanged;
+      if (!changed) {
+        return;
+      }
+
+      console.error(`🔄 Reloaded configuration`);
+      changes.added.forEach((name) => console.error(`  + ${name} → ${projects[name]}`));
+      changes.updated.forEach((name) => console.error(`  ~ ${name} → ${projects[name]}`));
+      changes.removed.forEach((name) => console.error(`  - ${name}`));
+      if (changes.groupsChanged) {
+        console.error(`  ~ groups: ${Object.keys(groups).join(", ") || "(none)"}`);
+      }
+      onReload?.(changes);
+    } catch (error) {
+      console.error(`⚠️  Warning: Keeping previous configuration, new config was rejected: ${error.message}`);
+    }
+  };
+
+  const scheduleReload = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      // Serialize reloads so a slow read never races a newer one
+      pending = pending.then(reload);
+    }, RELOAD_DEBOUNCE_MS);
+  };
+
+  // Watch directories rather than files so atomic rename-based saves are seen
+  const globalConfigPath = getGlobalConfigPath();
+  const targets = [
+    { dir: path.dirname(configPath), file: path.basename(configPath) },
+    { dir: path.dirname(globalConfigPath), file: path.basename(globalConfigPath) },
+  ];
+
+  const watchers = [];
+  for (const { dir, file } of targets) {
+    let watcher;
+    try {
+      watcher = watch(dir, (eventType, filename) => {
+        if (!filename || filename === file) {
+          scheduleReload();
+        }
+      });
+    } catch {
+      // The user config directory is optional
+      continue;
+    }
+
+    watcher.on("error", (error) => {
+      console.error(`⚠️  Warning: Stopped watching ${path.join(dir, file)}: ${error.message}`);
+    });
+    watcher.unref();
+    watchers.push(watcher);
+  }
+
+  return () => {
+    clearTimeout(timer);
+    watchers.forEach((watcher) => watcher.close());
+  };
+}
@@ -0,0 +1,335 @@
+// ============================================
+// Project Discovery
+// ============================================
+// Finds directories to register as projects:
+// directory globs, git submodules, linked git
+// worktrees and monorepo workspace packages
+// ============================================
+
+import fs from "fs/promises";
+import path from "path";
+import { Minimatch } from "minimatch";
+import simpleGit from "simple-git";
+import { isGlobPath } from "./configFile.js";
+
+// How deep a "**" segment in a project glob may descend
+const MAX_GLOB_DEPTH = 4;
+
+// Directories workspace globs never descend into
+const WORKSPACE_SKIP_DIRS = new Set(["node_modules", ".git"]);
+
+// `git submodule status` line: state flag, commit, path and an optional "(describe)"
+const SUBMODULE_STATUS_PATTERN = /^([ +\-U])[0-9a-f]+ (.+?)(?: \(.*\))?$/;
+
+/**
+ * Expand an absolute directory glob (e.g. /work/services/*) into matching directories
+ * @param {string} pattern - Absolute glob pattern
+ * @param {Object} [options]
+ * @param {Set<string>} [options.skipDirs] - Directory names never descended into
+ * @returns {Promise<string[]>} Matching directory paths, sorted
+ */
+export async function expandProjectGlob(pattern, { skipDirs = new Set() } = {}) {
+  const normalized = pattern.split(path.sep).join("/");
+  const segments = normalized.split("/");
+  const firstMagic = segments.findIndex((segment) => isGlobPath(segment));
+  const base = segments.slice(0, firstMagic).join("/") || "/";
+  const rest = segments.slice(firstMagic);
+  const maxDepth = rest.includes("**") ? MAX_GLOB_DEPTH : rest.length;
+  const matcher = new Minimatch(normalized);
+  const matches = [];
+
+  const walk = async (dir, depth) => {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+
+    for (const entry of entries) {
+      if (skipDirs.has(entry.name)) continue;
+
+      const candidate = `${dir === "/" ? "" : dir}/${entry.name}`;
+      const isDirectory = entry.isDirectory()
+        || (entry.isSymbolicLink() && (await fs.stat(candidate).catch(() => null))?.isDirectory());
+      if (!isDirectory) continue;
+
+      if (matcher.match(candidate)) {
+        matches.push(path.resolve(candidate));
+      }
+      if (depth < maxDepth && matcher.match(candidate, true)) {
+        await walk(candidate, depth + 1);
+      }
+    }
+  };
+
+  await walk(base, 1);
+  return matches.sort();
+}
+
+/**
+ * Read a file that may not exist
+ * @param {string} filePath - File path
+ * @returns {Promise<string|null>} Null when the file does not exist
+ */
+async function readOptionalFile(filePath) {
+  try {
+    return await fs.readFile(filePath, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+/**
+ * Check whether a path is an existing directory
+ * @param {string} dir - Directory path
+ * @returns {Promise<boolean>}
+ */
+async function isDirectory(dir) {
+  return (await fs.stat(dir).catch(() => null))?.isDirectory() ?? false;
+}
+
+/**
+ * Find the initialized git submodules inside a directory
+ * @param {string} root - Directory inside a git work tree
+ * @returns {Promise<Array<{name: string, path: string, source: string}>>} Named after the submodule directory
+ */
+async function discoverSubmodules(root) {
+  const output = await simpleGit(root).raw(["submodule", "status", "--recursive"]);
+
+  const found = [];
+  for (const line of output.split("\n")) {
+    const match = SUBMODULE_STATUS_PATTERN.exec(line);
+    // "-" marks submodules that are not checked out
+    if (!match || match[1] === "-") continue;
+
+    // Paths are relative to the working directory; keep the ones below it
+    const submodulePath = path.resolve(root, match[2]);
+    if (!submodulePath.startsWith(root + path.sep)) continue;
+    found.push({ name: path.basename(submodulePath), path: submodulePath, source: "submodule" });
+  }
+  return found;
+}
+
+/**
+ * Find the other worktrees of the repository a directory belongs to
+ *
+ * When the directory is a subdirectory of its repository, the same subdirectory of
+ * every other worktree is returned.
+ *
+ * @param {string} root - Directory inside a git work tree
+ * @returns {Promise<Array<{name: string, path: string, source: string, branch?: string}>>} Named after the worktree directory
+ */
+async function discoverWorktrees(root) {
+  const git = simpleGit(root);
+  const [output, toplevel, prefix] = await Promise.all([
+    git.raw(["worktree", "list", "--porcelain"]),
+    git.revparse(["--show-toplevel"]),
+    git.revparse(["--show-prefix"]),
+  ]);
+
+  const found = [];
+  // Porcelain output: one blank-line separated block of "<key> <value>" lines per worktree
+  for (const block of output.split("\n\n")) {
+    const fields = new Map(block.split("\n").filter(Boolean).map((line) => {
+      const space = line.indexOf(" ");
+      return space === -1 ? [line, ""] : [line.slice(0, space), line.slice(space + 1)];
+    }));
+    const worktree = fields.get("worktree");
+    if (!worktree || fields.has("bare") || fields.has("prunable")) continue;
+    if (path.resolve(worktree) === path.resolve(toplevel.trim())) continue;
+
+    const projectPath = path.resolve(worktree, prefix.trim());
+    if (!(await isDirectory(projectPath))) continue;
+
+    const branch = fields.get("branch")?.replace(/^refs\/heads\//, "");
+    found.push({
+      name: path.basename(worktree),
+      path: projectPath,
+      source: "worktree",
+      ...(branch && { branch }),
+    });
+  }
+  return found;
+}
+
+/**
+ * Parse the `packages` list of a pnpm-workspace.yaml file
+ * @param {string} text - File content
+ * @returns {string[]} Package globs
+ */
+function parsePnpmWorkspace(text) {
+  const inline = /^packages:\s*\[(.*)\]/m.exec(text);
+  if (inline) {
+    return inline[1].split(",").map((item) => item.trim().replace(/^['"]|['"]$/g, "")).filter(Boolean);
+  }
+
+  const patterns = [];
+  let inPackages = false;
+  for (const line of text.split("\n")) {
+    if (/^packages:\s*(#.*)?$/.test(line)) {
+      inPackages = true;
+    } else if (inPackages) {
+      const item = /^\s+-\s*(['"]?)(.+?)\1\s*(?:#.*)?$/.exec(line);
+      if (item) {
+        patterns.push(item[2]);
+      } else if (line.trim() && !line.trim().startsWith("#")) {
+        inPackages = false;
+      }
+    }
+  }
+  return patterns;
+}
+
+/**
+ * Parse the `use` directives of a go.work file
+ * @param {string} text - File content
+ * @returns {string[]} Module directories
+ */
+function parseGoWork(text) {
+  const dirs = [];
+  const withoutComments = text.replace(/\/\/.*$/gm, "");
+  for (const block of withoutComments.matchAll(/^use\s*\(([\s\S]*?)\)/gm)) {
+    dirs.push(...block[1].split("\n").map((line) => line.trim()).filter(Boolean));
+  }
+  for (const single of withoutComments.matchAll(/^use\s+([^\s(]+)\s*$/gm)) {
+    dirs.push(single[1]);
+  }
+  return dirs.map((dir) => dir.replace(/^"|"$/g, ""));
+}
+
+/**
+ * Get the project name for an npm package: its name without the scope
+ * @param {string} dir - Package directory
+ * @returns {Promise<string|null>} Null when the directory holds no package.json
+ */
+async function npmPackageName(dir) {
+  const text = await readOptionalFile(path.join(dir, "package.json"));
+  if (text === null) return null;
+
+  let name;
+  try {
+    ({ name } = JSON.parse(text));
+  } catch {
+    name = null;
+  }
+  return typeof name === "string" && name ? name.replace(/^@[^/]+\//, "") : path.basename(dir);
+}
+
+/**
+ * Get the project name for a Go module: the last element of its module path
+ * @param {string} dir - Module directory
+ * @returns {Promise<string|null>} Null when the directory holds no go.mod
+ */
+async function goModuleName(dir) {
+  const text = await readOptionalFile(path.join(dir, "go.mod"));
+  if (text === null) return null;
+
+  const modulePath = /^module\s+"?([^\s"]+)"?/m.exec(text)?.[1];
+  // Major version suffixes (example.com/lib/v2) are not part of the name
+  return modulePath ? modulePath.split("/").filter((part) => !/^v\d+$/.test(part)).pop() : path.basename(dir);
+}
+
+/**
+ * Resolve workspace package patterns (globs, `!` exclusions) to package directories
+ * @param {string} root - Workspace root
+ * @param {string[]} patterns - Patterns relative to the root
+ * @returns {Promise<string[]>} Matching directories, in pattern order
+ */
+async function expandWorkspacePatterns(root, patterns) {
+  const included = [];
+  const excluded = [];
+  for (const pattern of patterns) {
+    const negated = pattern.startsWith("!");
+    const absolute = path.resolve(root, negated ? pattern.slice(1) : pattern);
+    const dirs = isGlobPath(absolute)
+      ? await expandProjectGlob(absolute, { skipDirs: WORKSPACE_SKIP_DIRS })
+      : (await isDirectory(absolute)) ? [absolute] : [];
+    (negated ? excluded : included).push(...dirs);
+  }
+  return [...new Set(included)].filter((dir) => !excluded.includes(dir));
+}
+
+/**
+ * Find the packages declared by monorepo manifests in a directory
+ *
+ * Supports npm and yarn (`workspaces` in package.json), pnpm (pnpm-workspace.yaml),
+ * lerna (lerna.json) and Go workspaces (go.work).
+ *
+ * @param {string} root - Workspace root
+ * @returns {Promise<Array<{name: string, path: string, source: string, manifest: string}>>} Named after the package
+ */
+async function discoverWorkspacePackages(root) {
+  const [packageJson, pnpmWorkspace, lernaJson, goWork] = await Promise.all(
+    ["package.json", "pnpm-workspace.yaml", "lerna.json", "go.work"].map((file) => readOptionalFile(path.join(root, file)))
+  );
+
+  const declarations = [];
+  const parseJson = (text) => {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return {};
+    }
+  };
+  if (packageJson !== null) {
+    const { workspaces } = parseJson(packageJson);
+    const patterns = Array.isArray(workspaces) ? workspaces : workspaces?.packages;
+    if (Array.isArray(patterns)) declarations.push({ manifest: "package.json", patterns, name: npmPackageName });
+  }
+  if (pnpmWorkspace !== null) {
+    declarations.push({ manifest: "pnpm-workspace.yaml", patterns: parsePnpmWorkspace(pnpmWorkspace), name: npmPackageName });
+  }
+  if (lernaJson !== null) {
+    const { packages } = parseJson(lernaJson);
+    if (Array.isArray(packages)) declarations.push({ manifest: "lerna.json", patterns: packages, name: npmPackageName });
+  }
+  if (goWork !== null) {
+    declarations.push({ manifest: "go.work", patterns: parseGoWork(goWork), name: goModuleName });
+  }
+
+  const found = [];
+  const seen = new Set();
+  for (const declaration of declarations) {
+    const patterns = declaration.patterns.filter((pattern) => typeof pattern === "string");
+    for (const dir of await expandWorkspacePatterns(root, patterns)) {
+      if (dir === root || seen.has(dir)) continue;
+      const name = await declaration.name(dir);
+      if (!name) continue;
+      seen.add(dir);
+      found.push({ name, path: dir, source: "workspace", manifest: declaration.manifest });
+    }
+  }
+  return found;
+}
+
+/**
+ * Discover projects inside a directory
+ *
+ * Sources that do not apply (e.g. submodules outside a git repository) find nothing.
+ *
+ * @param {string} root - Directory to search
+ * @param {{submodules: boolean, worktrees: boolean, workspaces: boolean}} sources - Which kinds of projects to look for
+ * @returns {Promise<{projects: Array<{name: string, path: string, source: string}>, warnings: string[]}>}
+ */
+export async function discoverProjects(root, sources) {
+  const projects = [];
+  const warnings = [];
+  const isRepo = (sources.submodules || sources.worktrees) && (await simpleGit(root).checkIsRepo().catch(() => false));
+
+  const run = async (enabled, label, discover) => {
+    if (!enabled) return;
+    try {
+      projects.push(...(await discover(root)));
+    } catch (error) {
+      warnings.push(`${root}: could not discover ${label}: ${error.message}`);
+    }
+  };
+
+  await run(sources.submodules && isRepo, "submodules", discoverSubmodules);
+  await run(sources.worktrees && isRepo, "worktrees", discoverWorktrees);
+  await run(sources.workspaces, "workspace packages", discoverWorkspacePackages);
+
+  return { projects, warnings };
+}
@@ -0,0 +1,195 @@
+// ============================================
+// Project Groups
+// ============================================
+// Resolves named project groups (e.g. backend,
+// frontend) and lets every tool accept a group
+// wherever it takes a project
+// ============================================
+
+import { z } from "zod";
+import { zodToJsonSchema } from "zod-to-json-schema";
+import { minimatch } from "minimatch";
+import { ListToolsRequestSchema } from "@modelcontextprotocol/sdk/types.js";
+import { AccessError } from "../utils/toolResults.js";
+
+// Structured result of a tool called on a group
+const groupOutputSchema = z.object({
+  group: z.string().describe("Group the tool ran on"),
+  members: z.array(z.object({
+    project: z.string(),
+    result: z.record(z.unknown()).optional().describe("The tool's output for this project"),
+    error: z.object({ code: z.string(), message: z.string() }).passthrough().optional(),
+  })).describe("Outcome per group member"),
+});
+
+/**
+ * Expand project and group names into a de-duplicated list of project names
+ *
+ * Group members may be project names, name globs (e.g. "svc-*") or other groups.
+ * Unknown names are passed through so the tool reports them as unknown projects.
+ *
+ * @param {Object} projects - Projects registry
+ * @param {Object} groups - Project groups registry
+ * @param {string[]} names - Project or group names
+ * @returns {string[]}
+ */
+export function expandProjectNames(projects, groups, names) {
+  const result = new Set();
+  const visiting = new Set();
+
+  const expand = (name) => {
+    if (projects[name] || !groups[name]) {
+      const matches = /[*?[\]{}]/.test(name)
+        ? Object.keys(projects).filter((project) => minimatch(project, name))
+        : [name];
+      matches.forEach((match) => result.add(match));
+      return;
+    }
+
+    // Guard against groups that (indirectly) contain themselves
+    if (visiting.has(name)) return;
+    visiting.add(name);
+    groups[name].forEach(expand);
+    visiting.delete(name);
+  };
+
+  names.forEach(expand);
+  return [...result];
+}
+
+/**
+ * Read the coded error out of a tool error result
+ * @param {Object} result - Tool result with isError set
+ * @returns {{code: string, message: string}} The error, or INTERNAL_ERROR when the text is not a coded error
+ */
+function parseToolError(result) {
+  const text = result.content[0]?.text ?? "";
+  try {
+    const { error } = JSON.parse(text);
+    if (typeof error?.code === "string") return error;
+  } catch {
+    // Not JSON: a plain error message
+  }
+  return { code: "INTERNAL_ERROR", message: text };
+}
+
+/**
+ * Build the output schema of a tool that accepts groups
+ *
+ * A group call returns `group` and one `members` entry per project instead of the
+ * tool's own fields, so a result has one shape or the other.
+ *
+ * @param {Object} outputSchema - Tool output schema (zod raw shape)
+ * @returns {ZodUnion}
+ */
+function withGroupOutput(outputSchema) {
+  return z.union([z.object(outputSchema), groupOutputSchema]);
+}
+
+/**
+ * Convert a tool's input or output schema to the JSON Schema advertised by tools/list
+ *
+ * MCP requires an object schema at the top level, so a union is advertised as
+ * "an object matching one of these".
+ *
+ * @param {ZodType} schema - Zod schema
+ * @returns {Object} JSON Schema
+ */
+function toToolJsonSchema(schema) {
+  const jsonSchema = zodToJsonSchema(schema, { strictUnions: true });
+  return jsonSchema.anyOf ? { type: "object", ...jsonSchema } : jsonSchema;
+}
+
+/**
+ * Wrap an MCP server so registered tools accept group names
+ *
+ * A group passed as `project` runs the tool once per member and concatenates the
+ * results under a header per project; tools with an output schema also return
+ * `{ group, members }` as structured content, and advertise it as the alternative
+ * to their own result. Groups inside a `projects` array are expanded in place.
+ * Project names always take precedence over group names.
+ *
+ * @param {McpServer} mcpServer - The MCP server instance
+ * @param {Object} projects - Projects registry
+ * @param {Object} groups - Project groups registry
+ * @returns {{registerTool: Function}} Object to register tools on
+ */
+export function withProjectGroups(mcpServer, projects, groups) {
+  const wrap = (handler, structured) => async (args, extra) => {
+    if (Array.isArray(args?.projects)) {
+      args = { ...args, projects: expandProjectNames(projects, groups, args.projects) };
+    }
+
+    const group = args?.project;
+    if (typeof group !== "string" || projects[group] || !groups[group]) {
+      return handler(args, extra);
+    }
+
+    const members = expandProjectNames(projects, groups, [group]);
+    if (members.length === 0) {
+      return new AccessError("PROJECT_NOT_FOUND", `Group '${group}' has no registered projects`, { project: group }).toToolResult();
+    }
+
+    const content = [];
+    const outcomes = [];
+    let failures = 0;
+
+    for (const member of members) {
+      content.push({ type: "text", text: `==> ${member} <==` });
+      try {
+        const result = await handler({ ...args, project: member }, extra);
+        if (result.isError) failures++;
+        content.push(...result.content);
+        outcomes.push(result.isError
+          ? { project: member, error: parseToolError(result) }
+          : { project: member, result: result.structuredContent });
+      } catch (error) {
+        failures++;
+        content.push({ type: "text", text: error.message });
+        outcomes.push({ project: member, error: { code: "INTERNAL_ERROR", message: error.message } });
+      }
+    }
+
+    return {
+      content,
+      ...(structured && { structuredContent: { group, members: outcomes } }),
+      ...(failures === members.length && { isError: true }),
+    };
+  };
+
+  // Tools registered through the wrapper, listed by our own tools/list handler: the
+  // SDK only advertises object output schemas, not the union of both result shapes
+  const tools = new Map();
+  const listTools = () => ({
+    tools: [...tools]
+      .filter(([, tool]) => tool.enabled)
+      .map(([name, tool]) => ({
+        name,
+        title: tool.title,
+        description: tool.description,
+        inputSchema: tool.inputSchema ? toToolJsonSchema(tool.inputSchema) : { type: "object", properties: {} },
+        annotations: tool.annotations,
+        _meta: tool._meta,
+        ...(tool.outputSchema && { outputSchema: toToolJsonSchema(tool.outputSchema) }),
+      })),
+  });
+
+  return {
+    registerTool: (name, config, handler) => {
+      // Only tools taking a `project` can be called on a group
+      const structured = Boolean(config.outputSchema && config.inputSchema?.project);
+      const tool = mcpServer.registerTool(name, config, wrap(handler, structured));
+      if (structured) {
+        // Results are validated against this instead of the tool's own schema
+        tool.outputSchema = withGroupOutput(config.outputSchema);
+      }
+
+      // The SDK installs its tools/list handler on the first registration; replace it once
+      if (tools.size === 0) {
+        mcpServer.server.setRequestHandler(ListToolsRequestSchema, listTools);
+      }
+      tools.set(name, tool);
+      return tool;
+    },
+  };
+}
@@ -7,42 +7,251 @@
 
 import fs from "fs/promises";
 import path from "path";
+import {
+  DISCOVERY_SOURCES,
+  getConfigPath,
+  getGlobalConfigPath,
+  isGlobPath,
+  readConfigFile,
+  resolveConfigPath,
+  validateConfig,
+} from "./configFile.js";
+import { discoverProjects, expandProjectGlob } from "./projectDiscovery.js";
+import { AccessError } from "../utils/toolResults.js";
+
+// Names removed at runtime through removeProject, per projects registry, so a config
+// reload does not bring them back
+const runtimeRemovals = new WeakMap();
+
+/**
+ * Get the names removed at runtime from a projects registry
+ * @param {Object} projects - Projects registry
+ * @returns {Set<string>}
+ */
+function getRuntimeRemovals(projects) {
+  if (!runtimeRemovals.has(projects)) {
+    runtimeRemovals.set(projects, new Set());
+  }
+  return runtimeRemovals.get(projects);
+}
+
+/**
+ * Extract per-project access settings from a config entry
+ * @param {Object} project - Project entry from .workspace-bridge.json
+ * @returns {{include: string[], exclude: string[], hidden: boolean, writable: boolean}}
+ */
+function parseProjectSettings(project) {
+  const toPatterns = (value) => {
+    if (typeof value === "string") return [value];
+    return Array.isArray(value) ? value.filter((p) => typeof p === "string") : [];
+  };
+
+  return {
+    include: toPatterns(project.include),
+    exclude: toPatterns(project.exclude),
+    hidden: project.hidden === true,
+    writable: project.writable === true,
+  };
+}
+
+/**
+ * Turn a `discover` setting into the discovery sources it enables
+ * @param {boolean|Object} [value] - `true` (all sources), `false`, or booleans per source
+ * @returns {{submodules: boolean, worktrees: boolean, workspaces: boolean}|null} Null when nothing is enabled
+ */
+function parseDiscoverOption(value) {
+  const sources = Object.fromEntries(DISCOVERY_SOURCES.map((source) => [
+    source,
+    value === true || (typeof value === "object" && value?.[source] === true),
+  ]));
+  return Object.values(sources).some(Boolean) ? sources : null;
+}
+
+/**
+ * Read the user-level and project config layers and merge their projects and groups
+ *
+ * The project config is applied over the user config, and within one file explicit
+ * entries win over glob entries, so later layers can override or refine earlier ones.
+ * Discovered projects (a top-level `discover` setting for the current project, or
+ * `discover` on an entry) come last and never replace a configured name or path.
+ *
+ * @param {string} currentProjectPath - Current project directory path
+ * @param {string} configPath - Project config file path
+ * @returns {Promise<{configured: Map<string, {path: string, settings: Object, source?: string}>, groups: Object, errors: string[], warnings: string[]}>}
+ */
+async function collectConfiguredProjects(currentProjectPath, configPath) {
+  const layers = [getGlobalConfigPath(), configPath];
+  const configured = new Map();
+  const groups = {};
+  const errors = [];
+  const warnings = [];
+  const discoveryRoots = new Map();
+  let discover;
+
+  for (const layerPath of layers) {
+    let loaded;
+    try {
+      loaded = await readConfigFile(layerPath);
+    } catch (error) {
+      errors.push(`${layerPath}: ${error.message}`);
+      continue;
+    }
+    if (!loaded) continue;
+
+    const baseDir = path.dirname(layerPath);
+    const result = validateConfig(loaded.config);
+    errors.push(...result.errors.map((message) => `${layerPath}: ${message}`));
+
+    const register = (name, projectPath, entry) => {
+      // Discovered projects inherit the access settings of the entry they were found in
+      const sources = parseDiscoverOption(entry.discover);
+      if (sources) discoveryRoots.set(projectPath, { sources, entry });
+
+      // The current project is always registered on its own
+      if (projectPath === currentProjectPath) return;
+      configured.set(name, { path: projectPath, settings: parseProjectSettings(entry) });
+    };
+
+    for (const entry of result.entries.filter((e) => isGlobPath(e.path))) {
+      const seen = new Set();
+      for (const dir of await expandProjectGlob(resolveConfigPath(baseDir, entry.path))) {
+        const name = path.basename(dir);
+        if (seen.has(name)) {
+          warnings.push(`${layerPath}: '${entry.path}' matches several directories named '${name}'; keeping the first`);
+          continue;
+        }
+        seen.add(name);
+        register(name, dir, entry);
+      }
+    }
+
+    for (const entry of result.entries.filter((e) => !isGlobPath(e.path))) {
+      register(entry.name, resolveConfigPath(baseDir, entry.path), entry);
+    }
+
+    Object.assign(groups, result.groups);
+    if (loaded.config?.discover !== undefined) {
+      discover = loaded.config.discover;
+    }
+  }
+
+  const topLevelSources = parseDiscoverOption(discover);
+  if (topLevelSources && !discoveryRoots.has(currentProjectPath)) {
+    discoveryRoots.set(currentProjectPath, { sources: topLevelSources, entry: {} });
+  }
+
+  const configuredPaths = new Set([currentProjectPath, ...[...configured.values()].map((project) => project.path)]);
+  for (const [root, { sources, entry }] of discoveryRoots) {
+    const discovered = await discoverProjects(root, sources);
+    warnings.push(...discovered.warnings);
+
+    for (const project of discovered.projects) {
+      if (configuredPaths.has(project.path)) continue;
+      if (configured.has(project.name) || project.name === path.basename(currentProjectPath)) {
+        warnings.push(`${root}: discovered ${project.source} '${project.name}' at ${project.path} clashes with an existing project name; skipping it`);
+        continue;
+      }
+      configured.set(project.name, { path: project.path, settings: parseProjectSettings(entry), source: project.source });
+      configuredPaths.add(project.path);
+    }
+  }
+
+  return { configured, groups, errors, warnings };
+}
 
 /**
- * Load projects from .workspace-bridge.json config
+ * Load projects from the user config and .workspace-bridge.json
  * @param {string} currentProjectPath - Current project directory path
- * @returns {Promise<{projects: Object, currentProjectName: string}>}
+ * @param {string} [configPath] - Project config file (default: .workspace-bridge.json in the current project)
+ * @returns {Promise<{projects: Object, settings: Object, groups: Object, currentProjectName: string}>}
  */
-export async function loadProjects(currentProjectPath) {
+export async function loadProjects(currentProjectPath, configPath = getConfigPath(currentProjectPath)) {
   const projects = {};
+  const settings = {};
   const currentProjectName = path.basename(currentProjectPath);
 
   // Register the current project
   projects[currentProjectName] = currentProjectPath;
 
-  // Try to load .workspace-bridge.json from current project
-  const configPath = path.join(currentProjectPath, ".workspace-bridge.json");
-  try {
-    const configContent = await fs.readFile(configPath, "utf8");
-    const config = JSON.parse(configContent);
-    
-    if (config.projects && Array.isArray(config.projects)) {
-      for (const project of config.projects) {
-        if (project.name && project.path) {
-          const resolvedPath = path.resolve(currentProjectPath, project.path);
-          projects[project.name] = resolvedPath;
-          console.error(`  ✓ Linked project: ${project.name} → ${resolvedPath}`);
-        }
-      }
+  // Missing config files are fine - invalid entries are reported and skipped
+  const { configured, groups, errors, warnings } = await collectConfiguredProjects(currentProjectPath, configPath);
+  for (const message of errors) {
+    console.error(`⚠️  Warning: Skipping invalid config entry: ${message}`);
+  }
+  for (const message of warnings) {
+    console.error(`⚠️  Warning: ${message}`);
+  }
+
+  for (const [name, project] of configured) {
+    projects[name] = project.path;
+    settings[name] = project.settings;
+    console.error(`  ✓ Linked project: ${name} → ${project.path}${project.source ? ` (${project.source})` : ""}`);
+  }
+
+  return { projects, settings, groups, currentProjectName };
+}
+
+/**
+ * Re-read the config layers and apply them to the live registries
+ *
+ * Projects that came from the config (those with a settings entry) are added,
+ * updated or removed to match the files. Projects added at runtime through
+ * addProject are left untouched, and projects removed through removeProject stay
+ * removed. An invalid config is rejected as a whole so the previous one stays in effect.
+ *
+ * @param {string} currentProjectPath - Current project directory path
+ * @param {Object} projects - Projects registry
+ * @param {Object} settings - Project settings registry
+ * @param {Object} groups - Project groups registry
+ * @param {string} [configPath] - Project config file (default: .workspace-bridge.json in the current project)
+ * @returns {Promise<{added: string[], removed: string[], updated: string[], groupsChanged: boolean}>}
+ * @throws {Error} If a config file cannot be read or fails validation
+ */
+export async function reloadProjects(currentProjectPath, projects, settings, groups, configPath = getConfigPath(currentProjectPath)) {
+  const { configured, groups: nextGroups, errors } = await collectConfiguredProjects(currentProjectPath, configPath);
+  if (errors.length > 0) {
+    throw new Error(errors.join("; "));
+  }
+
+  const changes = { added: [], removed: [], updated: [], groupsChanged: false };
+  const removedAtRuntime = getRuntimeRemovals(projects);
+
+  for (const name of Object.keys(settings)) {
+    if (!configured.has(name)) {
+      delete projects[name];
+      delete settings[name];
+      changes.removed.push(name);
     }
-  } catch (error) {
-    if (error.code !== "ENOENT") {
-      console.error(`⚠️  Warning: Error reading .workspace-bridge.json: ${error.message}`);
+  }
+
+  for (const [name, project] of configured) {
+    if (removedAtRuntime.has(name)) continue;
+    const previousSettings = settings[name];
+
+    if (!previousSettings) {
+      changes.added.push(name);
+    } else if (
+      projects[name] !== project.path
+      || JSON.stringify(previousSettings) !== JSON.stringify(project.settings)
+    ) {
+      changes.updated.push(name);
+    } else {
+      continue;
+    }
+
+    projects[name] = project.path;
+    settings[name] = project.settings;
+  }
+
+  if (JSON.stringify(groups) !== JSON.stringify(nextGroups)) {
+    for (const name of Object.keys(groups)) {
+      delete groups[name];
     }
-    // If file doesn't exist, that's fine - just use current project only
+    Object.assign(groups, nextGroups);
+    changes.groupsChanged = true;
   }
 
-  return { projects, currentProjectName };
+  return changes;
 }
 
 /**
@@ -50,27 +259,41 @@ export async function loadProjects(currentProjectPath) {
  * @param {Object} projects - Projects registry
  * @param {string} name - Project name
  * @param {string} projectPath - Project path
+ * @throws {AccessError} If the path is missing or not a directory
  */
 export async function addProject(projects, name, projectPath) {
-  const stats = await fs.stat(projectPath);
+  const stats = await fs.stat(projectPath).catch(() => null);
+  if (!stats) {
+    throw new AccessError("PATH_NOT_FOUND", `Path does not exist: ${projectPath}`, { path: projectPath });
+  }
   if (!stats.isDirectory()) {
-    throw new Error(`Path is not a directory: ${projectPath}`);
+    throw new AccessError("NOT_A_DIRECTORY", `Path is not a directory: ${projectPath}`, { path: projectPath });
   }
   
   projects[name] = path.resolve(projectPath);
+  getRuntimeRemovals(projects).delete(name);
 }
 
 /**
  * Remove a project from the registry
+ *
+ * The removal outlasts config reloads until the name is added again with addProject.
+ *
  * @param {Object} projects - Projects registry
  * @param {string} name - Project name
+ * @param {Object} [settings] - Project settings registry
+ * @throws {AccessError} If project not found
  */
-export function removeProject(projects, name) {
+export function removeProject(projects, name, settings) {
   if (!projects[name]) {
-    throw new Error(`Project '${name}' not found`);
+    throw new AccessError("PROJECT_NOT_FOUND", `Project '${name}' not found`, { project: name });
   }
   
   delete projects[name];
+  if (settings) {
+    delete settings[name];
+  }
+  getRuntimeRemovals(projects).add(name);
 }
 
 /**
@@ -78,14 +301,16 @@ export function removeProject(projects, name) {
  * @param {Object} projects - Projects registry
  * @param {string} projectName - Project name
  * @returns {string} Project path
- * @throws {Error} If project not found
+ * @throws {AccessError} If project not found
  */
 export function getProjectPath(projects, projectName) {
   const root = projects[projectName];
   if (!root) {
     const availableProjects = Object.keys(projects);
-    throw new Error(
-      `Unknown project: ${projectName}. Available projects: ${availableProjects.length > 0 ? availableProjects.join(', ') : 'none (use addProject tool first)'}`
+    throw new AccessError(
+      "PROJECT_NOT_FOUND",
+      `Unknown project: ${projectName}. Available projects: ${availableProjects.length > 0 ? availableProjects.join(', ') : 'none (use addProject tool first)'}`,
+      { project: projectName, availableProjects }
     );
   }
   return root;
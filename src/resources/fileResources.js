@@ -0,0 +1,221 @@
+// ============================================
+// Workspace File Resources
+// ============================================
+// Exposes project files as MCP resources under
+// workspace://{project}/{path}, with paginated
+// listing and change subscriptions
+// ============================================
+
+import { watch } from "fs";
+import fs from "fs/promises";
+import path from "path";
+import { ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
+import {
+  ErrorCode,
+  ListResourcesRequestSchema,
+  McpError,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+} from "@modelcontextprotocol/sdk/types.js";
+import { getAccessRules, resolveProjectFile } from "../utils/pathAccess.js";
+import { AccessError } from "../utils/toolResults.js";
+import { walkProject } from "../utils/fileWalker.js";
+import { detectFileType } from "../utils/fileContent.js";
+import { encodeCursor, decodeCursor } from "../utils/cursor.js";
+
+export const RESOURCE_URI_TEMPLATE = "workspace://{project}/{+path}";
+
+// Number of resources returned per resources/list page
+const RESOURCE_PAGE_SIZE = 200;
+
+// Resources larger than this are not returned by resources/read
+const MAX_RESOURCE_BYTES = 5 * 1024 * 1024;
+
+// Coalesce bursts of file system events into one update notification
+const UPDATE_DEBOUNCE_MS = 100;
+
+/**
+ * Build the resource URI of a project file
+ * @param {string} project - Project name
+ * @param {string} relativePath - Path relative to the project root (posix separators)
+ * @returns {string}
+ */
+export function toResourceUri(project, relativePath) {
+  const encodedPath = relativePath.split("/").map(encodeURIComponent).join("/");
+  return `workspace://${encodeURIComponent(project)}/${encodedPath}`;
+}
+
+/**
+ * Split a resource URI into its project and path
+ * @param {string} uri - Resource URI
+ * @returns {{project: string, relativePath: string}}
+ * @throws {McpError} If the URI is not a workspace:// URI
+ */
+function parseResourceUri(uri) {
+  const match = /^workspace:\/\/([^/]+)\/(.*)$/.exec(uri);
+  if (!match) {
+    throw new McpError(ErrorCode.InvalidParams, `Not a workspace resource URI: ${uri}`);
+  }
+  return {
+    project: decodeURIComponent(match[1]),
+    relativePath: match[2].split("/").map(decodeURIComponent).join("/"),
+  };
+}
+
+/**
+ * Resolve a resource to a readable project file
+ * @param {Object} projects - Projects registry
+ * @param {Object} settings - Project settings registry
+ * @param {string} uri - Resource URI
+ * @returns {Promise<Object>} Result of resolveProjectFile
+ * @throws {McpError} If the resource is unknown, denied or not a file
+ */
+async function resolveResource(projects, settings, uri) {
+  const { project, relativePath } = parseResourceUri(uri);
+  try {
+    const target = await resolveProjectFile(projects, settings, project, relativePath, { allowGitMetadata: false });
+    if (target.stats.isDirectory()) {
+      throw new AccessError("NOT_A_FILE", `Resource '${uri}' is a directory`, { project, path: relativePath });
+    }
+    return target;
+  } catch (error) {
+    throw new McpError(ErrorCode.InvalidParams, error.message, error.code ? { code: error.code } : undefined);
+  }
+}
+
+/**
+ * Register project files as MCP resources
+ * @param {McpServer} mcpServer - The MCP server instance
+ * @param {Object} projects - Projects registry
+ * @param {Object} settings - Project settings registry (access rules)
+ * @returns {Function} Stops every file subscription (call when the server closes)
+ */
+export function registerFileResources(mcpServer, projects, settings) {
+
+  // ----------------------------------------
+  // Resource template: workspace://{project}/{path}
+  // ----------------------------------------
+  mcpServer.registerResource(
+    "workspace-file",
+    new ResourceTemplate(RESOURCE_URI_TEMPLATE, {
+      list: undefined,
+      complete: {
+        project: (value) => Object.keys(projects).filter((name) => name.startsWith(value)),
+      },
+    }),
+    {
+      title: "Workspace file",
+      description: "A file inside one of the registered projects",
+    },
+    async (uri) => {
+      const target = await resolveResource(projects, settings, uri.href);
+      if (target.stats.size > MAX_RESOURCE_BYTES) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `Resource '${uri.href}' is ${target.stats.size} bytes; use the readFile tool for ranged reads`
+        );
+      }
+
+      const fileType = await detectFileType(target.absolutePath);
+      const data = await fs.readFile(target.absolutePath);
+
+      return {
+        contents: [
+          fileType.binary
+            ? { uri: uri.href, mimeType: fileType.mimeType, blob: data.toString("base64") }
+            : { uri: uri.href, mimeType: "text/plain", text: data.toString("utf8") },
+        ],
+      };
+    }
+  );
+
+  // ----------------------------------------
+  // resources/list: paginated walk over all projects
+  // ----------------------------------------
+  // Replaces the SDK default, which cannot paginate template listings
+  mcpServer.server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+    const cursor = request.params?.cursor;
+    const offset = cursor ? decodeCursor(cursor) : 0;
+    if (offset === null) {
+      throw new McpError(ErrorCode.InvalidParams, `Invalid cursor: ${cursor}`);
+    }
+    const resources = [];
+    let seen = 0;
+
+    for (const [project, root] of Object.entries(projects)) {
+      const entries = walkProject(root, { rules: getAccessRules(settings, project) });
+      for await (const entry of entries) {
+        if (entry.type !== "file") continue;
+        if (seen++ < offset) continue;
+
+        if (resources.length >= RESOURCE_PAGE_SIZE) {
+          return { resources, nextCursor: encodeCursor(offset + resources.length) };
+        }
+        resources.push({
+          uri: toResourceUri(project, entry.relativePath),
+          name: `${project}/${entry.relativePath}`,
+        });
+      }
+    }
+
+    return { resources };
+  });
+
+  // ----------------------------------------
+  // Subscriptions: notify when a subscribed file changes on disk
+  // ----------------------------------------
+  const subscriptions = new Map();
+
+  mcpServer.server.registerCapabilities({ resources: { subscribe: true, listChanged: true } });
+
+  mcpServer.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    const { uri } = request.params;
+    if (subscriptions.has(uri)) {
+      return {};
+    }
+
+    const target = await resolveResource(projects, settings, uri);
+    const directory = path.dirname(target.absolutePath);
+    const fileName = path.basename(target.absolutePath);
+    let timer = null;
+
+    // Watch the parent directory so editors that save via rename are still seen
+    const watcher = watch(directory, (eventType, changedName) => {
+      if (changedName && changedName !== fileName) {
+        return;
+      }
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        mcpServer.server.sendResourceUpdated({ uri }).catch((error) => {
+          console.error(`⚠️  Warning: Failed to notify update of ${uri}: ${error.message}`);
+        });
+      }, UPDATE_DEBOUNCE_MS);
+    });
+    const stop = () => {
+      clearTimeout(timer);
+      watcher.close();
+    };
+    watcher.on("error", () => {
+      stop();
+      subscriptions.delete(uri);
+    });
+    watcher.unref();
+
+    subscriptions.set(uri, stop);
+    return {};
+  });
+
+  mcpServer.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    const stop = subscriptions.get(request.params.uri);
+    if (stop) {
+      stop();
+      subscriptions.delete(request.params.uri);
+    }
+    return {};
+  });
+
+  return () => {
+    subscriptions.forEach((stop) => stop());
+    subscriptions.clear();
+  };
+}
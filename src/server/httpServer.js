@@ -0,0 +1,196 @@
+// ============================================
+// Streamable HTTP Server
+// ============================================
+// Serves MCP over the SDK's streamable HTTP
+// transport so one long-running bridge can be
+// shared by several clients. Every client
+// session gets its own McpServer instance.
+// ============================================
+
+import http from "http";
+import { randomUUID, timingSafeEqual } from "crypto";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+
+export const MCP_ENDPOINT = "/mcp";
+
+// Requests with a larger JSON body are rejected
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+// Bind addresses that are only reachable from this machine
+const LOOPBACK_HOSTS = new Set(["127.0.0.1", "localhost", "::1"]);
+
+/**
+ * Check whether a bind address is loopback-only
+ * @param {string} host - Bind address
+ * @returns {boolean}
+ */
+export function isLoopbackHost(host) {
+  return LOOPBACK_HOSTS.has(host);
+}
+
+/**
+ * Compare a request's Authorization header with the expected bearer token in constant time
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {string} token - Expected token
+ * @returns {boolean}
+ */
+function hasValidToken(req, token) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization ?? "");
+  if (!match) return false;
+
+  const given = Buffer.from(match[1].trim());
+  const expected = Buffer.from(token);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+/**
+ * Send a JSON-RPC error response that is not tied to a request id
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ * @param {Object} [headers] - Extra response headers
+ */
+function sendJsonRpcError(res, status, code, message, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify({ jsonrpc: "2.0", error: { code, message }, id: null }));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {Promise<*>} Parsed body
+ * @throws {Error} If the body is too large or not valid JSON
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new Error(`Request body exceeds ${MAX_BODY_BYTES} bytes`);
+    }
+    chunks.push(chunk);
+  }
+
+  return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+}
+
+/**
+ * Start an HTTP server speaking the MCP streamable HTTP transport
+ *
+ * A client starts a session with an initialize request; the session id returned in
+ * the `mcp-session-id` header routes its later requests to the same McpServer.
+ *
+ * @param {Object} options
+ * @param {Function} options.createServer - Returns a new, fully registered McpServer
+ * @param {string} options.host - Bind address
+ * @param {number} options.port - Port
+ * @param {string} [options.token] - Bearer token required on every request
+ * @returns {Promise<{url: string, close: Function}>} Endpoint URL and a function that stops the server
+ */
+export async function startHttpServer({ createServer, host, port, token }) {
+  const sessions = new Map();
+
+  // Reject DNS-rebinding attempts against a server that is only meant to be reachable locally
+  const rebindingProtection = isLoopbackHost(host)
+    ? {
+      enableDnsRebindingProtection: true,
+      allowedHosts: [...LOOPBACK_HOSTS].map((name) => `${name.includes(":") ? `[${name}]` : name}:${port}`),
+    }
+    : {};
+
+  /**
+   * Create a transport (and server) for a new session
+   * @returns {Promise<StreamableHTTPServerTransport>}
+   */
+  const openSession = async () => {
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (sessionId) => {
+        sessions.set(sessionId, transport);
+      },
+      ...rebindingProtection,
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) sessions.delete(transport.sessionId);
+    };
+
+    await createServer().connect(transport);
+    return transport;
+  };
+
+  const handle = async (req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (pathname !== MCP_ENDPOINT) {
+      res.writeHead(404, { "Content-Type": "text/plain" }).end(`Not found. The MCP endpoint is ${MCP_ENDPOINT}\n`);
+      return;
+    }
+
+    if (token && !hasValidToken(req, token)) {
+      sendJsonRpcError(res, 401, -32001, "Unauthorized: missing or invalid bearer token", { "WWW-Authenticate": "Bearer" });
+      return;
+    }
+
+    const sessionId = req.headers["mcp-session-id"];
+    let body;
+    if (req.method === "POST") {
+      try {
+        body = await readJsonBody(req);
+      } catch (error) {
+        sendJsonRpcError(res, 400, -32700, `Parse error: ${error.message}`);
+        return;
+      }
+    }
+
+    if (sessionId) {
+      const transport = sessions.get(sessionId);
+      if (!transport) {
+        sendJsonRpcError(res, 404, -32001, `Session not found: ${sessionId}`);
+        return;
+      }
+      await transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (req.method === "POST" && isInitializeRequest(body)) {
+      const transport = await openSession();
+      await transport.handleRequest(req, res, body);
+      return;
+    }
+
+    sendJsonRpcError(res, 400, -32000, "Bad request: missing mcp-session-id header (start with an initialize request)");
+  };
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((error) => {
+      console.error(`⚠️  Warning: HTTP request failed: ${error.message}`);
+      if (!res.headersSent) {
+        sendJsonRpcError(res, 500, -32603, "Internal server error");
+      } else {
+        res.end();
+      }
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.off("error", reject);
+      resolve();
+    });
+  });
+
+  const urlHost = host.includes(":") ? `[${host}]` : host;
+  return {
+    url: `http://${urlHost}:${server.address().port}${MCP_ENDPOINT}`,
+    close: async () => {
+      await Promise.all([...sessions.values()].map((transport) => transport.close()));
+      const closed = new Promise((resolve) => server.close(resolve));
+      server.closeAllConnections();
+      await closed;
+    },
+  };
+}
@@ -0,0 +1,523 @@
+// ============================================
+// Code Navigation Tools
+// ============================================
+// Tool registrations for structural views of
+// source code in linked projects
+// ============================================
+
+import fs from "fs/promises";
+import { z } from "zod";
+import { resolveProjectFile, getAccessRules } from "../utils/pathAccess.js";
+import { AccessError, jsonResult, errorResult } from "../utils/toolResults.js";
+import { walkProject, compileGlobs, matchesGlobs } from "../utils/fileWalker.js";
+import { encodeCursor, decodeCursor } from "../utils/cursor.js";
+import { readTextFile } from "../utils/fileContent.js";
+import { detectLanguage, outlineSource, findIdentifierUsages } from "../utils/codeOutline.js";
+import { createModuleResolver, languageFamily, splitAlias, MAX_REEXPORT_DEPTH } from "../utils/moduleResolver.js";
+
+// Files larger than this are not outlined
+const MAX_OUTLINE_FILE_SIZE = 1024 * 1024;
+
+// Directory outline defaults and hard limit
+const DEFAULT_OUTLINE_FILES = 100;
+const MAX_OUTLINE_FILES = 1000;
+
+// Dependency directories never scanned for consumers
+const VENDORED_DIRECTORIES = ["node_modules", "vendor", "__pycache__", ".venv", "venv"];
+
+// findSymbolUsages defaults and hard limit
+const DEFAULT_USAGE_RESULTS = 200;
+const MAX_USAGE_RESULTS = 2000;
+
+// Output shapes
+const memberOutputSchema = z.object({
+  kind: z.string(),
+  name: z.string(),
+  exported: z.boolean().optional(),
+  static: z.boolean().optional(),
+  receiver: z.string().optional().describe("Go method receiver type"),
+  startLine: z.number(),
+  endLine: z.number(),
+  signature: z.string(),
+});
+
+const symbolOutputSchema = memberOutputSchema.extend({
+  members: z.array(memberOutputSchema).optional().describe("Class methods"),
+  methods: z.array(z.string()).optional().describe("Go methods declared on the type"),
+});
+
+const importOutputSchema = z.object({
+  source: z.string(),
+  line: z.number(),
+  default: z.string().optional(),
+  namespace: z.string().optional(),
+  named: z.array(z.string()).optional(),
+  typeOnly: z.boolean().optional(),
+  require: z.boolean().optional(),
+});
+
+const exportOutputSchema = z.object({
+  names: z.array(z.string()),
+  source: z.string().optional().describe("Module re-exported from"),
+  line: z.number(),
+});
+
+// One outlined file; module map entries (details off) list module names and export names only
+const fileOutlineOutputShape = {
+  file: z.string(),
+  language: z.string(),
+  lineCount: z.number(),
+  package: z.string().nullable().optional().describe("Go package name"),
+  imports: z.array(z.union([importOutputSchema, z.string()])),
+  exports: z.array(z.union([exportOutputSchema, z.string()])).optional(),
+  symbols: z.array(symbolOutputSchema),
+};
+
+const usageImportOutputSchema = z.object({
+  line: z.number(),
+  source: z.string(),
+  symbol: z.string(),
+  local: z.string().optional().describe("Local name the symbol is used under"),
+  reexport: z.boolean().optional(),
+});
+
+/**
+ * Reduce a file outline to a compact module map entry
+ * @param {string} file - Project-relative file path
+ * @param {Object} outline - Result of outlineSource
+ * @returns {Object}
+ */
+function summarizeOutline(file, outline) {
+  return {
+    file,
+    language: outline.language,
+    lineCount: outline.lineCount,
+    imports: [...new Set(outline.imports.map((entry) => entry.source))],
+    ...(outline.exports.length > 0 && { exports: outline.exports.flatMap((entry) => entry.names) }),
+    symbols: outline.symbols.map(({ kind, name, exported, startLine, endLine, signature }) => ({
+      kind,
+      name,
+      exported,
+      startLine,
+      endLine,
+      signature,
+    })),
+  };
+}
+
+/**
+ * List the names under which a file exports its symbols, following `export ... from` re-exports
+ * @param {Object} resolver - Result of createModuleResolver
+ * @param {string} absolutePath - Absolute path of the file
+ * @param {Object} outline - Result of outlineSource for the file
+ * @param {number} [depth=0] - Re-export hops followed so far
+ * @returns {Promise<Map<string, string>>} Exported name -> symbol name
+ */
+async function getExportedNames(resolver, absolutePath, outline, depth = 0) {
+  const names = new Map();
+
+  for (const symbol of outline.symbols) {
+    if (!symbol.exported || symbol.kind === "method") continue;
+    // `export default function main` is only reachable as the default export
+    names.set(/^export\s+default\s/.test(symbol.signature) ? "default" : symbol.name, symbol.name);
+  }
+  for (const entry of outline.exports) {
+    if (outline.language === "python") continue;
+    if (!entry.source) {
+      for (const [local, exported] of entry.names.map(splitAlias)) names.set(exported, local);
+      continue;
+    }
+
+    // The symbols behind a re-export are named as in the file that defines them
+    if (depth >= MAX_REEXPORT_DEPTH) continue;
+    const resolved = await resolver.resolveImport(absolutePath, outline.language, entry.source);
+    const innerOutline = resolved && await resolver.getOutline(resolved);
+    if (!innerOutline) continue;
+    const inner = await getExportedNames(resolver, resolved, innerOutline, depth + 1);
+    for (const name of entry.names) {
+      if (name === "*") {
+        inner.forEach((symbol, exported) => {
+          if (exported !== "default") names.set(exported, symbol);
+        });
+      } else if (!name.startsWith("*")) {
+        const [imported, exported] = splitAlias(name);
+        if (inner.has(imported)) names.set(exported, inner.get(imported));
+      }
+    }
+  }
+
+  return names;
+}
+
+/**
+ * Work out which local names a file binds to the tracked symbols through one import
+ * @param {Object} record - Import record from the importing file's outline
+ * @param {Map<string, string>} exposed - Exported name -> symbol name of the imported module
+ * @param {Object} context
+ * @param {string} context.language - Language of the importing file
+ * @param {string|null} context.goPackage - Package name of the defining Go file
+ * @returns {Array<{symbol: string, local: string, member?: string}>}
+ */
+function bindImportedSymbols(record, exposed, { language, goPackage }) {
+  const bindings = [];
+  const bindNamespace = (local) => {
+    exposed.forEach((symbol, exportedName) => {
+      if (exportedName !== "default") bindings.push({ symbol, local, member: exportedName });
+    });
+  };
+
+  if (languageFamily(language) === "go") {
+    bindNamespace(record.default ?? goPackage ?? record.source.split("/").pop());
+    return bindings;
+  }
+
+  for (const [imported, local] of (record.named ?? []).map(splitAlias)) {
+    if (exposed.has(imported)) bindings.push({ symbol: exposed.get(imported), local });
+  }
+  if (record.namespace === "*") {
+    exposed.forEach((symbol, exportedName) => bindings.push({ symbol, local: exportedName }));
+  } else if (record.namespace) {
+    bindNamespace(record.namespace);
+  }
+  if (record.default) {
+    if (language !== "python" && !record.require && exposed.has("default")) {
+      bindings.push({ symbol: exposed.get("default"), local: record.default });
+    } else {
+      // `require()` results and Python module aliases are used as `alias.symbol`
+      bindNamespace(record.default);
+    }
+  } else if (language === "python" && !record.named && !record.namespace) {
+    bindNamespace(record.source);
+  }
+
+  return bindings;
+}
+
+/**
+ * Register all code navigation tools
+ * @param {McpServer} mcpServer - The MCP server instance
+ * @param {Object} projects - Projects registry
+ * @param {Object} settings - Project settings registry (access rules)
+ */
+export function registerCodeTools(mcpServer, projects, settings) {
+
+  // ----------------------------------------
+  // Tool: getFileOutline
+  // ----------------------------------------
+  mcpServer.registerTool(
+    "getFileOutline",
+    {
+      description: "Outline a JS/TS, Python or Go file: imports, exports and top-level classes, functions and types with line ranges. Pass a directory to get a module map of every source file in it. Use readFile with startLine/endLine to read a symbol afterwards.",
+      inputSchema: {
+        project: z.string().describe("Project name"),
+        path: z.string().optional().describe("File or directory path relative to the project root (default: project root)"),
+        include: z.array(z.string()).optional().describe("Directory mode: only outline files matching these globs"),
+        exclude: z.array(z.string()).optional().describe("Directory mode: skip files matching these globs"),
+        respectGitignore: z.boolean().optional().describe("Directory mode: skip files ignored by .gitignore (default: true)"),
+        details: z.boolean().optional().describe("Include import names, class members and export lists (default: true for a file, false for a directory)"),
+        maxFiles: z.number().int().positive().max(MAX_OUTLINE_FILES).optional().describe(`Directory mode: maximum files to outline (default: ${DEFAULT_OUTLINE_FILES})`),
+        cursor: z.string().optional().describe("Continuation cursor from a previous truncated directory outline"),
+      },
+      outputSchema: {
+        project: z.string(),
+        ...z.object(fileOutlineOutputShape).partial().shape,
+        dir: z.string().optional().describe("Directory mode"),
+        count: z.number().optional(),
+        truncated: z.boolean().optional(),
+        nextCursor: z.string().optional(),
+        files: z.array(z.object(fileOutlineOutputShape)).optional().describe("Directory mode: one outline per file"),
+        skipped: z.array(z.object({ file: z.string(), reason: z.string() })).optional(),
+      },
+    },
+    async ({
+      project,
+      path: targetPath = "",
+      include = [],
+      exclude = [],
+      respectGitignore = true,
+      details,
+      maxFiles = DEFAULT_OUTLINE_FILES,
+      cursor,
+    }) => {
+      try {
+        const target = await resolveProjectFile(projects, settings, project, targetPath);
+
+        if (!target.stats.isDirectory()) {
+          const language = detectLanguage(target.relativePath);
+          if (!language) {
+            throw new AccessError(
+              "UNSUPPORTED_LANGUAGE",
+              `Cannot outline '${targetPath}': only JavaScript, TypeScript, Python and Go files are supported`,
+              { project, path: targetPath }
+            );
+          }
+          if (target.stats.size > MAX_OUTLINE_FILE_SIZE) {
+            throw new AccessError(
+              "FILE_TOO_LARGE",
+              `File '${targetPath}' is ${target.stats.size} bytes; outlines are limited to ${MAX_OUTLINE_FILE_SIZE} bytes`,
+              { project, path: targetPath }
+            );
+          }
+          const text = await readTextFile(target.absolutePath);
+          if (text === null) {
+            throw new AccessError("NOT_A_TEXT_FILE", `File '${targetPath}' is binary`, { project, path: targetPath });
+          }
+
+          const outline = outlineSource(text, language);
+          return jsonResult(details === false
+            ? { project, ...summarizeOutline(target.relativePath, outline) }
+            : { project, file: target.relativePath, ...outline });
+        }
+
+        const offset = cursor ? decodeCursor(cursor) : 0;
+        if (offset === null) {
+          throw new AccessError("INVALID_CURSOR", `Invalid cursor: ${cursor}`, { cursor });
+        }
+        const includeGlobs = compileGlobs(include);
+        const excludeGlobs = compileGlobs(exclude);
+        const entries = walkProject(target.root, {
+          startDir: target.relativePath,
+          rules: getAccessRules(settings, project),
+          gitignore: respectGitignore,
+        });
+
+        const files = [];
+        const skipped = [];
+        let seen = 0;
+        let truncated = false;
+
+        for await (const entry of entries) {
+          if (entry.type !== "file") continue;
+          const language = detectLanguage(entry.name);
+          if (!language || !matchesGlobs(entry.relativePath, includeGlobs, excludeGlobs)) continue;
+
+          if (seen++ < offset) continue;
+          if (files.length + skipped.length >= maxFiles) {
+            truncated = true;
+            break;
+          }
+
+          const stats = await fs.stat(entry.absolutePath);
+          if (stats.size > MAX_OUTLINE_FILE_SIZE) {
+            skipped.push({ file: entry.relativePath, reason: `larger than ${MAX_OUTLINE_FILE_SIZE} bytes` });
+            continue;
+          }
+          const text = await readTextFile(entry.absolutePath);
+          if (text === null) {
+            skipped.push({ file: entry.relativePath, reason: "binary" });
+            continue;
+          }
+
+          const outline = outlineSource(text, language);
+          files.push(details
+            ? { file: entry.relativePath, ...outline }
+            : summarizeOutline(entry.relativePath, outline));
+        }
+
+        return jsonResult({
+          project,
+          dir: target.relativePath,
+          count: files.length,
+          truncated,
+          ...(truncated && { nextCursor: encodeCursor(offset + files.length + skipped.length) }),
+          files,
+          ...(skipped.length > 0 && { skipped }),
+        });
+      } catch (error) {
+        return errorResult(error, "outline code");
+      }
+    }
+  );
+
+  // ----------------------------------------
+  // Tool: findSymbolUsages
+  // ----------------------------------------
+  mcpServer.registerTool(
+    "findSymbolUsages",
+    {
+      description: "Find every import and use of an exported symbol (or of all exports of a file) in other registered projects. Imports are resolved through package names, package.json exports, relative paths, Python modules and Go module paths, including re-exports, rather than by text matching.",
+      inputSchema: {
+        project: z.string().describe("Project that defines the symbol"),
+        file: z.string().describe("File that defines the symbol, relative to the project root"),
+        symbol: z.string().optional().describe("Exported symbol name (default: every export of the file)"),
+        projects: z.array(z.string()).optional().describe("Projects to search (default: all other registered projects; list the defining project to include it)"),
+        maxResults: z.number().int().positive().max(MAX_USAGE_RESULTS).optional().describe(`Maximum usages to return (default: ${DEFAULT_USAGE_RESULTS})`),
+      },
+      outputSchema: {
+        project: z.string(),
+        file: z.string(),
+        symbols: z.array(z.string()).describe("Symbols searched for"),
+        searched: z.array(z.string()).describe("Projects searched"),
+        summary: z.object({ projects: z.number(), files: z.number(), imports: z.number(), usages: z.number() }),
+        truncated: z.boolean(),
+        results: z.array(z.object({
+          project: z.string(),
+          file: z.string(),
+          imports: z.array(usageImportOutputSchema),
+          usages: z.array(z.object({ line: z.number(), column: z.number(), text: z.string(), symbol: z.string() })),
+        })),
+      },
+    },
+    async ({ project, file, symbol, projects: projectNames, maxResults = DEFAULT_USAGE_RESULTS }) => {
+      try {
+        const target = await resolveProjectFile(projects, settings, project, file);
+        const language = detectLanguage(target.relativePath);
+        if (target.stats.isDirectory() || !language) {
+          throw new AccessError(
+            "UNSUPPORTED_LANGUAGE",
+            `Cannot analyze '${file}': expected a JavaScript, TypeScript, Python or Go file`,
+            { project, path: file }
+          );
+        }
+
+        const resolver = createModuleResolver(projects);
+        const outline = await resolver.getOutline(target.absolutePath);
+        if (!outline) {
+          throw new AccessError("NOT_A_TEXT_FILE", `File '${file}' cannot be parsed`, { project, path: file });
+        }
+
+        const allExportedNames = await getExportedNames(resolver, target.absolutePath, outline);
+        let exportedNames = allExportedNames;
+        if (symbol) {
+          exportedNames = new Map([...exportedNames].filter(([exported, name]) => name === symbol || exported === symbol));
+          if (exportedNames.size === 0) {
+            throw new AccessError(
+              "SYMBOL_NOT_FOUND",
+              `'${symbol}' is not exported by '${file}'. Exports: ${[...allExportedNames.keys()].join(", ") || "none"}`,
+              { project, path: file, symbol }
+            );
+          }
+        }
+
+        const info = await resolver.getProjectInfo(project);
+        // Files that mention none of these cannot import the defining project by name
+        const hints = [info.npm?.name, info.goModule, "../"].filter(Boolean);
+        if (language === "python") {
+          hints.push(target.relativePath.replace(/^src\//, "").split("/")[0].replace(/\.pyi?$/, ""));
+        }
+
+        const consumers = projectNames ?? Object.keys(projects).filter((name) => name !== project);
+        const results = [];
+        const counts = { projects: 0, files: 0, imports: 0, usages: 0 };
+        let truncated = false;
+
+        search:
+        for (const consumer of consumers) {
+          const { root } = await resolveProjectFile(projects, settings, consumer, "");
+          const entries = walkProject(root, {
+            rules: getAccessRules(settings, consumer),
+            skipDirectories: VENDORED_DIRECTORIES,
+          });
+          let consumerMatched = false;
+
+          for await (const entry of entries) {
+            if (entry.type !== "file") continue;
+            const fileLanguage = detectLanguage(entry.name);
+            if (!fileLanguage || languageFamily(fileLanguage) !== languageFamily(language)) continue;
+
+            const fileStats = await fs.stat(entry.absolutePath);
+            if (fileStats.size > MAX_OUTLINE_FILE_SIZE) continue;
+            const realPath = await fs.realpath(entry.absolutePath);
+            if (realPath === target.absolutePath) continue;
+
+            const text = await readTextFile(entry.absolutePath);
+            if (text === null) continue;
+            if (consumer !== project && !hints.some((hint) => text.includes(hint))) continue;
+
+            const consumerOutline = outlineSource(text, fileLanguage);
+            const imports = [];
+            const bindings = [];
+
+            const specifiers = [
+              ...consumerOutline.imports.map((record) => ({ record, reexport: false })),
+              ...consumerOutline.exports.filter((entry) => entry.source).map((record) => ({ record, reexport: true })),
+            ];
+            for (const { record, reexport } of specifiers) {
+              const resolved = await resolver.resolveImport(realPath, fileLanguage, record.source);
+              if (!resolved) continue;
+              const exposed = await resolver.getExposedNames(resolved, fileLanguage, target.absolutePath, exportedNames);
+
+              if (reexport) {
+                const names = record.names.includes("*")
+                  ? [...exposed.keys()].filter((name) => name !== "default")
+                  : record.names.map((name) => splitAlias(name)[0]).filter((name) => exposed.has(name));
+                names.forEach((name) => imports.push({ line: record.line, source: record.source, symbol: exposed.get(name), reexport: true }));
+                continue;
+              }
+
+              const recordBindings = exposed.size > 0
+                ? bindImportedSymbols(record, exposed, { language: fileLanguage, goPackage: outline.package ?? null })
+                : [];
+
+              // `from pkg import module` binds a module whose symbols are used as `module.symbol`
+              if (fileLanguage === "python" && recordBindings.length === 0) {
+                for (const [imported, local] of (record.named ?? []).map(splitAlias)) {
+                  const submodule = await resolver.resolveImport(realPath, fileLanguage, `${record.source.replace(/\.$/, "")}.${imported}`);
+                  if (!submodule) continue;
+                  const inner = await resolver.getExposedNames(submodule, fileLanguage, target.absolutePath, exportedNames);
+                  recordBindings.push(...bindImportedSymbols({ source: imported, default: local }, inner, { language: fileLanguage }));
+                }
+              }
+
+              for (const binding of recordBindings) {
+                bindings.push(binding);
+                imports.push({
+                  line: record.line,
+                  source: record.source,
+                  symbol: binding.symbol,
+                  local: binding.member ? `${binding.local}.${binding.member}` : binding.local,
+                });
+              }
+            }
+
+            if (imports.length === 0) continue;
+
+            const seenBindings = new Set();
+            const usages = [];
+            for (const binding of bindings) {
+              const key = `${binding.local}\0${binding.member ?? ""}`;
+              if (seenBindings.has(key)) continue;
+              seenBindings.add(key);
+              for (const usage of findIdentifierUsages(text, fileLanguage, binding.local, binding.member)) {
+                usages.push({ ...usage, symbol: binding.symbol });
+              }
+            }
+            usages.sort((a, b) => a.line - b.line || a.column - b.column);
+
+            const remaining = maxResults - counts.usages;
+            if (usages.length > remaining) {
+              truncated = true;
+              if (remaining === 0) break search;
+            }
+            results.push({
+              project: consumer,
+              file: entry.relativePath,
+              imports: [...new Map(imports.map((item) => [JSON.stringify(item), item])).values()],
+              usages: usages.slice(0, remaining),
+            });
+            counts.files++;
+            counts.imports += imports.length;
+            counts.usages += Math.min(usages.length, remaining);
+            if (!consumerMatched) {
+              consumerMatched = true;
+              counts.projects++;
+            }
+            if (truncated) break search;
+          }
+        }
+
+        return jsonResult({
+          project,
+          file: target.relativePath,
+          symbols: [...new Set(exportedNames.values())],
+          searched: consumers,
+          summary: counts,
+          truncated,
+          results,
+        });
+      } catch (error) {
+        return errorResult(error, "find symbol usages");
+      }
+    }
+  );
+}
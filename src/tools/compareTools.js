@@ -0,0 +1,259 @@
+// ============================================
+// Cross-Project Comparison Tools
+// ============================================
+// Tool registrations for diffing files and
+// directories between projects (or revisions)
+// ============================================
+
+import fs from "fs/promises";
+import path from "path";
+import { z } from "zod";
+import { createTwoFilesPatch } from "diff";
+import { checkAccess, getAccessRules, resolveProjectFile } from "../utils/pathAccess.js";
+import { AccessError, jsonResult, errorResult } from "../utils/toolResults.js";
+import { walkProject } from "../utils/fileWalker.js";
+import { isBinaryBuffer } from "../utils/fileContent.js";
+import {
+  getGitInstance,
+  getRevisionObjectType,
+  listRevisionFiles,
+  readRevisionFile,
+  resolveCommit,
+} from "../utils/gitHelpers.js";
+
+// Directory comparisons stop after this many distinct paths
+const MAX_COMPARED_FILES = 5000;
+
+// File diffs longer than this are cut off
+const MAX_DIFF_BYTES = 256 * 1024;
+
+const sideSchema = z.object({
+  project: z.string().describe("Project name"),
+  path: z.string().describe("File or directory path relative to the project root"),
+  ref: z.string().optional().describe("Git revision to read from instead of the working tree (e.g. 'main', 'v1.2.0', 'HEAD~3')"),
+});
+
+/**
+ * Describe one side of a comparison for headers and results
+ * @param {Object} side - { project, path, ref }
+ * @returns {string}
+ */
+function sideLabel({ project, path: relativePath, ref }) {
+  const normalized = path.posix.normalize(relativePath.replace(/\\/g, "/")).replace(/^\.\/?|\/$/g, "");
+  const label = normalized ? `${project}/${normalized}` : project;
+  return ref ? `${label}@${ref}` : label;
+}
+
+/**
+ * Load one side of a comparison from the working tree
+ * @param {Object} projects - Projects registry
+ * @param {Object} settings - Project settings registry
+ * @param {Object} side - { project, path }
+ * @returns {Promise<Object>} { type: "file", read } or { type: "directory", files }
+ */
+async function loadWorkingTreeSide(projects, settings, side) {
+  const target = await resolveProjectFile(projects, settings, side.project, side.path);
+
+  if (!target.stats.isDirectory()) {
+    return { type: "file", read: () => fs.readFile(target.absolutePath) };
+  }
+
+  const files = new Map();
+  const entries = walkProject(target.root, {
+    startDir: target.relativePath,
+    rules: getAccessRules(settings, side.project),
+  });
+  for await (const entry of entries) {
+    if (entry.type !== "file") continue;
+    const key = path.posix.relative(target.relativePath, entry.relativePath);
+    files.set(key, { read: () => fs.readFile(entry.absolutePath) });
+  }
+  return { type: "directory", files };
+}
+
+/**
+ * Load one side of a comparison from a git revision
+ * @param {Object} projects - Projects registry
+ * @param {Object} settings - Project settings registry
+ * @param {Object} side - { project, path, ref }
+ * @returns {Promise<Object>} { type: "file", read } or { type: "directory", files }
+ */
+async function loadRevisionSide(projects, settings, side) {
+  // Validates the path against the sandbox and access rules; it need not exist on disk
+  const target = await resolveProjectFile(projects, settings, side.project, side.path, { mustExist: false });
+  const { git } = await getGitInstance(projects, side.project);
+  const details = { project: side.project, path: side.path, ref: side.ref };
+
+  if (!(await resolveCommit(git, side.ref))) {
+    throw new AccessError("REF_NOT_FOUND", `Revision '${side.ref}' not found in project '${side.project}'`, details);
+  }
+
+  const type = await getRevisionObjectType(git, side.ref, target.relativePath);
+  if (!type) {
+    throw new AccessError(
+      "PATH_NOT_FOUND",
+      `Path '${side.path}' not found in project '${side.project}' at revision '${side.ref}'`,
+      details
+    );
+  }
+
+  if (type === "blob") {
+    return { type: "file", read: () => readRevisionFile(git, side.ref, target.relativePath) };
+  }
+
+  const rules = getAccessRules(settings, side.project);
+  const files = new Map();
+  for (const entry of await listRevisionFiles(git, side.ref, target.relativePath)) {
+    if (!checkAccess(rules, entry.path).allowed) continue;
+    const key = path.posix.relative(target.relativePath, entry.path);
+    files.set(key, { object: entry.object, read: () => git.binaryCatFile(["blob", entry.object]) });
+  }
+  return { type: "directory", files };
+}
+
+/**
+ * Load one side of a comparison
+ * @param {Object} projects - Projects registry
+ * @param {Object} settings - Project settings registry
+ * @param {Object} side - { project, path, ref }
+ * @returns {Promise<Object>}
+ */
+function loadSide(projects, settings, side) {
+  return side.ref
+    ? loadRevisionSide(projects, settings, side)
+    : loadWorkingTreeSide(projects, settings, side);
+}
+
+/**
+ * Check whether two directory entries have the same content
+ * @param {Object} left - Left entry ({ read, object? })
+ * @param {Object} right - Right entry ({ read, object? })
+ * @returns {Promise<boolean>}
+ */
+async function sameContent(left, right) {
+  // Two revisions can be compared by blob id without reading anything
+  if (left.object && right.object) {
+    return left.object === right.object;
+  }
+  const [a, b] = await Promise.all([left.read(), right.read()]);
+  return a.equals(b);
+}
+
+/**
+ * Register all comparison tools
+ * @param {McpServer} mcpServer - The MCP server instance
+ * @param {Object} projects - Projects registry
+ * @param {Object} settings - Project settings registry (access rules)
+ */
+export function registerCompareTools(mcpServer, projects, settings) {
+
+  // ----------------------------------------
+  // Tool: compareFiles
+  // ----------------------------------------
+  mcpServer.registerTool(
+    "compareFiles",
+    {
+      description: "Compare a file or directory between two projects (or git revisions). Files produce a unified diff, directories a summary of added, removed and changed files.",
+      inputSchema: {
+        left: sideSchema.describe("Left (old) side of the comparison"),
+        right: sideSchema.describe("Right (new) side of the comparison"),
+        contextLines: z.number().int().min(0).optional().describe("Lines of context around file changes (default: 3)"),
+      },
+      outputSchema: {
+        left: z.string().describe("Left side label (project/path@ref)"),
+        right: z.string().describe("Right side label"),
+        type: z.enum(["file", "directory"]),
+        identical: z.boolean(),
+        binary: z.boolean().optional().describe("File mode: at least one side is binary, so no diff is shown"),
+        sizes: z.object({ left: z.number(), right: z.number() }).optional().describe("File mode: sizes of binary files"),
+        diff: z.string().optional().describe("File mode: unified diff"),
+        summary: z.object({ added: z.number(), removed: z.number(), changed: z.number(), unchanged: z.number() }).optional()
+          .describe("Directory mode: number of paths in each state"),
+        truncated: z.boolean().optional(),
+        note: z.string().optional(),
+        added: z.array(z.string()).optional(),
+        removed: z.array(z.string()).optional(),
+        changed: z.array(z.string()).optional(),
+      },
+    },
+    async ({ left, right, contextLines = 3 }) => {
+      try {
+        const [leftSide, rightSide] = await Promise.all([
+          loadSide(projects, settings, left),
+          loadSide(projects, settings, right),
+        ]);
+        const leftLabel = sideLabel(left);
+        const rightLabel = sideLabel(right);
+
+        if (leftSide.type !== rightSide.type) {
+          throw new AccessError(
+            "TYPE_MISMATCH",
+            `Cannot compare ${leftSide.type} '${leftLabel}' with ${rightSide.type} '${rightLabel}'`,
+            { left: leftLabel, right: rightLabel }
+          );
+        }
+
+        if (leftSide.type === "file") {
+          const [a, b] = await Promise.all([leftSide.read(), rightSide.read()]);
+
+          const sides = { left: leftLabel, right: rightLabel, type: "file" };
+
+          if (a.equals(b)) {
+            return jsonResult({ ...sides, identical: true }, `✅ ${leftLabel} and ${rightLabel} are identical`);
+          }
+
+          if (isBinaryBuffer(a) || isBinaryBuffer(b)) {
+            return jsonResult(
+              { ...sides, identical: false, binary: true, sizes: { left: a.length, right: b.length } },
+              `Binary files ${leftLabel} (${a.length} bytes) and ${rightLabel} (${b.length} bytes) differ`
+            );
+          }
+
+          let text = createTwoFilesPatch(leftLabel, rightLabel, a.toString("utf8"), b.toString("utf8"), undefined, undefined, {
+            context: contextLines,
+          });
+          const truncated = Buffer.byteLength(text) > MAX_DIFF_BYTES;
+          if (truncated) {
+            text = `${Buffer.from(text).subarray(0, MAX_DIFF_BYTES).toString("utf8")}\n… [diff truncated at ${MAX_DIFF_BYTES} bytes]`;
+          }
+          return jsonResult({ ...sides, identical: false, diff: text, ...(truncated && { truncated }) }, text);
+        }
+
+        const paths = [...new Set([...leftSide.files.keys(), ...rightSide.files.keys()])].sort();
+        const truncated = paths.length > MAX_COMPARED_FILES;
+        const added = [];
+        const removed = [];
+        const changed = [];
+        let unchanged = 0;
+
+        for (const filePath of paths.slice(0, MAX_COMPARED_FILES)) {
+          const a = leftSide.files.get(filePath);
+          const b = rightSide.files.get(filePath);
+          if (!a) {
+            added.push(filePath);
+          } else if (!b) {
+            removed.push(filePath);
+          } else if (await sameContent(a, b)) {
+            unchanged++;
+          } else {
+            changed.push(filePath);
+          }
+        }
+
+        return jsonResult({
+          left: leftLabel,
+          right: rightLabel,
+          type: "directory",
+          identical: !truncated && added.length + removed.length + changed.length === 0,
+          summary: { added: added.length, removed: removed.length, changed: changed.length, unchanged },
+          ...(truncated && { truncated: true, note: `Only the first ${MAX_COMPARED_FILES} paths were compared` }),
+          added,
+          removed,
+          changed,
+        });
+      } catch (error) {
+        return errorResult(error, "compare files");
+      }
+    }
+  );
+}
@@ -7,14 +7,397 @@
 import fs from "fs/promises";
 import path from "path";
 import { z } from "zod";
-import { addProject, removeProject, getProjectPath } from "../config/projectLoader.js";
+import { createTwoFilesPatch, parsePatch, applyPatch } from "diff";
+import { addProject, removeProject } from "../config/projectLoader.js";
+import {
+  CONFIG_FILE_NAME,
+  getConfigPath,
+  isGlobPath,
+  readConfigFile,
+  resolveConfigPath,
+  validateConfig,
+  saveProjectEntry,
+  deleteProjectEntry,
+} from "../config/configFile.js";
+import { resolveProjectFile, getAccessRules } from "../utils/pathAccess.js";
+import { AccessError, jsonResult, errorResult } from "../utils/toolResults.js";
+import { walkProject, compileGlobs, matchesGlobs } from "../utils/fileWalker.js";
+import { encodeCursor, decodeCursor } from "../utils/cursor.js";
+import { hasUncommittedChanges } from "../utils/gitHelpers.js";
+import {
+  readTextFile,
+  detectFileType,
+  readBytes,
+  readLineRange,
+  numberLines,
+  writeFileAtomic,
+} from "../utils/fileContent.js";
+
+// Registered projects as returned by addProject, removeProject and listProjects
+const projectListSchema = z.array(z.object({ name: z.string(), path: z.string() }));
+
+// Output of the write tools
+const writeOutputSchema = {
+  project: z.string(),
+  dryRun: z.boolean().describe("True when nothing was written"),
+  changes: z.array(z.object({
+    file: z.string(),
+    action: z.string().describe("created, updated, renamed or deleted (edits also give the replacement count)"),
+    from: z.string().optional().describe("Previous path of a renamed file"),
+    diff: z.string().describe("Unified diff of the change"),
+  })),
+};
+
+// Files larger than this are skipped by searchFiles
+const MAX_SEARCH_FILE_SIZE = 1024 * 1024;
+
+// Matched lines longer than this are truncated in search results
+const MAX_LINE_LENGTH = 500;
+
+// Recursive listFiles defaults and hard limit
+const DEFAULT_TREE_DEPTH = 5;
+const DEFAULT_TREE_ENTRIES = 500;
+const MAX_TREE_ENTRIES = 5000;
+
+/**
+ * Collect size, modification time and symlink target for a listing entry
+ * @param {Object} entry - Entry yielded by walkProject
+ * @returns {Promise<Object>}
+ */
+async function describeEntry(entry) {
+  const stats = await fs.lstat(entry.absolutePath);
+  const meta = {
+    size: stats.size,
+    modified: stats.mtime.toISOString(),
+  };
+  if (entry.type === "symlink") {
+    meta.target = await fs.readlink(entry.absolutePath);
+  }
+  return meta;
+}
+
+/**
+ * Render listing entries as an indented text tree
+ * @param {Object[]} entries - Listing entries (depth-first order)
+ * @param {Object} options
+ * @param {boolean} options.details - Append size and symlink target
+ * @returns {string}
+ */
+function renderTree(entries, { details }) {
+  return entries.map((entry) => {
+    const indent = "  ".repeat((entry.depth || 1) - 1);
+    let line = `${indent}${entry.name}${entry.type === "directory" ? "/" : ""}`;
+    if (entry.target) line += ` -> ${entry.target}`;
+    if (details && entry.type === "file") line += ` (${entry.size} B)`;
+    return line;
+  }).join("\n");
+}
+
+// readFile output limits. Plain reads return whole files up to the cap, as they always have.
+const MAX_READ_BYTES = 5 * 1024 * 1024;
+const DEFAULT_READ_BYTES = MAX_READ_BYTES;
+
+// Images up to this size are returned as image content instead of a summary
+const MAX_INLINE_IMAGE_BYTES = 1024 * 1024;
+
+/**
+ * Read a resolved file into MCP content blocks, honoring ranges and size limits
+ * @param {Object} target - Result of resolveProjectFile
+ * @param {Object} options - Read options from the readFile tool
+ * @returns {Promise<{content: Object[], info: Object}>} MCP content blocks, and the same read as structured data
+ */
+async function readFileContent(target, { startLine, endLine, byteOffset, byteLength, maxBytes, lineNumbers }) {
+  const { absolutePath, relativePath, stats } = target;
+  const fileType = await detectFileType(absolutePath);
+  const byteRange = byteOffset !== undefined || byteLength !== undefined;
+
+  if (fileType.binary) {
+    if (byteRange) {
+      const offset = byteOffset || 0;
+      const data = await readBytes(absolutePath, offset, Math.min(byteLength || maxBytes, maxBytes));
+      const info = {
+        file: relativePath,
+        mimeType: fileType.mimeType,
+        size: stats.size,
+        byteOffset: offset,
+        byteLength: data.length,
+        encoding: "base64",
+        data: data.toString("base64"),
+      };
+      return { content: [{ type: "text", text: JSON.stringify(info, null, 2) }], info };
+    }
+
+    if (fileType.isImage && stats.size <= MAX_INLINE_IMAGE_BYTES) {
+      const data = await fs.readFile(absolutePath);
+      return {
+        content: [{ type: "image", data: data.toString("base64"), mimeType: fileType.mimeType }],
+        info: { file: relativePath, binary: true, mimeType: fileType.mimeType, size: stats.size, image: true },
+      };
+    }
+
+    const info = {
+      file: relativePath,
+      binary: true,
+      mimeType: fileType.mimeType,
+      size: stats.size,
+      note: "Binary content not shown. Use byteOffset/byteLength to fetch raw bytes as base64.",
+    };
+    return { content: [{ type: "text", text: JSON.stringify(info, null, 2) }], info };
+  }
+
+  if (!byteRange && (startLine || endLine || lineNumbers)) {
+    const range = await readLineRange(absolutePath, { startLine, endLine, maxBytes });
+    const lines = lineNumbers ? numberLines(range.lines, range.firstLine) : range.lines.join("\n");
+    let text = lines;
+    if (range.truncated) {
+      text += `\n\n… [truncated after line ${range.lastLine}: output limit of ${maxBytes} bytes reached; continue with startLine=${range.lastLine + 1}]`;
+    }
+    return {
+      content: [{ type: "text", text }],
+      info: {
+        file: relativePath,
+        size: stats.size,
+        startLine: range.firstLine,
+        endLine: range.lastLine,
+        truncated: range.truncated,
+        ...(range.truncated && { nextStartLine: range.lastLine + 1 }),
+        text: lines,
+      },
+    };
+  }
+
+  const offset = byteOffset || 0;
+  const limit = Math.min(byteLength || maxBytes, maxBytes);
+  let data = await readBytes(absolutePath, offset, limit);
+  const truncated = offset + data.length < stats.size && data.length === limit && limit === maxBytes;
+
+  // Cut at the last newline so the continuation starts on a clean line
+  if (truncated) {
+    const lastNewline = data.lastIndexOf(0x0a);
+    if (lastNewline > 0) {
+      data = data.subarray(0, lastNewline + 1);
+    }
+  }
+
+  const nextOffset = offset + data.length;
+  let text = data.toString("utf8");
+  const info = {
+    file: relativePath,
+    size: stats.size,
+    byteOffset: offset,
+    byteLength: data.length,
+    truncated,
+    ...(truncated && { nextByteOffset: nextOffset }),
+    text,
+  };
+  if (truncated) {
+    text += `\n… [truncated: showing bytes ${offset}-${nextOffset} of ${stats.size}; continue with byteOffset=${nextOffset}]`;
+  }
+  return { content: [{ type: "text", text }], info };
+}
+
+/**
+ * Resolve a file for a write tool, enforcing the project's writable flag and clean git state
+ * @param {Object} projects - Projects registry
+ * @param {Object} settings - Project settings registry
+ * @param {string} project - Project name
+ * @param {string} file - File path relative to the project root
+ * @param {Object} options
+ * @param {boolean} options.force - Allow touching files with uncommitted changes
+ * @param {boolean} [options.mustExist=true] - Reject files that do not exist yet
+ * @returns {Promise<Object>} Result of resolveProjectFile
+ * @throws {AccessError} If the project is read-only, the path is denied or the file is dirty
+ */
+async function resolveWritableFile(projects, settings, project, file, { force, mustExist = true }) {
+  const target = await resolveProjectFile(projects, settings, project, file, { mustExist, allowGitMetadata: false });
+
+  if (!settings?.[project]?.writable) {
+    throw new AccessError(
+      "PROJECT_READ_ONLY",
+      `Project '${project}' is read-only. Set "writable": true on its ${CONFIG_FILE_NAME} entry to enable write tools`,
+      { project, path: file }
+    );
+  }
+
+  if (target.stats?.isDirectory()) {
+    throw new AccessError("NOT_A_FILE", `Path '${file}' in project '${project}' is a directory`, { project, path: file });
+  }
+
+  if (target.stats && !force && await hasUncommittedChanges(target.root, target.relativePath)) {
+    throw new AccessError(
+      "UNCOMMITTED_CHANGES",
+      `File '${file}' in project '${project}' has uncommitted changes. Pass force: true to modify it anyway`,
+      { project, path: file }
+    );
+  }
+
+  return target;
+}
+
+/**
+ * Read the current text of a file that is about to be modified
+ * @param {Object} target - Result of resolveWritableFile
+ * @param {string} project - Project name
+ * @returns {Promise<string>} File text ("" for files that do not exist yet)
+ * @throws {AccessError} If the file is binary
+ */
+async function readEditableText(target, project) {
+  if (!target.stats) {
+    return "";
+  }
+
+  const content = await readTextFile(target.absolutePath);
+  if (content === null) {
+    throw new AccessError(
+      "NOT_A_TEXT_FILE",
+      `File '${target.relativePath}' in project '${project}' is binary and cannot be edited`,
+      { project, path: target.relativePath }
+    );
+  }
+  return content;
+}
+
+/**
+ * Build a unified diff between two versions of a project file
+ * @param {string} relativePath - File path relative to the project root
+ * @param {string|null} before - Previous content (null when the file is created)
+ * @param {string|null} after - New content (null when the file is deleted)
+ * @param {string} [previousPath] - Path before a rename
+ * @returns {string}
+ */
+function buildFileDiff(relativePath, before, after, previousPath = relativePath) {
+  return createTwoFilesPatch(
+    before === null ? "/dev/null" : `a/${previousPath}`,
+    after === null ? "/dev/null" : `b/${relativePath}`,
+    before ?? "",
+    after ?? ""
+  );
+}
+
+/**
+ * Format the result of a write tool
+ * @param {string} project - Project name
+ * @param {Object[]} changes - Applied changes ({ file, diff, action, from? })
+ * @param {boolean} dryRun - Whether nothing was written
+ * @returns {Object} Tool result (a summary and the diffs as text, the changes as structured content)
+ */
+function writeResult(project, changes, dryRun) {
+  const summary = changes
+    .map(({ file, action, from }) => `  • ${action}: ${project}/${from ? `${from} → ${file}` : file}`)
+    .join("\n");
+  const heading = dryRun
+    ? `🔍 Dry run - no changes written. Resulting diff:`
+    : `✅ Changes written:`;
+
+  return jsonResult(
+    { project, dryRun, changes: changes.map(({ file, action, from, diff }) => ({ file, action, ...(from && { from }), diff })) },
+    `${heading}\n${summary}\n\n${changes.map((change) => change.diff).join("\n")}`
+  );
+}
+
+/**
+ * Strip the a/ or b/ prefix git adds to paths in unified diffs
+ * @param {string} fileName - Path from a patch header
+ * @returns {string|null} Project-relative path, or null for /dev/null
+ */
+function patchPath(fileName) {
+  if (!fileName || fileName === "/dev/null") {
+    return null;
+  }
+  return fileName.replace(/^[ab]\//, "");
+}
+
+/**
+ * Find the renames declared by git extended headers (`rename from` / `rename to`)
+ * @param {string} patch - Unified diff
+ * @returns {Array<{from: string, to: string}>} Project-relative paths, in patch order
+ */
+function parsePatchRenames(patch) {
+  return [...patch.matchAll(/^rename from ([^\r\n]+)\r?\nrename to ([^\r\n]+)$/gm)]
+    .map(([, from, to]) => ({ from, to }));
+}
+
+/**
+ * Find the first git file section applyPatch cannot apply as text
+ *
+ * Binary patches, mode changes and sections without hunks (empty new or deleted files)
+ * carry no text hunks, so they would otherwise be dropped silently. Pure renames are fine.
+ *
+ * @param {string} patch - Unified diff
+ * @returns {{file: string, reason: string}|null}
+ */
+function findUnsupportedPatchSection(patch) {
+  for (const section of patch.split(/^(?=diff --git )/m)) {
+    const header = section.match(/^diff --git (?:a\/)?([^\r\n]+?) (?:b\/)?([^\r\n]+)$/m);
+    if (!header) continue;
+    const file = header[2];
+
+    if (/^(GIT binary patch|Binary files )/m.test(section)) {
+      return { file, reason: "binary patches are not supported" };
+    }
+    if (/^old mode /m.test(section)) {
+      return { file, reason: "file mode changes are not supported" };
+    }
+    if (!/^@@ /m.test(section) && !/^rename from /m.test(section)) {
+      return { file, reason: "the section has no text hunks (e.g. an empty new or deleted file)" };
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the regular expression used by searchFiles
+ * @param {string} query - Literal text or regex source
+ * @param {Object} options
+ * @param {boolean} options.regex - Treat the query as a regular expression
+ * @param {boolean} options.caseSensitive - Match case exactly
+ * @returns {RegExp}
+ */
+function buildSearchPattern(query, { regex, caseSensitive }) {
+  const source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(source, caseSensitive ? "" : "i");
+}
+
+/**
+ * Clip overly long lines (e.g. minified files) in search output
+ * @param {string} line - Line text
+ * @returns {string}
+ */
+function clipLine(line) {
+  return line.length > MAX_LINE_LENGTH ? `${line.slice(0, MAX_LINE_LENGTH)}…` : line;
+}
 
 /**
  * Register all file access tools
  * @param {McpServer} mcpServer - The MCP server instance
  * @param {Object} projects - Projects registry
+ * @param {Object} settings - Project settings registry (access rules)
+ * @param {string} currentProjectPath - Current project directory (holds .workspace-bridge.json)
+ * @param {Object} [options]
+ * @param {string} [options.configPath] - Project config file (default: .workspace-bridge.json in the current project)
+ * @param {boolean} [options.readOnly=false] - Leave out the write tools and never persist config changes
  */
-export function registerFileTools(mcpServer, projects) {
+export function registerFileTools(mcpServer, projects, settings, currentProjectPath, { configPath = getConfigPath(currentProjectPath), readOnly = false } = {}) {
+
+  /**
+   * Refuse config changes when the server runs read-only
+   * @throws {AccessError} In read-only mode
+   */
+  const assertConfigWritable = () => {
+    if (readOnly) {
+      throw new AccessError(
+        "SERVER_READ_ONLY",
+        `The server is running with --read-only; ${configPath} cannot be changed`,
+        { configPath }
+      );
+    }
+  };
+
+  /**
+   * List the registered projects
+   * @returns {Array<{name: string, path: string}>}
+   */
+  const projectList = () => Object.entries(projects).map(([name, projectPath]) => ({ name, path: projectPath }));
   
   // ----------------------------------------
   // Tool: addProject
@@ -26,22 +409,52 @@ export function registerFileTools(mcpServer, projects) {
       inputSchema: {
         name: z.string().describe("Friendly name for the project (e.g., 'project_b', 'shared_lib')"),
         path: z.string().describe("Absolute path to the project directory"),
+        persist: z.boolean().optional().describe(`Also save the project to the current project's ${CONFIG_FILE_NAME} (default: false)`),
+      },
+      outputSchema: {
+        project: z.string(),
+        path: z.string().describe("Resolved project path"),
+        persisted: z.boolean(),
+        configPath: z.string().optional().describe("Config file the project was saved to"),
+        projects: projectListSchema,
       },
     },
-    async ({ name, path: projectPath }) => {
+    async ({ name, path: projectPath, persist = false }) => {
       try {
+        if (persist) assertConfigWritable();
+        const previousPath = projects[name];
         await addProject(projects, name, projectPath);
+
+        let savedTo = null;
+        if (persist) {
+          try {
+            savedTo = await saveProjectEntry(configPath, name, projects[name]);
+          } catch (error) {
+            // Only keep the project registered when it could be saved too. Not a
+            // removeProject call: that would hide the name from later config reloads.
+            if (previousPath) {
+              projects[name] = previousPath;
+            } else {
+              delete projects[name];
+              delete settings[name];
+            }
+            throw error;
+          }
+        }
+        const persisted = savedTo ? `\n\n💾 Saved to ${savedTo}` : "";
         
-        return {
-          content: [
-            {
-              type: "text",
-              text: `✅ Successfully added project '${name}' at ${projects[name]}\n\nRegistered projects:\n${Object.entries(projects).map(([n, p]) => `  - ${n}: ${p}`).join('\n')}`,
-            },
-          ],
-        };
+        return jsonResult(
+          {
+            project: name,
+            path: projects[name],
+            persisted: savedTo !== null,
+            ...(savedTo && { configPath: savedTo }),
+            projects: projectList(),
+          },
+          `✅ Successfully added project '${name}' at ${projects[name]}${persisted}\n\nRegistered projects:\n${Object.entries(projects).map(([n, p]) => `  - ${n}: ${p}`).join('\n')}`
+        );
       } catch (error) {
-        throw new Error(`Failed to add project: ${error.message}`);
+        return errorResult(error, "add project");
       }
     }
   );
@@ -55,19 +468,100 @@ export function registerFileTools(mcpServer, projects) {
       description: "Remove a project from the workspace bridge",
       inputSchema: {
         name: z.string().describe("Name of the project to remove"),
+        persist: z.boolean().optional().describe(`Also remove the project from the current project's ${CONFIG_FILE_NAME} (default: false)`),
+      },
+      outputSchema: {
+        project: z.string(),
+        persisted: z.boolean().describe("Whether an entry was removed from the config file"),
+        configPath: z.string().optional().describe("Config file that was updated (with persist)"),
+        projects: projectListSchema,
       },
     },
-    async ({ name }) => {
-      removeProject(projects, name);
-      
-      return {
-        content: [
+    async ({ name, persist = false }) => {
+      try {
+        if (persist) assertConfigWritable();
+        const previous = { path: projects[name], settings: settings[name] };
+        removeProject(projects, name, settings);
+
+        let removed = false;
+        let persisted = "";
+        if (persist) {
+          try {
+            removed = await deleteProjectEntry(configPath, name);
+          } catch (error) {
+            // Only unregister the project when the config file was updated too
+            await addProject(projects, name, previous.path);
+            if (previous.settings) settings[name] = previous.settings;
+            throw error;
+          }
+          persisted = removed
+            ? `\n\n💾 Removed from ${configPath}`
+            : `\n\nℹ️ '${name}' was not listed in ${configPath}`;
+        }
+        
+        return jsonResult(
           {
-            type: "text",
-            text: `✅ Successfully removed project '${name}'\n\nRemaining projects:\n${Object.entries(projects).map(([n, p]) => `  - ${n}: ${p}`).join('\n') || '  (none)'}`,
+            project: name,
+            persisted: removed,
+            ...(persist && { configPath }),
+            projects: projectList(),
           },
-        ],
-      };
+          `✅ Successfully removed project '${name}'${persisted}\n\nRemaining projects:\n${Object.entries(projects).map(([n, p]) => `  - ${n}: ${p}`).join('\n') || '  (none)'}`
+        );
+      } catch (error) {
+        return errorResult(error, "remove project");
+      }
+    }
+  );
+
+  // ----------------------------------------
+  // Tool: validateConfig
+  // ----------------------------------------
+  mcpServer.registerTool(
+    "validateConfig",
+    {
+      description: `Validate the current project's ${CONFIG_FILE_NAME} and report malformed entries`,
+      inputSchema: {},
+      outputSchema: {
+        configPath: z.string(),
+        exists: z.boolean(),
+        valid: z.boolean(),
+        projects: z.number().optional().describe("Number of project entries"),
+        errors: z.array(z.string()),
+        warnings: z.array(z.string()),
+      },
+    },
+    async () => {
+      let report;
+
+      try {
+        const loaded = await readConfigFile(configPath);
+        if (!loaded) {
+          report = { configPath, exists: false, valid: true, errors: [], warnings: [] };
+        } else {
+          const { valid, errors, entries } = validateConfig(loaded.config);
+          const warnings = [];
+
+          // Entries that parse fine but point at nothing are worth flagging too
+          for (const entry of entries.filter((e) => !isGlobPath(e.path))) {
+            const resolvedPath = resolveConfigPath(path.dirname(configPath), entry.path);
+            try {
+              const stats = await fs.stat(resolvedPath);
+              if (!stats.isDirectory()) {
+                warnings.push(`Project '${entry.name}': ${resolvedPath} is not a directory`);
+              }
+            } catch {
+              warnings.push(`Project '${entry.name}': ${resolvedPath} does not exist`);
+            }
+          }
+
+          report = { configPath, exists: true, valid, projects: entries.length, errors, warnings };
+        }
+      } catch (error) {
+        report = { configPath, exists: true, valid: false, errors: [error.message], warnings: [] };
+      }
+
+      return jsonResult(report);
     }
   );
 
@@ -79,29 +573,23 @@ export function registerFileTools(mcpServer, projects) {
     {
       description: "List all registered projects in the workspace bridge",
       inputSchema: {},
+      outputSchema: {
+        count: z.number(),
+        projects: projectListSchema,
+      },
     },
     async () => {
-      const projectList = Object.entries(projects);
+      const registered = projectList();
+      const data = { count: registered.length, projects: registered };
       
-      if (projectList.length === 0) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: "No projects registered yet. Use the 'addProject' tool to add projects.",
-            },
-          ],
-        };
+      if (registered.length === 0) {
+        return jsonResult(data, "No projects registered yet. Use the 'addProject' tool to add projects.");
       }
       
-      return {
-        content: [
-          {
-            type: "text",
-            text: `📁 Registered Projects (${projectList.length}):\n\n${projectList.map(([name, path]) => `  • ${name}\n    ${path}`).join('\n\n')}`,
-          },
-        ],
-      };
+      return jsonResult(
+        data,
+        `📁 Registered Projects (${registered.length}):\n\n${registered.map(({ name, path }) => `  • ${name}\n    ${path}`).join('\n\n')}`
+      );
     }
   );
 
@@ -111,30 +599,125 @@ export function registerFileTools(mcpServer, projects) {
   mcpServer.registerTool(
     "listFiles",
     {
-      description: "List files in a given project directory",
+      description: "List files in a given project directory, optionally recursively as a tree",
       inputSchema: {
         project: z.string().describe("Project name"),
         dir: z.string().optional().describe("Optional subdirectory path inside the project"),
+        recursive: z.boolean().optional().describe("List subdirectories recursively (default: false)"),
+        maxDepth: z.number().int().positive().optional().describe(`Maximum depth in recursive mode (default: ${DEFAULT_TREE_DEPTH})`),
+        respectGitignore: z.boolean().optional().describe("Hide files ignored by .gitignore (default: true in recursive mode)"),
+        include: z.array(z.string()).optional().describe("Only list files matching these globs (directories are always listed)"),
+        exclude: z.array(z.string()).optional().describe("Hide files and directories matching these globs"),
+        details: z.boolean().optional().describe("Include size, modification time and symlink targets (default: false)"),
+        format: z.enum(["json", "tree"]).optional().describe("Output as JSON (default) or an indented text tree"),
+        maxEntries: z.number().int().positive().max(MAX_TREE_ENTRIES).optional().describe(`Maximum entries in recursive mode (default: ${DEFAULT_TREE_ENTRIES})`),
+        cursor: z.string().optional().describe("Continuation cursor from a previous truncated listing"),
+      },
+      outputSchema: {
+        project: z.string(),
+        dir: z.string(),
+        count: z.number(),
+        truncated: z.boolean(),
+        nextCursor: z.string().optional(),
+        entries: z.array(z.object({
+          name: z.string(),
+          type: z.string().describe("file or directory (recursive mode also reports symlink)"),
+          path: z.string().optional().describe("Path from the project root (recursive mode)"),
+          depth: z.number().optional().describe("Depth below the listed directory (recursive mode)"),
+          size: z.number().optional(),
+          modified: z.string().optional(),
+          target: z.string().optional().describe("Symlink target"),
+        })),
       },
     },
-    async ({ project, dir = "" }) => {
-      const root = getProjectPath(projects, project);
-      const target = path.join(root, dir);
-
-      const items = await fs.readdir(target, { withFileTypes: true });
-      const result = items.map((item) => ({
-        name: item.name,
-        type: item.isDirectory() ? "directory" : "file",
-      }));
-      
-      return {
-        content: [
-          {
-            type: "text",
-            text: JSON.stringify(result, null, 2),
-          },
-        ],
-      };
+    async ({
+      project,
+      dir = "",
+      recursive = false,
+      maxDepth = DEFAULT_TREE_DEPTH,
+      respectGitignore = recursive,
+      include = [],
+      exclude = [],
+      details = false,
+      format = "json",
+      maxEntries = DEFAULT_TREE_ENTRIES,
+      cursor,
+    }) => {
+      try {
+        const target = await resolveProjectFile(projects, settings, project, dir);
+        if (!target.stats.isDirectory()) {
+          throw new AccessError(
+            "NOT_A_DIRECTORY",
+            `Path '${dir}' in project '${project}' is not a directory`,
+            { project, path: dir }
+          );
+        }
+
+        const offset = cursor ? decodeCursor(cursor) : 0;
+        if (offset === null) {
+          throw new AccessError("INVALID_CURSOR", `Invalid cursor: ${cursor}`, { cursor });
+        }
+        const includeGlobs = compileGlobs(include);
+        const excludeGlobs = compileGlobs(exclude);
+        const entries = walkProject(target.root, {
+          startDir: target.relativePath,
+          rules: getAccessRules(settings, project),
+          gitignore: respectGitignore,
+          maxDepth: recursive ? maxDepth : 1,
+          // Plain listings show .git like any other directory, as they always have
+          includeGitDirectory: !recursive,
+        });
+
+        const result = [];
+        let seen = 0;
+        let truncated = false;
+
+        for await (const entry of entries) {
+          const globsMatch = entry.type === "directory"
+            ? !excludeGlobs.some((glob) => glob.match(entry.relativePath))
+            : matchesGlobs(entry.relativePath, includeGlobs, excludeGlobs);
+          if (!globsMatch) continue;
+
+          if (seen++ < offset) continue;
+          if (recursive && result.length >= maxEntries) {
+            truncated = true;
+            break;
+          }
+
+          // Plain listings keep reporting symlinks as files, as they always have
+          const item = { name: entry.name, type: recursive || entry.type !== "symlink" ? entry.type : "file" };
+          if (recursive) {
+            item.path = entry.relativePath;
+            item.depth = entry.depth;
+          }
+          if (details) {
+            Object.assign(item, await describeEntry(entry));
+          }
+          result.push(item);
+        }
+
+        const nextCursor = truncated ? encodeCursor(offset + result.length) : undefined;
+        const listing = {
+          project,
+          dir: target.relativePath,
+          count: result.length,
+          truncated,
+          ...(truncated && { nextCursor }),
+          entries: result,
+        };
+
+        if (format === "tree") {
+          const tree = renderTree(result, { details });
+          return jsonResult(
+            listing,
+            truncated ? `${tree}\n… truncated after ${result.length} entries (cursor: ${nextCursor})` : tree || "(empty)"
+          );
+        }
+
+        return jsonResult(listing);
+      } catch (error) {
+        return errorResult(error, "list files");
+      }
     }
   );
 
@@ -144,25 +727,444 @@ export function registerFileTools(mcpServer, projects) {
   mcpServer.registerTool(
     "readFile",
     {
-      description: "Read a file content from a given project",
+      description: "Read file content from a given project, optionally a line or byte range. Binary files are summarized (small images are returned as images).",
       inputSchema: {
         project: z.string().describe("Project name"),
-        file: z.string().describe("Relative file path from the project root"),
+        file: z.string().optional().describe("Relative file path from the project root"),
+        files: z.array(z.string()).optional().describe("Several relative file paths to read in one call"),
+        startLine: z.number().int().positive().optional().describe("First line to read (1-based)"),
+        endLine: z.number().int().positive().optional().describe("Last line to read (inclusive)"),
+        byteOffset: z.number().int().min(0).optional().describe("Byte offset to start reading at"),
+        byteLength: z.number().int().positive().optional().describe("Number of bytes to read from byteOffset"),
+        maxBytes: z.number().int().positive().max(MAX_READ_BYTES).optional().describe(`Maximum bytes returned per file before truncating (default: ${DEFAULT_READ_BYTES})`),
+        lineNumbers: z.boolean().optional().describe("Prefix each line with its line number (default: false)"),
+      },
+      outputSchema: {
+        project: z.string(),
+        files: z.array(z.object({
+          file: z.string(),
+          size: z.number().optional(),
+          binary: z.boolean().optional(),
+          mimeType: z.string().nullable().optional(),
+          image: z.boolean().optional().describe("Returned as an image content block"),
+          text: z.string().optional().describe("File text (line numbers prefixed when requested)"),
+          encoding: z.literal("base64").optional(),
+          data: z.string().optional().describe("Raw bytes of a binary byte range"),
+          startLine: z.number().optional(),
+          endLine: z.number().optional(),
+          byteOffset: z.number().optional(),
+          byteLength: z.number().optional(),
+          truncated: z.boolean().optional(),
+          nextStartLine: z.number().optional(),
+          nextByteOffset: z.number().optional(),
+          note: z.string().optional(),
+          error: z.object({ code: z.string(), message: z.string() }).passthrough().optional()
+            .describe("Why this file could not be read (several files only)"),
+        })),
       },
     },
-    async ({ project, file }) => {
-      const root = getProjectPath(projects, project);
-      const filePath = path.join(root, file);
-      const content = await fs.readFile(filePath, "utf8");
-      
-      return {
-        content: [
-          {
-            type: "text",
-            text: content,
-          },
-        ],
+    async ({ project, file, files = [], startLine, endLine, byteOffset, byteLength, maxBytes = DEFAULT_READ_BYTES, lineNumbers = false }) => {
+      const requested = [...(file ? [file] : []), ...files];
+      const options = { startLine, endLine, byteOffset, byteLength, maxBytes, lineNumbers };
+      const readOne = async (relativePath) => {
+        const target = await resolveProjectFile(projects, settings, project, relativePath, { allowGitMetadata: false });
+        if (target.stats.isDirectory()) {
+          throw new AccessError(
+            "NOT_A_FILE",
+            `Path '${relativePath}' in project '${project}' is a directory`,
+            { project, path: relativePath }
+          );
+        }
+        return readFileContent(target, options);
       };
+
+      try {
+        if (requested.length === 0) {
+          throw new AccessError("INVALID_ARGUMENT", "Either 'file' or 'files' must be provided");
+        }
+        if ((startLine || endLine) && (byteOffset !== undefined || byteLength)) {
+          throw new AccessError(
+            "INVALID_ARGUMENT",
+            "Use either a line range (startLine/endLine) or a byte range (byteOffset/byteLength), not both"
+          );
+        }
+        if (startLine && endLine && endLine < startLine) {
+          throw new AccessError("INVALID_ARGUMENT", "endLine must be greater than or equal to startLine");
+        }
+
+        if (requested.length === 1) {
+          const { content, info } = await readOne(requested[0]);
+          return jsonResult({ project, files: [info] }, content);
+        }
+
+        // Several files: one header block per file, failures reported inline
+        const content = [];
+        const infos = [];
+        for (const relativePath of requested) {
+          content.push({ type: "text", text: `==> ${relativePath} <==` });
+          try {
+            const read = await readOne(relativePath);
+            content.push(...read.content);
+            infos.push(read.info);
+          } catch (error) {
+            if (!(error instanceof AccessError)) {
+              throw error;
+            }
+            content.push(error.toToolResult().content[0]);
+            infos.push({ file: relativePath, error: error.toObject() });
+          }
+        }
+
+        return jsonResult({ project, files: infos }, content);
+      } catch (error) {
+        return errorResult(error, "read file");
+      }
+    }
+  );
+
+  // ----------------------------------------
+  // Tool: searchFiles
+  // ----------------------------------------
+  mcpServer.registerTool(
+    "searchFiles",
+    {
+      description: "Search file contents across one, several, or all registered projects (respects .gitignore)",
+      inputSchema: {
+        query: z.string().describe("Text to search for (or a regular expression when regex is true)"),
+        projects: z.array(z.string()).optional().describe("Projects to search (default: all registered projects)"),
+        regex: z.boolean().optional().describe("Treat query as a regular expression (default: false)"),
+        caseSensitive: z.boolean().optional().describe("Match case exactly (default: false)"),
+        include: z.array(z.string()).optional().describe("Only search files matching these globs (e.g., '*.js', 'src/**')"),
+        exclude: z.array(z.string()).optional().describe("Skip files matching these globs"),
+        contextLines: z.number().int().min(0).max(10).optional().describe("Lines of context before and after each match (default: 0)"),
+        respectGitignore: z.boolean().optional().describe("Skip files ignored by .gitignore (default: true)"),
+        maxResults: z.number().int().positive().optional().describe("Maximum number of matches to return (default: 100)"),
+        skip: z.number().int().min(0).optional().describe("Number of matches to skip for pagination"),
+      },
+      outputSchema: {
+        query: z.string(),
+        regex: z.boolean(),
+        caseSensitive: z.boolean(),
+        count: z.number().describe("Matches returned"),
+        filesSearched: z.number(),
+        truncated: z.boolean(),
+        nextSkip: z.number().optional().describe("skip value for the next page"),
+        results: z.array(z.object({
+          project: z.string(),
+          files: z.array(z.object({
+            file: z.string(),
+            matches: z.array(z.object({
+              line: z.number(),
+              text: z.string(),
+              before: z.array(z.string()).optional(),
+              after: z.array(z.string()).optional(),
+            })),
+          })),
+        })),
+        skipped: z.array(z.object({ project: z.string(), reason: z.string() })).optional(),
+      },
+    },
+    async ({
+      query,
+      projects: selectedProjects,
+      regex = false,
+      caseSensitive = false,
+      include = [],
+      exclude = [],
+      contextLines = 0,
+      respectGitignore = true,
+      maxResults = 100,
+      skip = 0,
+    }) => {
+      try {
+        const pattern = buildSearchPattern(query, { regex, caseSensitive });
+        const includeGlobs = compileGlobs(include);
+        const excludeGlobs = compileGlobs(exclude);
+        const projectNames = selectedProjects?.length ? selectedProjects : Object.keys(projects);
+
+        const results = [];
+        const skipped = [];
+        let matchIndex = 0;
+        let returned = 0;
+        let filesSearched = 0;
+        let truncated = false;
+
+        search: for (const projectName of projectNames) {
+          let root;
+          try {
+            ({ root } = await resolveProjectFile(projects, settings, projectName, ""));
+          } catch (error) {
+            if (error instanceof AccessError) {
+              skipped.push({ project: projectName, reason: error.message });
+              continue;
+            }
+            throw error;
+          }
+
+          let projectResult = null;
+          const entries = walkProject(root, {
+            rules: getAccessRules(settings, projectName),
+            gitignore: respectGitignore,
+          });
+
+          for await (const entry of entries) {
+            if (entry.type !== "file" || !matchesGlobs(entry.relativePath, includeGlobs, excludeGlobs)) {
+              continue;
+            }
+
+            const stats = await fs.stat(entry.absolutePath);
+            if (stats.size > MAX_SEARCH_FILE_SIZE) continue;
+
+            const content = await readTextFile(entry.absolutePath);
+            if (content === null) continue;
+            filesSearched++;
+
+            const lines = content.split(/\r?\n/);
+            if (lines[lines.length - 1] === "") lines.pop();
+            let fileResult = null;
+
+            for (let i = 0; i < lines.length; i++) {
+              if (!pattern.test(lines[i])) continue;
+
+              if (matchIndex++ < skip) continue;
+              if (returned >= maxResults) {
+                truncated = true;
+                break search;
+              }
+
+              if (!projectResult) {
+                projectResult = { project: projectName, files: [] };
+                results.push(projectResult);
+              }
+              if (!fileResult) {
+                fileResult = { file: entry.relativePath, matches: [] };
+                projectResult.files.push(fileResult);
+              }
+
+              const match = { line: i + 1, text: clipLine(lines[i]) };
+              if (contextLines > 0) {
+                match.before = lines.slice(Math.max(0, i - contextLines), i).map(clipLine);
+                match.after = lines.slice(i + 1, i + 1 + contextLines).map(clipLine);
+              }
+              fileResult.matches.push(match);
+              returned++;
+            }
+          }
+        }
+
+        return jsonResult({
+          query,
+          regex,
+          caseSensitive,
+          count: returned,
+          filesSearched,
+          truncated,
+          ...(truncated && { nextSkip: skip + returned }),
+          results,
+          ...(skipped.length > 0 && { skipped }),
+        });
+      } catch (error) {
+        return errorResult(error, "search files");
+      }
+    }
+  );
+
+  // Write tools are not even advertised to clients of a read-only server
+  if (readOnly) return;
+
+  // ----------------------------------------
+  // Tool: writeFile
+  // ----------------------------------------
+  mcpServer.registerTool(
+    "writeFile",
+    {
+      description: "Create or overwrite a file in a writable project (projects are read-only unless marked \"writable\": true)",
+      inputSchema: {
+        project: z.string().describe("Project name"),
+        file: z.string().describe("Relative file path from the project root"),
+        content: z.string().describe("Full new file content"),
+        dryRun: z.boolean().optional().describe("Only return the resulting diff without writing (default: false)"),
+        force: z.boolean().optional().describe("Overwrite even if the file has uncommitted changes (default: false)"),
+      },
+      outputSchema: writeOutputSchema,
+    },
+    async ({ project, file, content, dryRun = false, force = false }) => {
+      try {
+        const target = await resolveWritableFile(projects, settings, project, file, { force, mustExist: false });
+        const before = target.stats ? await readEditableText(target, project) : null;
+        const change = {
+          file: target.relativePath,
+          action: before === null ? "created" : "updated",
+          diff: buildFileDiff(target.relativePath, before, content),
+        };
+
+        if (!dryRun) {
+          await fs.mkdir(path.dirname(target.absolutePath), { recursive: true });
+          await writeFileAtomic(target.absolutePath, content);
+        }
+
+        return writeResult(project, [change], dryRun);
+      } catch (error) {
+        return errorResult(error, "write file");
+      }
+    }
+  );
+
+  // ----------------------------------------
+  // Tool: editFile
+  // ----------------------------------------
+  mcpServer.registerTool(
+    "editFile",
+    {
+      description: "Replace text in a file of a writable project (search and replace)",
+      inputSchema: {
+        project: z.string().describe("Project name"),
+        file: z.string().describe("Relative file path from the project root"),
+        oldText: z.string().min(1).describe("Exact text to replace"),
+        newText: z.string().describe("Replacement text"),
+        replaceAll: z.boolean().optional().describe("Replace every occurrence instead of requiring a unique match (default: false)"),
+        dryRun: z.boolean().optional().describe("Only return the resulting diff without writing (default: false)"),
+        force: z.boolean().optional().describe("Edit even if the file has uncommitted changes (default: false)"),
+      },
+      outputSchema: writeOutputSchema,
+    },
+    async ({ project, file, oldText, newText, replaceAll = false, dryRun = false, force = false }) => {
+      try {
+        const target = await resolveWritableFile(projects, settings, project, file, { force });
+        const before = await readEditableText(target, project);
+        const occurrences = before.split(oldText).length - 1;
+
+        if (occurrences === 0) {
+          throw new AccessError("EDIT_NO_MATCH", `oldText was not found in '${file}'`, { project, path: file });
+        }
+        if (occurrences > 1 && !replaceAll) {
+          throw new AccessError(
+            "EDIT_NOT_UNIQUE",
+            `oldText occurs ${occurrences} times in '${file}'. Add surrounding context or pass replaceAll: true`,
+            { project, path: file, occurrences }
+          );
+        }
+
+        const after = replaceAll ? before.split(oldText).join(newText) : before.replace(oldText, () => newText);
+        const change = {
+          file: target.relativePath,
+          action: `updated (${occurrences} replacement${occurrences === 1 ? "" : "s"})`,
+          diff: buildFileDiff(target.relativePath, before, after),
+        };
+
+        if (!dryRun) {
+          await writeFileAtomic(target.absolutePath, after);
+        }
+
+        return writeResult(project, [change], dryRun);
+      } catch (error) {
+        return errorResult(error, "edit file");
+      }
+    }
+  );
+
+  // ----------------------------------------
+  // Tool: applyPatch
+  // ----------------------------------------
+  mcpServer.registerTool(
+    "applyPatch",
+    {
+      description: "Apply a unified diff (one or more files) to a writable project. Nothing is written unless every file applies cleanly.",
+      inputSchema: {
+        project: z.string().describe("Project name"),
+        patch: z.string().describe("Unified diff, e.g. the output of 'git diff'"),
+        dryRun: z.boolean().optional().describe("Only check the patch and return the resulting diff (default: false)"),
+        force: z.boolean().optional().describe("Patch files even if they have uncommitted changes (default: false)"),
+      },
+      outputSchema: writeOutputSchema,
+    },
+    async ({ project, patch, dryRun = false, force = false }) => {
+      try {
+        if (/^copy from /m.test(patch)) {
+          throw new AccessError("PATCH_INVALID", "Copy patches (copy from/copy to) are not supported", { project });
+        }
+        const unsupported = findUnsupportedPatchSection(patch);
+        if (unsupported) {
+          throw new AccessError(
+            "PATCH_INVALID",
+            `Cannot apply the patch for '${unsupported.file}': ${unsupported.reason}`,
+            { project, path: unsupported.file }
+          );
+        }
+
+        // Renames without content changes have no hunks, so only their git headers name them
+        const filePatches = parsePatch(patch).filter((filePatch) => filePatch.hunks.length > 0);
+        for (const { from, to } of parsePatchRenames(patch)) {
+          const withHunks = filePatches.some((filePatch) =>
+            patchPath(filePatch.oldFileName) === from && patchPath(filePatch.newFileName) === to);
+          if (!withHunks) {
+            filePatches.push({ oldFileName: `a/${from}`, newFileName: `b/${to}`, hunks: [] });
+          }
+        }
+        if (filePatches.length === 0) {
+          throw new AccessError("PATCH_INVALID", "The patch does not contain any hunks", { project });
+        }
+
+        // Check every file first so a failing hunk leaves the project untouched
+        const planned = [];
+        for (const filePatch of filePatches) {
+          const oldPath = patchPath(filePatch.oldFileName);
+          const newPath = patchPath(filePatch.newFileName);
+          const file = newPath ?? oldPath;
+          const renamed = oldPath !== null && newPath !== null && oldPath !== newPath;
+
+          // A rename reads the old path and writes the new one
+          const source = renamed
+            ? await resolveWritableFile(projects, settings, project, oldPath, { force })
+            : null;
+          const target = await resolveWritableFile(projects, settings, project, file, {
+            force,
+            mustExist: oldPath !== null && !renamed,
+          });
+          if ((oldPath === null || renamed) && target.stats) {
+            throw new AccessError("PATCH_FAILED", `Patch creates '${file}', which already exists`, { project, path: file });
+          }
+          const before = oldPath === null ? null : await readEditableText(source ?? target, project);
+          const patched = applyPatch(before ?? "", filePatch);
+
+          if (patched === false) {
+            throw new AccessError(
+              "PATCH_FAILED",
+              `Patch does not apply cleanly to '${file}'`,
+              { project, path: file }
+            );
+          }
+
+          const after = newPath === null ? null : patched;
+          planned.push({
+            target,
+            source,
+            after,
+            file: target.relativePath,
+            ...(source && { from: source.relativePath }),
+            action: before === null ? "created" : after === null ? "deleted" : source ? "renamed" : "updated",
+            diff: buildFileDiff(target.relativePath, before, after, source?.relativePath),
+          });
+        }
+
+        if (!dryRun) {
+          for (const { target, source, after } of planned) {
+            if (after === null) {
+              await fs.rm(target.absolutePath);
+            } else {
+              await fs.mkdir(path.dirname(target.absolutePath), { recursive: true });
+              await writeFileAtomic(target.absolutePath, after);
+              if (source) {
+                await fs.rm(source.absolutePath);
+              }
+            }
+          }
+        }
+
+        return writeResult(project, planned, dryRun);
+      } catch (error) {
+        return errorResult(error, "apply patch");
+      }
     }
   );
 }
@@ -7,16 +7,423 @@
 import fs from "fs/promises";
 import path from "path";
 import { z } from "zod";
-import { getGitInstance, formatCommit } from "../utils/gitHelpers.js";
+import {
+  getGitInstance,
+  formatCommit,
+  resolveCommit,
+  getRevisionObjectType,
+  readRevisionFile,
+  listRevisionTree,
+  getRepositoryPrefix,
+  listTags,
+  getRevisionDate,
+  parseGitDate,
+  predictMerge,
+  literalPathspec,
+} from "../utils/gitHelpers.js";
 import { getProjectPath } from "../config/projectLoader.js";
+import { checkAccess, getAccessRules, resolveProjectFile } from "../utils/pathAccess.js";
+import { AccessError, jsonResult, errorResult } from "../utils/toolResults.js";
+import { isBinaryBuffer, numberLines } from "../utils/fileContent.js";
+import { compileGlobs, matchesGlobs } from "../utils/fileWalker.js";
+import { listChangedFiles, getStructuredDiff, LINE_HISTORY_ARGS, parseLineHistory } from "../utils/gitDiff.js";
+import { NUMSTAT_LOG_ARGS, parseNumstatLog, computeRepositoryStats } from "../utils/repoStats.js";
+import { encodeCursor, decodeCursor } from "../utils/cursor.js";
+import {
+  MAX_CONCURRENT_PROCESSES,
+  withResultCache,
+  listPooledRepositories,
+  getResultCacheStats,
+  clearResultCache,
+} from "../utils/gitCache.js";
+import {
+  CHANGELOG_LOG_ARGS,
+  parseChangelogLog,
+  buildChangelog,
+  getRepositoryWebUrl,
+  renderReleaseMarkdown,
+  renderWorkspaceReleaseNotesMarkdown,
+} from "../utils/changelog.js";
+
+// Working change listings stop after this many files per section
+const MAX_CHANGED_FILES = 500;
+
+// Once this much diff text has been returned, further files are listed without their diff
+const MAX_DIFF_BYTES = 256 * 1024;
+
+// Structured diff budgets (getCommitDetails, compareBranches): defaults and hard limits
+const DEFAULT_DIFF_FILE_BYTES = 32 * 1024;
+const DEFAULT_DIFF_TOTAL_BYTES = 256 * 1024;
+const MAX_DIFF_FILE_BYTES = 1024 * 1024;
+const MAX_DIFF_TOTAL_BYTES = 5 * 1024 * 1024;
+
+// The empty tree, diffed against for commits without a parent
+const EMPTY_TREE = "4b825dc642cb6eb9a060e54bf8d69288fbee4904";
+
+// Input options shared by the tools that return structured diffs
+const structuredDiffSchema = {
+  include: z.array(z.string()).optional().describe("Only include files matching these globs (e.g. ['src/**/*.ts'])"),
+  exclude: z.array(z.string()).optional().describe("Leave out files matching these globs (e.g. ['**/*.lock'])"),
+  filesOnly: z.boolean().optional().describe("Return only the changed files with status and line counts, no hunks (default: false)"),
+  contextLines: z.number().int().min(0).optional().describe("Lines of context around changes (default: 3)"),
+  maxFileBytes: z.number().int().positive().max(MAX_DIFF_FILE_BYTES).optional().describe(`Hunk text budget per file before it is truncated (default: ${DEFAULT_DIFF_FILE_BYTES})`),
+  maxTotalBytes: z.number().int().positive().max(MAX_DIFF_TOTAL_BYTES).optional().describe(`Hunk text budget for the whole diff; later files are listed without hunks (default: ${DEFAULT_DIFF_TOTAL_BYTES})`),
+};
+
+// Output shapes shared by several tools
+const commitOutputSchema = z.object({
+  hash: z.string(),
+  author: z.string(),
+  email: z.string(),
+  date: z.string(),
+  message: z.string(),
+  body: z.string(),
+});
+
+const hunkOutputSchema = z.object({
+  header: z.string(),
+  oldStart: z.number(),
+  oldLines: z.number(),
+  newStart: z.number(),
+  newLines: z.number(),
+  lines: z.array(z.string()),
+});
+
+const changedFileOutputSchema = z.object({
+  path: z.string(),
+  oldPath: z.string().optional().describe("Previous path of a renamed or copied file"),
+  status: z.string().describe("added, modified, deleted, renamed, copied, typechange or unmerged"),
+  additions: z.number().nullable(),
+  deletions: z.number().nullable(),
+  binary: z.boolean(),
+  hunks: z.array(hunkOutputSchema).optional(),
+  truncated: z.boolean().optional().describe("Hunks were cut off at the per-file budget"),
+  hunksOmitted: z.boolean().optional().describe("Hunks left out once the total budget was used up"),
+  diff: z.string().optional(),
+  diffOmitted: z.boolean().optional(),
+});
+
+const structuredDiffOutputSchema = z.object({
+  summary: z.object({ files: z.number(), additions: z.number(), deletions: z.number() }),
+  files: z.array(changedFileOutputSchema),
+  truncated: z.boolean(),
+});
+
+const changelogEntryOutputSchema = z.object({
+  hash: z.string(),
+  shortHash: z.string(),
+  type: z.string().optional().describe("Conventional Commit type (missing for other changes)"),
+  scope: z.string().nullable(),
+  description: z.string(),
+  breaking: z.boolean(),
+  author: z.string(),
+  date: z.string(),
+  references: z.array(z.object({
+    id: z.string(),
+    number: z.number(),
+    kind: z.enum(["issue", "pull"]),
+    repository: z.string().optional(),
+    url: z.string().optional(),
+  })),
+  url: z.string().optional(),
+});
+
+const fileStatsOutputSchema = z.object({
+  path: z.string(),
+  commits: z.number(),
+  additions: z.number(),
+  deletions: z.number(),
+  churn: z.number(),
+  authors: z.number(),
+});
+
+const releaseOutputSchema = z.object({
+  project: z.string(),
+  from: z.string().nullable().describe("Previous release (null: the release covers the whole history)"),
+  to: z.string(),
+  date: z.string(),
+  tags: z.array(z.string()).optional().describe("Tags released in the window (workspace mode)"),
+  compareUrl: z.string().optional(),
+  truncated: z.boolean().optional(),
+  commitCount: z.number(),
+  breaking: z.array(changelogEntryOutputSchema.extend({ notes: z.array(z.string()) })),
+  sections: z.array(z.object({
+    type: z.string(),
+    title: z.string(),
+    scopes: z.array(z.object({ scope: z.string().nullable(), entries: z.array(changelogEntryOutputSchema) })),
+  })),
+});
+
+/**
+ * Build getStructuredDiff options from tool arguments, applying access rules and glob filters
+ * @param {Object} settings - Project settings registry
+ * @param {string} project - Project name
+ * @param {Object} args - Tool arguments (see structuredDiffSchema)
+ * @returns {Object} Options for getStructuredDiff
+ */
+function structuredDiffOptions(settings, project, {
+  include = [],
+  exclude = [],
+  filesOnly = false,
+  contextLines = 3,
+  maxFileBytes = DEFAULT_DIFF_FILE_BYTES,
+  maxTotalBytes = DEFAULT_DIFF_TOTAL_BYTES,
+}) {
+  const rules = getAccessRules(settings, project);
+  const includeGlobs = compileGlobs(include);
+  const excludeGlobs = compileGlobs(exclude);
+  const paths = (entry) => (entry.oldPath ? [entry.path, entry.oldPath] : [entry.path]);
+
+  return {
+    // Renames are hidden when either side is denied, and match the globs on either side
+    filter: (entry) => paths(entry).every((filePath) => checkAccess(rules, filePath).allowed)
+      && paths(entry).some((filePath) => matchesGlobs(filePath, includeGlobs, excludeGlobs)),
+    filesOnly,
+    contextLines,
+    maxFileBytes,
+    maxTotalBytes,
+  };
+}
+
+// getRepositoryStats reads at most this many commits
+const MAX_STATS_COMMITS = 20000;
+
+// Revisions listed here are skipped by gitBlame (the convention GitHub and GitLab follow too)
+const IGNORE_REVS_FILE = ".git-blame-ignore-revs";
+
+// getLineHistory default length
+const DEFAULT_LINE_HISTORY_COMMITS = 20;
+
+// generateChangelog reads at most this many commits per release
+const MAX_CHANGELOG_COMMITS = 5000;
+
+// readFileAtRevision output limits
+const DEFAULT_READ_BYTES = 256 * 1024;
+const MAX_READ_BYTES = 5 * 1024 * 1024;
+
+// listFilesAtRevision defaults and hard limit
+const DEFAULT_TREE_DEPTH = 5;
+const DEFAULT_TREE_ENTRIES = 500;
+const MAX_TREE_ENTRIES = 5000;
+
+/**
+ * Resolve a project path at a revision, enforcing the sandbox and access rules
+ * @param {SimpleGit} git - Git instance rooted at the project
+ * @param {Object} projects - Projects registry
+ * @param {Object} settings - Project settings registry
+ * @param {string} project - Project name
+ * @param {string} ref - Commit-ish
+ * @param {string} relativePath - Path relative to the project root
+ * @returns {Promise<{relativePath: string, commit: string, type: "blob"|"tree"}>}
+ * @throws {AccessError} If the path is denied or the revision or path does not exist
+ */
+async function resolveRevisionPath(git, projects, settings, project, ref, relativePath) {
+  // The path need not exist in the working tree, only in the revision
+  const target = await resolveProjectFile(projects, settings, project, relativePath, { mustExist: false });
+  const details = { project, path: relativePath, ref };
+
+  const commit = await resolveCommit(git, ref);
+  if (!commit) {
+    throw new AccessError("REF_NOT_FOUND", `Revision '${ref}' not found in project '${project}'`, details);
+  }
+
+  const type = await getRevisionObjectType(git, ref, target.relativePath);
+  if (!type) {
+    throw new AccessError(
+      "PATH_NOT_FOUND",
+      `Path '${relativePath}' not found in project '${project}' at revision '${ref}'`,
+      details
+    );
+  }
+
+  return { relativePath: target.relativePath, commit, type };
+}
+
+/**
+ * Parse `git blame --line-porcelain` output
+ * @param {string} output - Blame output
+ * @param {string} repositoryPath - Blamed file's path from the repository root (as git reports file names)
+ * @returns {Object[]} One entry per line: hash, lineNum, author, email, date, summary, content,
+ *   plus originalLine and originalFile when the line came from elsewhere (-M/-C)
+ */
+function parseBlamePorcelain(output, repositoryPath) {
+  const blameData = [];
+  let currentCommit = null;
+
+  for (const line of output.split('\n')) {
+    if (!currentCommit) {
+      const header = /^([0-9a-f]{40}) (\d+) (\d+)/.exec(line);
+      if (header) {
+        currentCommit = { hash: header[1], lineNum: Number(header[3]), originalLine: Number(header[2]) };
+      }
+    } else if (line.startsWith('author ')) {
+      currentCommit.author = line.substring(7);
+    } else if (line.startsWith('author-mail ')) {
+      currentCommit.email = line.substring(12).replace(/^<|>$/g, '');
+    } else if (line.startsWith('author-time ')) {
+      currentCommit.date = new Date(parseInt(line.substring(12)) * 1000).toISOString();
+    } else if (line.startsWith('summary ')) {
+      currentCommit.summary = line.substring(8);
+    } else if (line.startsWith('filename ')) {
+      currentCommit.filename = line.substring(9);
+    } else if (line.startsWith('\t')) {
+      const { originalLine, filename, ...entry } = currentCommit;
+      entry.content = line.substring(1);
+      // Only worth reporting when the line was moved or copied
+      if (originalLine !== entry.lineNum) entry.originalLine = originalLine;
+      if (filename !== repositoryPath) entry.originalFile = filename;
+      blameData.push(entry);
+      currentCommit = null;
+    }
+  }
+
+  return blameData;
+}
+
+/**
+ * Aggregate blamed lines per author
+ * @param {Object[]} blameData - Result of parseBlamePorcelain
+ * @returns {Array<{author: string, email: string, lines: number, share: number, commits: number, lastChanged: string}>} Most lines first
+ */
+function summarizeBlame(blameData) {
+  const authors = new Map();
+  for (const line of blameData) {
+    const key = (line.email || line.author).toLowerCase();
+    const entry = authors.get(key) ?? { author: line.author, email: line.email, lines: 0, commits: new Set(), lastChanged: line.date };
+    entry.lines++;
+    entry.commits.add(line.hash);
+    if (line.date > entry.lastChanged) entry.lastChanged = line.date;
+    authors.set(key, entry);
+  }
+
+  return [...authors.values()]
+    .sort((a, b) => b.lines - a.lines)
+    .map(({ commits, ...entry }) => ({
+      ...entry,
+      share: Math.round((entry.lines / blameData.length) * 1000) / 1000,
+      commits: commits.size,
+    }));
+}
+
+/**
+ * Resolve the revisions a release spans, defaulting to the last two tags
+ *
+ * Without refs the newest tag is the release. Unless `from` is given, the previous
+ * release is the nearest tag reachable from the release's parent.
+ * A missing previous release means the release covers the whole history.
+ *
+ * @param {SimpleGit} git - Git instance rooted at the project
+ * @param {string} project - Project name
+ * @param {Object} options
+ * @param {string} [options.from] - Previous release (exclusive)
+ * @param {string} [options.to] - Release (inclusive)
+ * @param {string} [options.tagPattern] - Only consider tags matching this glob
+ * @returns {Promise<{from: string|null, to: string}>}
+ * @throws {AccessError} If a revision does not exist or there are no tags to default to
+ */
+async function resolveReleaseRange(git, project, { from, to, tagPattern }) {
+  if (!from && !to) {
+    const tags = await listTags(git, tagPattern);
+    if (tags.length === 0) {
+      throw new AccessError(
+        "REF_NOT_FOUND",
+        `Project '${project}' has no tags${tagPattern ? ` matching '${tagPattern}'` : ""}; pass 'from' and 'to'`,
+        { project, ...(tagPattern && { tagPattern }) }
+      );
+    }
+    to = tags[0].name;
+  }
+
+  for (const ref of [from, to].filter(Boolean)) {
+    if (!(await resolveCommit(git, ref))) {
+      throw new AccessError("REF_NOT_FOUND", `Revision '${ref}' not found in project '${project}'`, { project, ref });
+    }
+  }
+
+  if (from) {
+    return { from, to: to ?? "HEAD" };
+  }
+
+  const previous = await git
+    .raw(["describe", "--tags", "--abbrev=0", ...(tagPattern ? [`--match=${tagPattern}`] : []), `${to}^`])
+    .catch(() => "");
+  return { from: previous.trim() || null, to };
+}
+
+/**
+ * Collect and group the commits of one release, limited to the project directory
+ * @param {SimpleGit} git - Git instance rooted at the project
+ * @param {string} project - Project name
+ * @param {{from: string|null, to: string}} range - Result of resolveReleaseRange
+ * @param {boolean} includeOther - Keep commits that do not follow the Conventional Commits format
+ * @returns {Promise<Object>} project, from, to, date, compareUrl, then the buildChangelog result
+ */
+async function collectRelease(git, project, { from, to }, includeOther) {
+  const [output, date, remotes] = await Promise.all([
+    git.raw([
+      "log",
+      ...CHANGELOG_LOG_ARGS,
+      `--max-count=${MAX_CHANGELOG_COMMITS}`,
+      from ? `${from}..${to}` : to,
+      "--",
+      ".",
+    ]),
+    getRevisionDate(git, to),
+    git.getRemotes(true),
+  ]);
+
+  const remote = remotes.find((entry) => entry.name === "origin") ?? remotes[0];
+  const web = getRepositoryWebUrl(remote?.refs.fetch);
+  const commits = parseChangelogLog(output);
+
+  return {
+    project,
+    from,
+    to,
+    date,
+    ...(web && from && { compareUrl: `${web.url}${web.host === "gitlab" ? "/-" : ""}/compare/${from}...${to}` }),
+    ...(commits.length === MAX_CHANGELOG_COMMITS && { truncated: true }),
+    ...buildChangelog(commits, { web, includeOther }),
+  };
+}
 
 /**
  * Register all git history tools
  * @param {McpServer} mcpServer - The MCP server instance
  * @param {Object} projects - Projects registry
+ * @param {Object} settings - Project settings registry (access rules)
  */
-export function registerGitTools(mcpServer, projects) {
-  
+export function registerGitTools(mcpServer, projects, settings) {
+
+  /**
+   * Serve a tool's results from the git result cache
+   *
+   * Only for tools whose results depend on nothing but their arguments, the project's
+   * access rules and the repository's refs (not the working tree).
+   *
+   * @param {string} tool - Tool name
+   * @param {Function} handler - Tool handler
+   * @param {Object} [options]
+   * @param {Function} [options.when] - Decides from the arguments whether a call may be cached
+   * @returns {Function} Tool handler
+   */
+  const cached = (tool, handler, { when = () => true } = {}) => async (args) => {
+    if (!when(args)) {
+      return handler(args);
+    }
+
+    let root;
+    try {
+      ({ root } = await getGitInstance(projects, args.project));
+    } catch {
+      // The handler reports the error
+      return handler(args);
+    }
+
+    const key = JSON.stringify([args, settings?.[args.project] ?? null]);
+    return withResultCache({ tool, root, key }, () => handler(args));
+  };
+
   // ----------------------------------------
   // Tool: getCommitHistory
   // ----------------------------------------
@@ -33,10 +440,19 @@ export function registerGitTools(mcpServer, projects) {
         since: z.string().optional().describe("Show commits since date (e.g., '2024-01-01', '1 week ago')"),
         until: z.string().optional().describe("Show commits until date"),
       },
+      outputSchema: {
+        project: z.string(),
+        branch: z.string(),
+        count: z.number(),
+        commits: z.array(commitOutputSchema),
+      },
     },
-    async ({ project, branch, maxCount = 50, skip = 0, author, since, until }) => {
+    cached("getCommitHistory", async ({ project, branch, maxCount = 50, skip = 0, author, since, until }) => {
       try {
         const { git } = await getGitInstance(projects, project);
+        if (branch && !(await resolveCommit(git, branch))) {
+          throw new AccessError("REF_NOT_FOUND", `Revision '${branch}' not found in project '${project}'`, { project, ref: branch });
+        }
         
         // Build log options
         const options = {
@@ -54,23 +470,16 @@ export function registerGitTools(mcpServer, projects) {
 
         const commits = log.all.map(formatCommit);
 
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify({
-                project,
-                branch: branch || "(current)",
-                count: commits.length,
-                commits,
-              }, null, 2),
-            },
-          ],
-        };
+        return jsonResult({
+          project,
+          branch: branch || "(current)",
+          count: commits.length,
+          commits,
+        });
       } catch (error) {
-        throw new Error(`Failed to get commit history: ${error.message}`);
+        return errorResult(error, "get commit history");
       }
-    }
+    })
   );
 
   // ----------------------------------------
@@ -87,8 +496,15 @@ export function registerGitTools(mcpServer, projects) {
         maxCount: z.number().optional().describe("Maximum number of results (default: 50)"),
         author: z.string().optional().describe("Filter by author name or email"),
       },
+      outputSchema: {
+        project: z.string(),
+        query: z.string(),
+        searchInDiff: z.boolean(),
+        count: z.number(),
+        commits: z.array(commitOutputSchema),
+      },
     },
-    async ({ project, query, searchInDiff = false, maxCount = 50, author }) => {
+    cached("searchCommits", async ({ project, query, searchInDiff = false, maxCount = 50, author }) => {
       try {
         const { git } = await getGitInstance(projects, project);
         
@@ -142,24 +558,17 @@ export function registerGitTools(mcpServer, projects) {
           commits = uniqueCommits.slice(0, maxCount);
         }
 
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify({
-                project,
-                query,
-                searchInDiff,
-                count: commits.length,
-                commits,
-              }, null, 2),
-            },
-          ],
-        };
+        return jsonResult({
+          project,
+          query,
+          searchInDiff,
+          count: commits.length,
+          commits,
+        });
       } catch (error) {
-        throw new Error(`Failed to search commits: ${error.message}`);
+        return errorResult(error, "search commits");
       }
-    }
+    })
   );
 
   // ----------------------------------------
@@ -168,47 +577,45 @@ export function registerGitTools(mcpServer, projects) {
   mcpServer.registerTool(
     "getCommitDetails",
     {
-      description: "Get detailed information about a specific git commit including diff",
+      description: "Get detailed information about a specific git commit with its diff parsed into per-file entries (status, line counts, hunks). Merge commits are diffed against their first parent.",
       inputSchema: {
         project: z.string().describe("Project name"),
         commitHash: z.string().describe("Commit hash (full or short)"),
+        ...structuredDiffSchema,
+      },
+      outputSchema: {
+        project: z.string(),
+        commit: commitOutputSchema,
+        parent: z.string().nullable().describe("First parent the diff is against (null for a root commit)"),
+        diff: structuredDiffOutputSchema,
       },
     },
-    async ({ project, commitHash }) => {
+    cached("getCommitDetails", async ({ project, commitHash, ...diffArgs }) => {
       try {
         const { git } = await getGitInstance(projects, project);
         
         // Get commit info
-        const log = await git.log({ maxCount: 1, [commitHash]: null });
-        if (!log.all.length) {
-          throw new Error(`Commit '${commitHash}' not found`);
+        const hash = await resolveCommit(git, commitHash);
+        if (!hash) {
+          throw new AccessError("REF_NOT_FOUND", `Commit '${commitHash}' not found in project '${project}'`, { project, ref: commitHash });
         }
-        
+        const log = await git.log({ maxCount: 1, [hash]: null });
         const commit = formatCommit(log.all[0]);
         
-        // Get commit diff
-        const diff = await git.show([commitHash]);
-        
-        // Get stats
-        const stats = await git.raw(['show', '--stat', '--oneline', commitHash]);
-
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify({
-                project,
-                commit,
-                stats,
-                diff,
-              }, null, 2),
-            },
-          ],
-        };
+        // Diff against the first parent (or the empty tree for a root commit)
+        const parent = await resolveCommit(git, `${hash}^1`);
+        const diff = await getStructuredDiff(git, [parent ?? EMPTY_TREE, hash], structuredDiffOptions(settings, project, diffArgs));
+
+        return jsonResult({
+          project,
+          commit,
+          parent,
+          diff,
+        });
       } catch (error) {
-        throw new Error(`Failed to get commit details: ${error.message}`);
+        return errorResult(error, "get commit details");
       }
-    }
+    })
   );
 
   // ----------------------------------------
@@ -223,36 +630,238 @@ export function registerGitTools(mcpServer, projects) {
         file: z.string().describe("File path relative to project root"),
         maxCount: z.number().optional().describe("Maximum number of commits to return (default: 50)"),
       },
+      outputSchema: {
+        project: z.string(),
+        file: z.string(),
+        count: z.number(),
+        commits: z.array(commitOutputSchema),
+      },
     },
-    async ({ project, file, maxCount = 50 }) => {
+    cached("getFileHistory", async ({ project, file, maxCount = 50 }) => {
       try {
         const { git } = await getGitInstance(projects, project);
+        // Deleted files still have a history, so the file need not exist
+        const target = await resolveProjectFile(projects, settings, project, file, { mustExist: false });
         
         // Get file history
         const log = await git.log({
-          file,
+          file: target.relativePath,
           maxCount,
         });
 
         const commits = log.all.map(formatCommit);
 
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify({
-                project,
-                file,
-                count: commits.length,
-                commits,
-              }, null, 2),
-            },
-          ],
-        };
+        return jsonResult({
+          project,
+          file,
+          count: commits.length,
+          commits,
+        });
       } catch (error) {
-        throw new Error(`Failed to get file history: ${error.message}`);
+        return errorResult(error, "get file history");
       }
-    }
+    })
+  );
+
+  // ----------------------------------------
+  // Tool: readFileAtRevision
+  // ----------------------------------------
+  mcpServer.registerTool(
+    "readFileAtRevision",
+    {
+      description: "Read a file as it was at a git revision (branch, tag or commit) without checking it out",
+      inputSchema: {
+        project: z.string().describe("Project name"),
+        ref: z.string().describe("Revision to read from (e.g. 'v1.2.0', 'main', 'HEAD~3', a commit hash)"),
+        file: z.string().describe("File path relative to project root"),
+        startLine: z.number().int().positive().optional().describe("First line to read (1-based)"),
+        endLine: z.number().int().positive().optional().describe("Last line to read (inclusive)"),
+        maxBytes: z.number().int().positive().max(MAX_READ_BYTES).optional().describe(`Maximum bytes returned before truncating (default: ${DEFAULT_READ_BYTES})`),
+        lineNumbers: z.boolean().optional().describe("Prefix each line with its line number (default: false)"),
+      },
+      outputSchema: {
+        file: z.string(),
+        ref: z.string(),
+        commit: z.string(),
+        size: z.number(),
+        binary: z.boolean(),
+        note: z.string().optional(),
+        startLine: z.number().optional(),
+        endLine: z.number().optional(),
+        truncated: z.boolean().optional(),
+        nextStartLine: z.number().optional(),
+        text: z.string().optional().describe("File text (line numbers prefixed when requested)"),
+      },
+    },
+    cached("readFileAtRevision", async ({ project, ref, file, startLine, endLine, maxBytes = DEFAULT_READ_BYTES, lineNumbers = false }) => {
+      try {
+        if (startLine && endLine && endLine < startLine) {
+          throw new AccessError("INVALID_ARGUMENT", "endLine must be greater than or equal to startLine");
+        }
+
+        const { git } = await getGitInstance(projects, project);
+        const target = await resolveRevisionPath(git, projects, settings, project, ref, file);
+        if (target.type !== "blob") {
+          throw new AccessError(
+            "NOT_A_FILE",
+            `Path '${file}' in project '${project}' is a directory at revision '${ref}'. Use listFilesAtRevision instead`,
+            { project, path: file, ref }
+          );
+        }
+
+        const data = await readRevisionFile(git, ref, target.relativePath);
+        const described = { file: target.relativePath, ref, commit: target.commit, size: data.length };
+        if (isBinaryBuffer(data)) {
+          return jsonResult({ ...described, binary: true, note: "Binary content not shown" });
+        }
+
+        // Split into the requested lines, then stop before the byte limit
+        const allLines = data.toString("utf8").split("\n");
+        if (allLines[allLines.length - 1] === "") allLines.pop();
+        const firstLine = startLine || 1;
+        const wanted = allLines.slice(firstLine - 1, endLine || allLines.length);
+        const lines = [];
+        let bytes = 0;
+        for (const line of wanted) {
+          bytes += Buffer.byteLength(line) + 1;
+          if (bytes > maxBytes && lines.length > 0) break;
+          lines.push(line);
+        }
+
+        const numbered = lineNumbers ? numberLines(lines, firstLine) : lines.join("\n");
+        const lastLine = firstLine + lines.length - 1;
+        const truncated = lines.length < wanted.length;
+        let text = numbered;
+        if (truncated) {
+          text += `\n\n… [truncated after line ${lastLine}: output limit of ${maxBytes} bytes reached; continue with startLine=${lastLine + 1}]`;
+        }
+
+        return jsonResult({
+          ...described,
+          binary: false,
+          startLine: firstLine,
+          endLine: lastLine,
+          truncated,
+          ...(truncated && { nextStartLine: lastLine + 1 }),
+          text: numbered,
+        }, text);
+      } catch (error) {
+        return errorResult(error, "read file at revision");
+      }
+    })
+  );
+
+  // ----------------------------------------
+  // Tool: listFilesAtRevision
+  // ----------------------------------------
+  mcpServer.registerTool(
+    "listFilesAtRevision",
+    {
+      description: "List a project directory as it was at a git revision (branch, tag or commit) without checking it out",
+      inputSchema: {
+        project: z.string().describe("Project name"),
+        ref: z.string().describe("Revision to list (e.g. 'v1.2.0', 'main', 'HEAD~3', a commit hash)"),
+        dir: z.string().optional().describe("Optional subdirectory path inside the project"),
+        recursive: z.boolean().optional().describe("List subdirectories recursively (default: false)"),
+        maxDepth: z.number().int().positive().optional().describe(`Maximum depth in recursive mode (default: ${DEFAULT_TREE_DEPTH})`),
+        include: z.array(z.string()).optional().describe("Only list files matching these globs (directories are always listed)"),
+        exclude: z.array(z.string()).optional().describe("Hide files and directories matching these globs"),
+        maxEntries: z.number().int().positive().max(MAX_TREE_ENTRIES).optional().describe(`Maximum entries returned (default: ${DEFAULT_TREE_ENTRIES})`),
+        cursor: z.string().optional().describe("Continuation cursor from a previous truncated listing"),
+      },
+      outputSchema: {
+        project: z.string(),
+        ref: z.string(),
+        commit: z.string(),
+        dir: z.string(),
+        count: z.number(),
+        truncated: z.boolean(),
+        nextCursor: z.string().optional(),
+        entries: z.array(z.object({
+          name: z.string(),
+          type: z.string().describe("file, directory or submodule"),
+          path: z.string(),
+          depth: z.number().optional().describe("Depth below the listed directory (recursive mode)"),
+          size: z.number().optional(),
+        })),
+      },
+    },
+    cached("listFilesAtRevision", async ({
+      project,
+      ref,
+      dir = "",
+      recursive = false,
+      maxDepth = DEFAULT_TREE_DEPTH,
+      include = [],
+      exclude = [],
+      maxEntries = DEFAULT_TREE_ENTRIES,
+      cursor,
+    }) => {
+      try {
+        const { git } = await getGitInstance(projects, project);
+        const target = await resolveRevisionPath(git, projects, settings, project, ref, dir);
+        if (target.type !== "tree") {
+          throw new AccessError(
+            "NOT_A_DIRECTORY",
+            `Path '${dir}' in project '${project}' is not a directory at revision '${ref}'`,
+            { project, path: dir, ref }
+          );
+        }
+
+        const offset = cursor ? decodeCursor(cursor) : 0;
+        if (offset === null) {
+          throw new AccessError("INVALID_CURSOR", `Invalid cursor: ${cursor}`, { cursor });
+        }
+
+        const rules = getAccessRules(settings, project);
+        const includeGlobs = compileGlobs(include);
+        const excludeGlobs = compileGlobs(exclude);
+        const baseDepth = target.relativePath ? target.relativePath.split("/").length : 0;
+
+        const result = [];
+        let seen = 0;
+        let truncated = false;
+
+        for (const entry of await listRevisionTree(git, ref, target.relativePath, { recursive })) {
+          const isDirectory = entry.type === "directory";
+          const depth = entry.path.split("/").length - baseDepth;
+          if (depth > maxDepth) continue;
+          if (!checkAccess(rules, entry.path, { isDirectory }).allowed) continue;
+
+          const globsMatch = isDirectory
+            ? !excludeGlobs.some((glob) => glob.match(entry.path))
+            : matchesGlobs(entry.path, includeGlobs, excludeGlobs);
+          if (!globsMatch) continue;
+
+          if (seen++ < offset) continue;
+          if (result.length >= maxEntries) {
+            truncated = true;
+            break;
+          }
+
+          result.push({
+            name: entry.path.slice(entry.path.lastIndexOf("/") + 1),
+            type: entry.type,
+            path: entry.path,
+            ...(recursive && { depth }),
+            ...(entry.size !== null && { size: entry.size }),
+          });
+        }
+
+        return jsonResult({
+          project,
+          ref,
+          commit: target.commit,
+          dir: target.relativePath,
+          count: result.length,
+          truncated,
+          ...(truncated && { nextCursor: encodeCursor(offset + result.length) }),
+          entries: result,
+        });
+      } catch (error) {
+        return errorResult(error, "list files at revision");
+      }
+    })
   );
 
   // ----------------------------------------
@@ -261,76 +870,206 @@ export function registerGitTools(mcpServer, projects) {
   mcpServer.registerTool(
     "gitBlame",
     {
-      description: "Show who last modified each line in a file (git blame)",
+      description: "Show who last modified each line in a file (git blame), optionally at a revision, with move/copy detection, ignored revisions (.git-blame-ignore-revs) or as a per-author summary",
       inputSchema: {
         project: z.string().describe("Project name"),
         file: z.string().describe("File path relative to project root"),
         startLine: z.number().optional().describe("Start line number (optional)"),
         endLine: z.number().optional().describe("End line number (optional)"),
+        ref: z.string().optional().describe("Blame the file as it was at this revision (default: working copy)"),
+        ignoreWhitespace: z.boolean().optional().describe("Ignore whitespace-only changes (-w, default: false)"),
+        detectMoves: z.boolean().optional().describe("Attribute lines moved within the file to their original commit (-M, default: false)"),
+        detectCopies: z.boolean().optional().describe("Attribute lines moved or copied from other files in the same commit to their origin (-C, default: false)"),
+        ignoreRevs: z.array(z.string()).optional().describe("Revisions to skip, e.g. formatting commits (--ignore-rev)"),
+        useIgnoreRevsFile: z.boolean().optional().describe("Skip the revisions listed in the repository's .git-blame-ignore-revs when it exists (default: true)"),
+        summary: z.boolean().optional().describe("Return per-author totals (lines, share, commits) instead of every line (default: false)"),
+      },
+      outputSchema: {
+        project: z.string(),
+        file: z.string(),
+        ref: z.string().optional(),
+        lines: z.array(z.object({
+          hash: z.string(),
+          lineNum: z.number(),
+          author: z.string(),
+          email: z.string(),
+          date: z.string(),
+          summary: z.string(),
+          content: z.string(),
+          originalLine: z.number().optional().describe("Line number in the commit the line came from (moved lines)"),
+          originalFile: z.string().optional().describe("File the line came from (moved or copied lines)"),
+        })).optional().describe("Every blamed line (without summary)"),
+        totalLines: z.number().optional(),
+        authors: z.array(z.object({
+          author: z.string(),
+          email: z.string(),
+          lines: z.number(),
+          share: z.number(),
+          commits: z.number(),
+          lastChanged: z.string(),
+        })).optional().describe("Per-author totals (with summary)"),
       },
     },
-    async ({ project, file, startLine, endLine }) => {
+    cached("gitBlame", async ({
+      project,
+      file,
+      startLine,
+      endLine,
+      ref,
+      ignoreWhitespace = false,
+      detectMoves = false,
+      detectCopies = false,
+      ignoreRevs = [],
+      useIgnoreRevsFile = true,
+      summary = false,
+    }) => {
       try {
         const { git } = await getGitInstance(projects, project);
-        const root = getProjectPath(projects, project);
-        const filePath = path.join(root, file);
-        
-        // Check if file exists
-        try {
-          await fs.access(filePath);
-        } catch {
-          throw new Error(`File '${file}' not found in project '${project}'`);
+
+        // The file must exist where it is blamed: at the revision or in the working copy
+        const target = ref
+          ? await resolveRevisionPath(git, projects, settings, project, ref, file)
+          : await resolveProjectFile(projects, settings, project, file);
+        if (ref ? target.type !== "blob" : target.stats.isDirectory()) {
+          throw new AccessError(
+            "NOT_A_FILE",
+            `Path '${file}' in project '${project}' is a directory${ref ? ` at revision '${ref}'` : ""}`,
+            { project, path: file, ...(ref && { ref }) }
+          );
         }
 
         // Build blame command
         const args = ['blame', '--line-porcelain'];
-        if (startLine && endLine) {
-          args.push(`-L${startLine},${endLine}`);
+        if (startLine || endLine) {
+          args.push(`-L${startLine ?? ""},${endLine ?? ""}`);
         }
-        args.push(file);
-
-        const blameOutput = await git.raw(args);
-        
-        // Parse blame output
-        const lines = blameOutput.split('\n');
-        const blameData = [];
-        let currentCommit = null;
-        
-        for (let i = 0; i < lines.length; i++) {
-          const line = lines[i];
-          
-          if (line.match(/^[0-9a-f]{40}/)) {
-            const [hash, , lineNum] = line.split(' ');
-            currentCommit = { hash, lineNum: parseInt(lineNum) };
-          } else if (line.startsWith('author ') && currentCommit) {
-            currentCommit.author = line.substring(7);
-          } else if (line.startsWith('author-time ') && currentCommit) {
-            currentCommit.date = new Date(parseInt(line.substring(12)) * 1000).toISOString();
-          } else if (line.startsWith('summary ') && currentCommit) {
-            currentCommit.summary = line.substring(8);
-          } else if (line.startsWith('\t') && currentCommit) {
-            currentCommit.content = line.substring(1);
-            blameData.push({ ...currentCommit });
-            currentCommit = null;
+        if (ignoreWhitespace) args.push('-w');
+        if (detectMoves) args.push('-M');
+        if (detectCopies) args.push('-C');
+        ignoreRevs.forEach((rev) => args.push(`--ignore-rev=${rev}`));
+        if (useIgnoreRevsFile) {
+          const toplevel = (await git.revparse(['--show-toplevel'])).trim();
+          const ignoreRevsFile = path.join(toplevel, IGNORE_REVS_FILE);
+          if (await fs.stat(ignoreRevsFile).catch(() => null)) {
+            args.push(`--ignore-revs-file=${ignoreRevsFile}`);
           }
         }
+        if (ref) args.push(ref);
+        args.push('--', target.relativePath);
 
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify({
-                project,
-                file,
-                lines: blameData,
-              }, null, 2),
-            },
-          ],
-        };
+        const prefix = await getRepositoryPrefix(git);
+        const blameData = parseBlamePorcelain(await git.raw(args), `${prefix}${target.relativePath}`);
+
+        return jsonResult({
+          project,
+          file,
+          ...(ref && { ref }),
+          ...(summary
+            ? { totalLines: blameData.length, authors: summarizeBlame(blameData) }
+            : { lines: blameData }),
+        });
       } catch (error) {
-        throw new Error(`Failed to get git blame: ${error.message}`);
+        return errorResult(error, "get git blame");
       }
-    }
+    }, { when: ({ ref }) => Boolean(ref) })
+  );
+
+  // ----------------------------------------
+  // Tool: getLineHistory
+  // ----------------------------------------
+  mcpServer.registerTool(
+    "getLineHistory",
+    {
+      description: "List every commit that changed a line range or function in a file (git log -L), newest first, each with the hunks it made to that code. Follows the code across renames.",
+      inputSchema: {
+        project: z.string().describe("Project name"),
+        file: z.string().describe("File path relative to project root"),
+        startLine: z.number().int().positive().optional().describe("First line of the range (as of `ref`)"),
+        endLine: z.number().int().positive().optional().describe("Last line of the range (as of `ref`)"),
+        functionName: z.string().optional().describe("Track a function instead of a line range (a regular expression matched against function definition lines, e.g. 'parseConfig')"),
+        ref: z.string().optional().describe("Revision whose version of the file the range refers to (default: HEAD)"),
+        maxCount: z.number().int().positive().max(200).optional().describe(`Maximum commits to return (default: ${DEFAULT_LINE_HISTORY_COMMITS})`),
+        maxTotalBytes: z.number().int().positive().max(MAX_DIFF_TOTAL_BYTES).optional().describe(`Hunk text budget; older commits are listed without hunks once it is used up (default: ${DEFAULT_DIFF_TOTAL_BYTES})`),
+      },
+      outputSchema: {
+        project: z.string(),
+        file: z.string(),
+        functionName: z.string().optional(),
+        startLine: z.number().optional(),
+        endLine: z.number().optional(),
+        ref: z.string().optional(),
+        count: z.number(),
+        truncated: z.boolean(),
+        commits: z.array(z.object({
+          hash: z.string(),
+          author: z.string(),
+          email: z.string(),
+          date: z.string(),
+          message: z.string(),
+          path: z.string().nullable().describe("The file's path in this commit"),
+          oldPath: z.string().optional().describe("Its path before this commit, when the commit renamed it"),
+          hunks: z.array(hunkOutputSchema).optional(),
+          hunksOmitted: z.boolean().optional(),
+        })),
+      },
+    },
+    cached("getLineHistory", async ({ project, file, startLine, endLine, functionName, ref, maxCount = DEFAULT_LINE_HISTORY_COMMITS, maxTotalBytes = DEFAULT_DIFF_TOTAL_BYTES }) => {
+      try {
+        if (functionName ? startLine || endLine : !startLine) {
+          throw new AccessError("INVALID_ARGUMENT", "Provide either startLine (and optionally endLine) or functionName");
+        }
+        if (startLine && endLine && endLine < startLine) {
+          throw new AccessError("INVALID_ARGUMENT", "endLine must be greater than or equal to startLine");
+        }
+
+        const { git } = await getGitInstance(projects, project);
+        const target = await resolveRevisionPath(git, projects, settings, project, ref ?? "HEAD", file);
+        if (target.type !== "blob") {
+          throw new AccessError("NOT_A_FILE", `Path '${file}' in project '${project}' is a directory`, { project, path: file });
+        }
+
+        const range = functionName ? `:${functionName}` : `${startLine},${endLine ?? startLine}`;
+        const output = await git.raw([
+          "-c", "core.quotePath=false",
+          "log",
+          `-L${range}:${target.relativePath}`,
+          ...LINE_HISTORY_ARGS,
+          `--max-count=${maxCount}`,
+          ...(ref ? [ref] : []),
+        ]);
+
+        // git reports paths from the repository root; report them from the project root
+        const prefix = await getRepositoryPrefix(git);
+        const toProjectPath = (filePath) => (filePath && filePath.startsWith(prefix) ? filePath.slice(prefix.length) : filePath);
+
+        let totalBytes = 0;
+        let truncated = false;
+        const commits = parseLineHistory(output).map(({ path: filePath, oldPath, hunks, ...commit }) => {
+          const entry = { ...commit, path: toProjectPath(filePath ?? oldPath) };
+          if (oldPath && filePath && oldPath !== filePath) entry.oldPath = toProjectPath(oldPath);
+
+          const size = hunks.reduce((sum, hunk) => sum + hunk.lines.reduce((lines, line) => lines + Buffer.byteLength(line) + 1, 0), 0);
+          if (totalBytes + size > maxTotalBytes) {
+            truncated = true;
+            return { ...entry, hunksOmitted: true };
+          }
+          totalBytes += size;
+          return { ...entry, hunks };
+        });
+
+        return jsonResult({
+          project,
+          file,
+          ...(functionName ? { functionName } : { startLine, endLine: endLine ?? startLine }),
+          ...(ref && { ref }),
+          count: commits.length,
+          truncated,
+          commits,
+        });
+      } catch (error) {
+        return errorResult(error, "get line history");
+      }
+    })
   );
 
   // ----------------------------------------
@@ -343,6 +1082,22 @@ export function registerGitTools(mcpServer, projects) {
       inputSchema: {
         project: z.string().describe("Project name"),
       },
+      outputSchema: {
+        project: z.string(),
+        currentBranch: z.string().nullable(),
+        branches: z.object({ all: z.array(z.string()), current: z.string() }),
+        remotes: z.array(z.object({ name: z.string(), fetchUrl: z.string(), pushUrl: z.string() })),
+        tags: z.array(z.string()),
+        status: z.object({
+          modified: z.array(z.string()),
+          created: z.array(z.string()),
+          deleted: z.array(z.string()),
+          renamed: z.array(z.object({ from: z.string(), to: z.string() })),
+          staged: z.array(z.string()),
+          ahead: z.number(),
+          behind: z.number(),
+        }),
+      },
     },
     async ({ project }) => {
       try {
@@ -360,38 +1115,367 @@ export function registerGitTools(mcpServer, projects) {
         // Get tags
         const tags = await git.tags();
 
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify({
-                project,
-                currentBranch: status.current,
-                branches: {
-                  all: branches.all,
-                  current: branches.current,
-                },
-                remotes: remotes.map(r => ({
-                  name: r.name,
-                  fetchUrl: r.refs.fetch,
-                  pushUrl: r.refs.push,
-                })),
-                tags: tags.all,
-                status: {
-                  modified: status.modified,
-                  created: status.created,
-                  deleted: status.deleted,
-                  renamed: status.renamed,
-                  staged: status.staged,
-                  ahead: status.ahead,
-                  behind: status.behind,
-                },
-              }, null, 2),
-            },
-          ],
+        return jsonResult({
+          project,
+          currentBranch: status.current,
+          branches: {
+            all: branches.all,
+            current: branches.current,
+          },
+          remotes: remotes.map(r => ({
+            name: r.name,
+            fetchUrl: r.refs.fetch,
+            pushUrl: r.refs.push,
+          })),
+          tags: tags.all,
+          status: {
+            modified: status.modified,
+            created: status.created,
+            deleted: status.deleted,
+            renamed: status.renamed,
+            staged: status.staged,
+            ahead: status.ahead,
+            behind: status.behind,
+          },
+        });
+      } catch (error) {
+        return errorResult(error, "get repository info");
+      }
+    }
+  );
+
+  // ----------------------------------------
+  // Tool: getRepositoryStats
+  // ----------------------------------------
+  mcpServer.registerTool(
+    "getRepositoryStats",
+    {
+      description: "Analyze a project's history: contributors, commits per period, churn (lines added/removed) per file and directory, change-frequency hotspots and files owned mostly by one author. Merge commits are not counted.",
+      inputSchema: {
+        project: z.string().describe("Project name"),
+        since: z.string().optional().describe("Only commits since date (e.g., '2024-01-01', '6 months ago')"),
+        until: z.string().optional().describe("Only commits until date"),
+        path: z.string().optional().describe("File or directory to analyze, relative to the project root (default: whole project)"),
+        ref: z.string().optional().describe("Branch, tag or commit whose history is analyzed (default: current branch)"),
+        period: z.enum(["day", "week", "month"]).optional().describe("Bucket size for commits per period (default: week)"),
+        directoryDepth: z.number().int().positive().optional().describe("Path segments that make up a directory in the churn report (default: 2)"),
+        top: z.number().int().positive().max(200).optional().describe("Entries in each ranked list (default: 20)"),
+        ownershipThreshold: z.number().min(0.5).max(1).optional().describe("Share of a file's changed lines one author must have written to count as its owner (default: 0.8)"),
+      },
+      outputSchema: {
+        project: z.string(),
+        path: z.string().optional(),
+        ref: z.string().optional(),
+        since: z.string().optional(),
+        until: z.string().optional(),
+        truncated: z.boolean().optional().describe(`Only the newest ${MAX_STATS_COMMITS} commits were analyzed`),
+        summary: z.object({
+          commits: z.number(),
+          authors: z.number(),
+          files: z.number(),
+          additions: z.number(),
+          deletions: z.number(),
+          firstCommit: z.string().nullable(),
+          lastCommit: z.string().nullable(),
+        }),
+        contributors: z.array(z.object({
+          name: z.string(),
+          email: z.string(),
+          commits: z.number(),
+          additions: z.number(),
+          deletions: z.number(),
+          files: z.number(),
+          firstCommit: z.string(),
+          lastCommit: z.string(),
+        })),
+        activity: z.array(z.object({
+          period: z.string(),
+          commits: z.number(),
+          additions: z.number(),
+          deletions: z.number(),
+          authors: z.number(),
+        })),
+        churn: z.object({
+          files: z.array(fileStatsOutputSchema),
+          directories: z.array(fileStatsOutputSchema.omit({ authors: true }).extend({ files: z.number() })),
+        }),
+        hotspots: z.array(fileStatsOutputSchema),
+        ownership: z.array(z.object({
+          path: z.string(),
+          owner: z.string(),
+          share: z.number(),
+          commits: z.number(),
+          authors: z.number(),
+        })),
+      },
+    },
+    cached("getRepositoryStats", async ({ project, since, until, path: filterPath = "", ref, period = "week", directoryDepth = 2, top = 20, ownershipThreshold = 0.8 }) => {
+      try {
+        const { git } = await getGitInstance(projects, project);
+        const target = await resolveProjectFile(projects, settings, project, filterPath, { mustExist: false });
+        if (ref && !(await resolveCommit(git, ref))) {
+          throw new AccessError("REF_NOT_FOUND", `Revision '${ref}' not found in project '${project}'`, { project, ref });
+        }
+
+        const output = await git.raw([
+          "-c", "core.quotePath=false",
+          "log",
+          ...NUMSTAT_LOG_ARGS,
+          "--no-merges",
+          "--relative",
+          `--max-count=${MAX_STATS_COMMITS}`,
+          ...(since ? [`--since=${since}`] : []),
+          ...(until ? [`--until=${until}`] : []),
+          ...(ref ? [ref] : []),
+          "--",
+          literalPathspec(target.relativePath),
+        ]);
+
+        // Files denied by the access rules still count as commits, but not as churn
+        const rules = getAccessRules(settings, project);
+        const commits = parseNumstatLog(output).map((commit) => ({
+          ...commit,
+          files: commit.files.filter((change) => checkAccess(rules, change.path).allowed),
+        }));
+
+        const stats = computeRepositoryStats(commits, { period, directoryDepth, top, ownershipThreshold });
+
+        return jsonResult({
+          project,
+          ...(filterPath && { path: filterPath }),
+          ...(ref && { ref }),
+          ...(since && { since }),
+          ...(until && { until }),
+          ...(commits.length === MAX_STATS_COMMITS && { truncated: true }),
+          ...stats,
+        });
+      } catch (error) {
+        return errorResult(error, "get repository stats");
+      }
+    })
+  );
+
+  // ----------------------------------------
+  // Tool: generateChangelog
+  // ----------------------------------------
+  mcpServer.registerTool(
+    "generateChangelog",
+    {
+      description: "Generate release notes for the commits between two revisions (default: the last two tags), grouped by Conventional Commit type and scope, with breaking changes called out and PR/issue numbers linked. In workspace mode, produces coordinated release notes for every project tagged in the same window.",
+      inputSchema: {
+        project: z.string().optional().describe("Project name (required unless workspace is true; in workspace mode its release defines the window when since/until are not given)"),
+        from: z.string().optional().describe("Previous release, excluded (default: the tag before 'to')"),
+        to: z.string().optional().describe("Release, included (default: the newest tag, or HEAD when only 'from' is given)"),
+        tagPattern: z.string().optional().describe("Only consider tags matching this glob (e.g. 'api-v*' in a monorepo)"),
+        format: z.enum(["markdown", "json"]).optional().describe("Markdown release notes or structured JSON (default: markdown)"),
+        includeOther: z.boolean().optional().describe("List commits that do not follow the Conventional Commits format under 'Other Changes' (default: true)"),
+        workspace: z.boolean().optional().describe("Release notes for all (or the selected) projects tagged in the same window (default: false)"),
+        projects: z.array(z.string()).optional().describe("Workspace mode: projects to include (default: all registered projects)"),
+        since: z.string().optional().describe("Workspace mode: start of the window (e.g., '2024-01-01', '2 weeks ago')"),
+        until: z.string().optional().describe("Workspace mode: end of the window"),
+      },
+      outputSchema: {
+        window: z.object({ since: z.string().nullable(), until: z.string().nullable() }).optional()
+          .describe("Workspace mode: releases tagged after since and up to until"),
+        releases: z.array(releaseOutputSchema).describe("The release (one project), or every release in the window"),
+        untagged: z.array(z.string()).optional().describe("Workspace mode: projects without a release in the window"),
+        skipped: z.array(z.object({ project: z.string(), reason: z.string() })).optional(),
+      },
+    },
+    cached("generateChangelog", async ({ project, from, to, tagPattern, format = "markdown", includeOther = true, workspace = false, projects: projectNames, since, until }) => {
+      try {
+        if (!workspace) {
+          if (!project) {
+            throw new AccessError("INVALID_ARGUMENT", "Provide a project, or set workspace to true");
+          }
+          const { git } = await getGitInstance(projects, project);
+          const range = await resolveReleaseRange(git, project, { from, to, tagPattern });
+          const release = await collectRelease(git, project, range, includeOther);
+
+          return jsonResult(
+            { releases: [release] },
+            format === "json" ? JSON.stringify(release, null, 2) : renderReleaseMarkdown(release)
+          );
+        }
+
+        if (!since && !until && !project) {
+          throw new AccessError(
+            "INVALID_ARGUMENT",
+            "Workspace mode needs a window: pass since and/or until, or a project whose release defines it"
+          );
+        }
+
+        // The anchor project is always part of its own release window
+        const names = [...new Set([...(project ? [project] : []), ...(projectNames ?? Object.keys(projects))])];
+        names.forEach((name) => getProjectPath(projects, name));
+
+        const skipped = [];
+        const repositories = (await Promise.all(names.map(async (name) => {
+          try {
+            return { project: name, git: (await getGitInstance(projects, name)).git };
+          } catch (error) {
+            skipped.push({ project: name, reason: error.message });
+            return null;
+          }
+        }))).filter(Boolean);
+        if (repositories.length === 0) {
+          throw new AccessError("NOT_A_GIT_REPO", "None of the selected projects is a git repository", { projects: names });
+        }
+
+        // Releases tagged after `since` and up to `until` belong to the window
+        let anchor = null;
+        let sinceTime = -Infinity;
+        let untilTime = Infinity;
+        if (since || until) {
+          const { git } = repositories[0];
+          if (since) sinceTime = await parseGitDate(git, since);
+          if (until) untilTime = await parseGitDate(git, until);
+        } else {
+          const { git } = await getGitInstance(projects, project);
+          const range = await resolveReleaseRange(git, project, { from, to, tagPattern });
+          anchor = { ...(await collectRelease(git, project, range, includeOther)), tags: [range.to] };
+          if (range.from) sinceTime = Date.parse(await getRevisionDate(git, range.from));
+          untilTime = Date.parse(anchor.date);
+        }
+
+        const releases = await Promise.all(repositories.map(async ({ project: name, git }) => {
+          if (anchor && name === project) return anchor;
+
+          const tags = (await listTags(git, tagPattern)).map((tag) => ({ ...tag, time: Date.parse(tag.date) }));
+          const released = tags.filter((tag) => tag.time > sinceTime && tag.time <= untilTime);
+          if (released.length === 0) return null;
+
+          // Everything since the last release before the window, up to the newest one in it
+          const previous = tags.find((tag) => tag.time <= sinceTime);
+          const range = { from: previous?.name ?? null, to: released[0].name };
+          return { ...(await collectRelease(git, name, range, includeOther)), tags: released.map((tag) => tag.name) };
+        }));
+
+        const untagged = repositories.filter((_, index) => !releases[index]).map((entry) => entry.project);
+        const notes = {
+          window: {
+            since: Number.isFinite(sinceTime) ? new Date(sinceTime).toISOString() : null,
+            until: Number.isFinite(untilTime) ? new Date(untilTime).toISOString() : null,
+          },
+          releases: releases.filter(Boolean),
+          ...(untagged.length > 0 && { untagged }),
+          ...(skipped.length > 0 && { skipped }),
         };
+
+        return jsonResult(notes, format === "json" ? JSON.stringify(notes, null, 2) : renderWorkspaceReleaseNotesMarkdown(notes));
       } catch (error) {
-        throw new Error(`Failed to get repository info: ${error.message}`);
+        return errorResult(error, "generate changelog");
+      }
+    }, { when: ({ workspace }) => !workspace })
+  );
+
+  // ----------------------------------------
+  // Tool: getWorkingChanges
+  // ----------------------------------------
+  mcpServer.registerTool(
+    "getWorkingChanges",
+    {
+      description: "Show uncommitted work in a project: staged and unstaged diffs per file plus untracked files. With `ref`, diffs the working tree against that revision instead.",
+      inputSchema: {
+        project: z.string().describe("Project name"),
+        path: z.string().optional().describe("File or directory to limit the changes to, relative to the project root"),
+        ref: z.string().optional().describe("Diff the working tree (staged and unstaged changes together) against this revision, e.g. 'main' or 'HEAD~3'"),
+        includeDiff: z.boolean().optional().describe("Include the diff text of each file (default: true); false lists files with line counts only"),
+        contextLines: z.number().int().min(0).optional().describe("Lines of context around changes (default: 3)"),
+      },
+      outputSchema: {
+        project: z.string(),
+        path: z.string().optional(),
+        ref: z.string().optional(),
+        summary: z.object({
+          staged: z.number().optional(),
+          unstaged: z.number().optional(),
+          changes: z.number().optional(),
+          untracked: z.number(),
+        }).describe("Number of files in each section"),
+        staged: z.array(changedFileOutputSchema).optional(),
+        unstaged: z.array(changedFileOutputSchema).optional(),
+        changes: z.array(changedFileOutputSchema).optional().describe("Working tree against ref (with ref)"),
+        untracked: z.array(z.object({ path: z.string(), size: z.number().nullable() })),
+        truncated: z.boolean().optional(),
+      },
+    },
+    async ({ project, path: filterPath = "", ref, includeDiff = true, contextLines = 3 }) => {
+      try {
+        const { git } = await getGitInstance(projects, project);
+        // Validates the filter against the sandbox; deleted files are fine to ask about
+        const target = await resolveProjectFile(projects, settings, project, filterPath, { mustExist: false });
+        const pathspec = literalPathspec(target.relativePath);
+        const rules = getAccessRules(settings, project);
+        // Paths outside the project never belong in the answer
+        const isListed = (entry) => !entry.startsWith("../") && checkAccess(rules, entry).allowed;
+
+        if (ref && !(await resolveCommit(git, ref))) {
+          throw new AccessError("REF_NOT_FOUND", `Revision '${ref}' not found in project '${project}'`, { project, ref });
+        }
+
+        let diffBytes = 0;
+        let truncated = false;
+
+        /**
+         * Collect one section of changes, attaching diffs until the byte budget runs out
+         * @param {string[]} diffArgs - What to diff
+         * @returns {Promise<Object[]>}
+         */
+        const collect = async (diffArgs) => {
+          const files = (await listChangedFiles(git, diffArgs, pathspec))
+            .filter((entry) => isListed(entry.path));
+          if (files.length > MAX_CHANGED_FILES) {
+            truncated = true;
+            files.length = MAX_CHANGED_FILES;
+          }
+          if (!includeDiff) return files;
+
+          for (const entry of files) {
+            if (entry.binary) continue;
+            if (diffBytes >= MAX_DIFF_BYTES) {
+              entry.diffOmitted = true;
+              truncated = true;
+              continue;
+            }
+            const paths = entry.oldPath ? [entry.oldPath, entry.path] : [entry.path];
+            entry.diff = await git.raw([
+              "diff", ...diffArgs, "--relative", "-M", "--no-color", "--no-ext-diff", `-U${contextLines}`, "--", ...paths.map(literalPathspec),
+            ]);
+            diffBytes += Buffer.byteLength(entry.diff);
+          }
+          return files;
+        };
+
+        const sections = ref
+          ? { changes: await collect([ref]) }
+          : { staged: await collect(["--cached"]), unstaged: await collect([]) };
+
+        const untrackedOutput = await git.raw(["ls-files", "--others", "--exclude-standard", "-z", "--", pathspec]);
+        let untrackedPaths = untrackedOutput.split("\0").filter((entry) => entry && isListed(entry));
+        if (untrackedPaths.length > MAX_CHANGED_FILES) {
+          truncated = true;
+          untrackedPaths = untrackedPaths.slice(0, MAX_CHANGED_FILES);
+        }
+        const untracked = await Promise.all(untrackedPaths.map(async (entry) => ({
+          path: entry,
+          size: (await fs.stat(path.join(target.root, entry)).catch(() => null))?.size ?? null,
+        })));
+
+        return jsonResult({
+          project,
+          ...(filterPath && { path: filterPath }),
+          ...(ref && { ref }),
+          summary: {
+            ...Object.fromEntries(Object.entries(sections).map(([name, files]) => [name, files.length])),
+            untracked: untracked.length,
+          },
+          ...sections,
+          untracked,
+          ...(truncated && { truncated: true }),
+        });
+      } catch (error) {
+        return errorResult(error, "get working changes");
       }
     }
   );
@@ -402,45 +1486,182 @@ export function registerGitTools(mcpServer, projects) {
   mcpServer.registerTool(
     "compareBranches",
     {
-      description: "Compare commits between two git branches",
+      description: "Compare two git branches and check whether they merge cleanly: merge base, commits ahead and behind, files changed on both sides, predicted conflicts (git merge-tree, which never touches the working tree or index), and the changes since the merge base parsed into per-file entries (status, line counts, hunks)",
       inputSchema: {
         project: z.string().describe("Project name"),
-        baseBranch: z.string().describe("Base branch name"),
-        compareBranch: z.string().describe("Branch to compare against base"),
+        baseBranch: z.string().describe("Base branch name (the branch merged into)"),
+        compareBranch: z.string().describe("Branch to compare against base (the branch being merged)"),
+        ...structuredDiffSchema,
+      },
+      outputSchema: {
+        project: z.string(),
+        baseBranch: z.string(),
+        compareBranch: z.string(),
+        mergeBase: z.string(),
+        commitsAhead: z.number().describe("Commits on compareBranch that are not on baseBranch"),
+        commitsBehind: z.number().describe("Commits on baseBranch that are not on compareBranch"),
+        mergeReadiness: z.object({
+          clean: z.boolean().nullable().describe("Whether the merge would succeed without conflicts (null: could not be predicted)"),
+          conflicts: z.array(z.object({ path: z.string(), type: z.string(), message: z.string() })).optional(),
+          otherConflicts: z.number().optional().describe("Conflicts outside the project directory or hidden by its access rules"),
+          error: z.string().optional(),
+          changedOnBoth: z.array(z.object({
+            path: z.string(),
+            basePath: z.string().optional().describe("Path on baseBranch when it differs (renames)"),
+            baseStatus: z.string(),
+            compareStatus: z.string(),
+          })),
+        }),
+        commits: z.array(commitOutputSchema),
+        diff: structuredDiffOutputSchema,
       },
     },
-    async ({ project, baseBranch, compareBranch }) => {
+    cached("compareBranches", async ({ project, baseBranch, compareBranch, ...diffArgs }) => {
       try {
         const { git } = await getGitInstance(projects, project);
-        
+        for (const ref of [baseBranch, compareBranch]) {
+          if (!(await resolveCommit(git, ref))) {
+            throw new AccessError("REF_NOT_FOUND", `Revision '${ref}' not found in project '${project}'`, { project, ref });
+          }
+        }
+
+        const mergeBase = (await git.raw(["merge-base", baseBranch, compareBranch]).catch(() => "")).trim();
+        if (!mergeBase) {
+          throw new AccessError(
+            "NO_COMMON_HISTORY",
+            `'${baseBranch}' and '${compareBranch}' have no common history`,
+            { project, baseBranch, compareBranch }
+          );
+        }
+
         // Get commits in compareBranch that are not in baseBranch
         const log = await git.log({
           from: baseBranch,
           to: compareBranch,
+          symmetric: false,
         });
 
         const commits = log.all.map(formatCommit);
 
-        // Get summary stats
-        const stats = await git.raw(['diff', '--stat', `${baseBranch}...${compareBranch}`]);
-
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify({
-                project,
-                baseBranch,
-                compareBranch,
-                commitsAhead: commits.length,
-                commits,
-                diffStats: stats,
-              }, null, 2),
-            },
-          ],
-        };
+        // "<behind>\t<ahead>": commits only on baseBranch, then commits only on compareBranch
+        const counts = await git.raw(["rev-list", "--left-right", "--count", `${baseBranch}...${compareBranch}`]);
+        const [commitsBehind] = counts.trim().split(/\s+/).map(Number);
+
+        // Files changed on both sides since the merge base, matched on either side of a rename
+        const options = structuredDiffOptions(settings, project, diffArgs);
+        const [baseChanges, compareChanges] = await Promise.all([
+          listChangedFiles(git, [mergeBase, baseBranch], "."),
+          listChangedFiles(git, [mergeBase, compareBranch], "."),
+        ]);
+        const baseByPath = new Map();
+        for (const entry of baseChanges.filter(options.filter)) {
+          baseByPath.set(entry.path, entry);
+          if (entry.oldPath) baseByPath.set(entry.oldPath, entry);
+        }
+        const changedOnBoth = compareChanges
+          .filter(options.filter)
+          .map((entry) => ({ entry, other: baseByPath.get(entry.path) ?? baseByPath.get(entry.oldPath) }))
+          .filter(({ other }) => other)
+          .map(({ entry, other }) => ({
+            path: entry.path,
+            ...(other.path !== entry.path && { basePath: other.path }),
+            baseStatus: other.status,
+            compareStatus: entry.status,
+          }));
+
+        // Conflicts are reported from the project directory; others only count
+        let merge;
+        try {
+          const prediction = await predictMerge(git, baseBranch, compareBranch);
+          const prefix = await getRepositoryPrefix(git);
+          const rules = getAccessRules(settings, project);
+          const conflicts = prediction.conflicts
+            .filter((conflict) => conflict.path.startsWith(prefix))
+            .map((conflict) => ({ ...conflict, path: conflict.path.slice(prefix.length) }))
+            .filter((conflict) => checkAccess(rules, conflict.path).allowed);
+          const hidden = prediction.conflicts.length - conflicts.length;
+          merge = {
+            clean: prediction.clean,
+            conflicts,
+            ...(hidden > 0 && { otherConflicts: hidden }),
+          };
+        } catch (error) {
+          merge = { clean: null, error: `Conflict prediction failed (requires git 2.38 or later): ${error.message}` };
+        }
+
+        // Changes on compareBranch since it forked from baseBranch
+        const diff = await getStructuredDiff(git, [`${baseBranch}...${compareBranch}`], options);
+
+        return jsonResult({
+          project,
+          baseBranch,
+          compareBranch,
+          mergeBase,
+          commitsAhead: commits.length,
+          commitsBehind,
+          mergeReadiness: {
+            ...merge,
+            changedOnBoth,
+          },
+          commits,
+          diff,
+        });
+      } catch (error) {
+        return errorResult(error, "compare branches");
+      }
+    })
+  );
+
+  // ----------------------------------------
+  // Tool: getGitDiagnostics
+  // ----------------------------------------
+  mcpServer.registerTool(
+    "getGitDiagnostics",
+    {
+      description: "Show the pooled git instances and the git query result cache: size, hits, misses, evictions and invalidations (per tool too). Optionally clear the cache.",
+      inputSchema: {
+        clearCache: z.boolean().optional().describe("Drop every cached result after reporting (default: false)"),
+      },
+      outputSchema: {
+        pool: z.object({
+          maxConcurrentProcesses: z.number().describe("Git processes run at once per repository; further commands queue"),
+          repositories: z.array(z.object({
+            path: z.string(),
+            projects: z.array(z.string()),
+            repository: z.boolean().describe("Whether the directory was found to be a git repository"),
+          })),
+        }),
+        cache: z.object({
+          entries: z.number(),
+          bytes: z.number(),
+          maxEntries: z.number(),
+          maxBytes: z.number(),
+          ttlSeconds: z.number(),
+          hits: z.number(),
+          misses: z.number(),
+          hitRate: z.number().nullable(),
+          evictions: z.number(),
+          invalidations: z.number().describe("Entries dropped because the repository's refs changed"),
+          tools: z.array(z.object({ tool: z.string(), hits: z.number(), misses: z.number() })),
+        }),
+        cleared: z.number().optional().describe("Entries dropped by clearCache"),
+      },
+    },
+    async ({ clearCache = false }) => {
+      try {
+        const repositories = listPooledRepositories().map((entry) => ({
+          ...entry,
+          projects: Object.keys(projects).filter((name) => projects[name] === entry.path).sort(),
+        }));
+        const cache = getResultCacheStats();
+
+        return jsonResult({
+          pool: { maxConcurrentProcesses: MAX_CONCURRENT_PROCESSES, repositories },
+          cache,
+          ...(clearCache && { cleared: clearResultCache() }),
+        });
       } catch (error) {
-        throw new Error(`Failed to compare branches: ${error.message}`);
+        return errorResult(error, "get git diagnostics");
       }
     }
   );
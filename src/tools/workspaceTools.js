@@ -0,0 +1,331 @@
+// ============================================
+// Workspace Tools
+// ============================================
+// Tool registrations that look at the registered
+// projects as one workspace
+// ============================================
+
+import fs from "fs/promises";
+import path from "path";
+import { z } from "zod";
+import { getProjectPath } from "../config/projectLoader.js";
+import { resolveProjectFile } from "../utils/pathAccess.js";
+import { AccessError, jsonResult, errorResult } from "../utils/toolResults.js";
+import { MANIFEST_FILES, normalizePackageName, parseManifest } from "../utils/manifests.js";
+import { getGitInstance, formatCommit, resolveCommit } from "../utils/gitHelpers.js";
+
+// Timeline length: default and hard limit
+const DEFAULT_TIMELINE_ENTRIES = 100;
+const MAX_TIMELINE_ENTRIES = 1000;
+
+// Output shapes
+const dependencyEdgeOutputSchema = z.object({
+  project: z.string(),
+  package: z.string(),
+  spec: z.string(),
+  type: z.string().describe("prod, dev, peer, optional or indirect"),
+  manifest: z.string(),
+});
+
+const timelineCommitOutputSchema = z.object({
+  project: z.string(),
+  hash: z.string(),
+  author: z.string(),
+  email: z.string(),
+  date: z.string(),
+  message: z.string(),
+  body: z.string(),
+});
+
+/**
+ * Resolve symlinks in a path when it exists
+ * @param {string} target - Absolute path
+ * @returns {Promise<string>}
+ */
+async function realPathOrSelf(target) {
+  try {
+    return await fs.realpath(target);
+  } catch {
+    return path.resolve(target);
+  }
+}
+
+/**
+ * Read and parse every manifest in a project root
+ * @param {Object} projects - Projects registry
+ * @param {Object} settings - Project settings registry
+ * @param {string} project - Project name
+ * @returns {Promise<{manifests: string[], packages: Object[], dependencies: Object[], errors: Object[]}>}
+ */
+async function loadProjectManifests(projects, settings, project) {
+  const result = { manifests: [], packages: [], dependencies: [], errors: [] };
+
+  for (const fileName of MANIFEST_FILES) {
+    let target;
+    try {
+      target = await resolveProjectFile(projects, settings, project, fileName);
+    } catch (error) {
+      // Missing or denied manifests are simply not part of the picture
+      if (error instanceof AccessError) continue;
+      throw error;
+    }
+
+    try {
+      const text = await fs.readFile(target.absolutePath, "utf8");
+      const { packages, dependencies } = parseManifest(fileName, text, target.root);
+      result.manifests.push(fileName);
+      result.packages.push(...packages.map((entry) => ({ ...entry, manifest: fileName })));
+      result.dependencies.push(...dependencies.map((entry) => ({ ...entry, manifest: fileName })));
+    } catch (error) {
+      result.errors.push({ project, manifest: fileName, message: error.message });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Find the projects affected by a change to one project (reverse dependency walk)
+ * @param {Map<string, Set<string>>} dependents - Project -> projects that depend on it
+ * @param {string} changed - Changed project
+ * @returns {{direct: string[], transitive: Array<{project: string, via: string[]}>}}
+ */
+function findAffectedProjects(dependents, changed) {
+  const direct = [...(dependents.get(changed) ?? [])].sort();
+  const transitive = [];
+  const seen = new Set([changed, ...direct]);
+  let frontier = direct.map((project) => [changed, project]);
+
+  // Breadth-first so every project is reported with its shortest dependency chain
+  while (frontier.length > 0) {
+    const next = [];
+    for (const chain of frontier) {
+      const last = chain[chain.length - 1];
+      for (const dependent of [...(dependents.get(last) ?? [])].sort()) {
+        if (seen.has(dependent)) continue;
+        seen.add(dependent);
+        transitive.push({ project: dependent, via: chain.slice(1) });
+        next.push([...chain, dependent]);
+      }
+    }
+    frontier = next;
+  }
+
+  return { direct, transitive };
+}
+
+/**
+ * Register all workspace tools
+ * @param {McpServer} mcpServer - The MCP server instance
+ * @param {Object} projects - Projects registry
+ * @param {Object} settings - Project settings registry (access rules)
+ */
+export function registerWorkspaceTools(mcpServer, projects, settings) {
+
+  // ----------------------------------------
+  // Tool: getWorkspaceDependencies
+  // ----------------------------------------
+  mcpServer.registerTool(
+    "getWorkspaceDependencies",
+    {
+      description: "Build the dependency graph between registered projects from their manifests (package.json, go.mod, pyproject.toml, requirements.txt). Reports which projects depend on which, version mismatches of shared third-party packages, and which projects a change to a given project would affect.",
+      inputSchema: {
+        projects: z.array(z.string()).optional().describe("Projects to include (default: all registered projects)"),
+        impactOf: z.string().optional().describe("Project you plan to change; lists the projects that depend on it directly or transitively"),
+        includeDev: z.boolean().optional().describe("Count dev dependencies as edges and in version checks (default: true)"),
+      },
+      outputSchema: {
+        projects: z.array(z.object({
+          project: z.string(),
+          manifests: z.array(z.string()),
+          packages: z.array(z.object({ ecosystem: z.string(), name: z.string(), version: z.string().nullable() })),
+          dependsOn: z.array(dependencyEdgeOutputSchema),
+          dependents: z.array(z.string()),
+        })),
+        versionMismatches: z.array(z.object({
+          ecosystem: z.string(),
+          package: z.string(),
+          versions: z.array(dependencyEdgeOutputSchema.omit({ package: true })),
+        })),
+        impact: z.object({
+          project: z.string(),
+          direct: z.array(z.string()),
+          transitive: z.array(z.object({ project: z.string(), via: z.array(z.string()) })),
+        }).optional(),
+        errors: z.array(z.object({ project: z.string(), manifest: z.string(), message: z.string() })).optional()
+          .describe("Manifests that could not be parsed"),
+      },
+    },
+    async ({ projects: projectNames, impactOf, includeDev = true }) => {
+      try {
+        // The whole workspace is scanned so edges into projects outside the selection still resolve
+        const names = Object.keys(projects);
+        const selected = new Set(projectNames ?? names);
+        [...selected, ...(impactOf ? [impactOf] : [])].forEach((name) => getProjectPath(projects, name));
+
+        const loaded = new Map();
+        const rootIndex = new Map();
+        const packageIndex = new Map();
+        const errors = [];
+
+        for (const name of names) {
+          const manifests = await loadProjectManifests(projects, settings, name);
+          loaded.set(name, manifests);
+          errors.push(...manifests.errors);
+          rootIndex.set(await realPathOrSelf(projects[name]), name);
+          for (const entry of manifests.packages) {
+            packageIndex.set(`${entry.ecosystem}:${normalizePackageName(entry.ecosystem, entry.name)}`, name);
+          }
+        }
+
+        const dependents = new Map();
+        const thirdParty = new Map();
+        const graph = [];
+
+        for (const [name, manifests] of loaded) {
+          const dependsOn = [];
+
+          for (const dependency of manifests.dependencies) {
+            if (!includeDev && dependency.type === "dev") continue;
+
+            const key = `${dependency.ecosystem}:${normalizePackageName(dependency.ecosystem, dependency.name)}`;
+            const target = dependency.path
+              ? rootIndex.get(await realPathOrSelf(dependency.path))
+              : packageIndex.get(key);
+
+            if (target) {
+              if (target === name) continue;
+              dependsOn.push({
+                project: target,
+                package: dependency.name,
+                spec: dependency.spec,
+                type: dependency.type,
+                manifest: dependency.manifest,
+              });
+              if (!dependents.has(target)) dependents.set(target, new Set());
+              dependents.get(target).add(name);
+            } else if (!dependency.path && selected.has(name)) {
+              if (!thirdParty.has(key)) {
+                thirdParty.set(key, { ecosystem: dependency.ecosystem, package: dependency.name, versions: [] });
+              }
+              thirdParty.get(key).versions.push({
+                project: name,
+                spec: dependency.spec,
+                type: dependency.type,
+                manifest: dependency.manifest,
+              });
+            }
+          }
+
+          if (!selected.has(name)) continue;
+          graph.push({
+            project: name,
+            manifests: manifests.manifests,
+            packages: manifests.packages.map(({ ecosystem, name: packageName, version }) => ({ ecosystem, name: packageName, version })),
+            dependsOn,
+          });
+        }
+
+        graph.forEach((entry) => {
+          entry.dependents = [...(dependents.get(entry.project) ?? [])].sort();
+        });
+
+        // A third-party package is a mismatch when projects ask for it with different specs
+        const versionMismatches = [...thirdParty.values()].filter(({ versions }) =>
+          new Set(versions.map((version) => version.project)).size > 1
+          && new Set(versions.map((version) => version.spec)).size > 1
+        );
+
+        return jsonResult({
+          projects: graph,
+          versionMismatches,
+          ...(impactOf && { impact: { project: impactOf, ...findAffectedProjects(dependents, impactOf) } }),
+          ...(errors.length > 0 && { errors }),
+        });
+      } catch (error) {
+        return errorResult(error, "analyze workspace dependencies");
+      }
+    }
+  );
+
+  // ----------------------------------------
+  // Tool: getWorkspaceTimeline
+  // ----------------------------------------
+  mcpServer.registerTool(
+    "getWorkspaceTimeline",
+    {
+      description: "Merge the commit history of all (or selected) registered projects into one feed, newest first, with every commit labeled by project. Projects that are not git repositories are skipped.",
+      inputSchema: {
+        projects: z.array(z.string()).optional().describe("Projects to include (default: all registered projects)"),
+        since: z.string().optional().describe("Show commits since date (e.g., '2024-01-01', 'last friday', '3 days ago')"),
+        until: z.string().optional().describe("Show commits until date"),
+        author: z.string().optional().describe("Filter commits by author name or email"),
+        allBranches: z.boolean().optional().describe("Include commits from every local branch, not just the current one (default: false)"),
+        maxCount: z.number().int().positive().max(MAX_TIMELINE_ENTRIES).optional().describe(`Maximum commits in the merged feed (default: ${DEFAULT_TIMELINE_ENTRIES})`),
+      },
+      outputSchema: {
+        projects: z.array(z.string()).describe("Projects whose history is included"),
+        since: z.string().optional(),
+        until: z.string().optional(),
+        author: z.string().optional(),
+        count: z.number(),
+        truncated: z.boolean(),
+        commits: z.array(timelineCommitOutputSchema),
+        skipped: z.array(z.object({ project: z.string(), reason: z.string() })).optional(),
+      },
+    },
+    async ({ projects: projectNames, since, until, author, allBranches = false, maxCount = DEFAULT_TIMELINE_ENTRIES }) => {
+      try {
+        const names = projectNames ?? Object.keys(projects);
+        names.forEach((name) => getProjectPath(projects, name));
+
+        const skipped = [];
+        let limited = false;
+        const perProject = await Promise.all(names.map(async (project) => {
+          let git;
+          try {
+            ({ git } = await getGitInstance(projects, project));
+          } catch (error) {
+            skipped.push({ project, reason: error.message });
+            return [];
+          }
+          if (!(await resolveCommit(git, "HEAD"))) {
+            skipped.push({ project, reason: `Project '${project}' has no commits yet` });
+            return [];
+          }
+
+          // Every project contributes up to maxCount so the merged top maxCount is exact;
+          // one more shows whether it was cut off.
+          // Limiting to the project directory keeps projects inside a larger repository apart.
+          const log = await git.log({
+            maxCount: maxCount + 1,
+            ...(since && { "--since": since }),
+            ...(until && { "--until": until }),
+            ...(author && { "--author": author }),
+            ...(allBranches && { "--branches": null }),
+            file: ".",
+          });
+          if (log.all.length > maxCount) limited = true;
+          return log.all.slice(0, maxCount).map((commit) => ({ project, ...formatCommit(commit) }));
+        }));
+
+        const merged = perProject
+          .flat()
+          .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+        return jsonResult({
+          projects: names.filter((name) => !skipped.some((entry) => entry.project === name)),
+          ...(since && { since }),
+          ...(until && { until }),
+          ...(author && { author }),
+          count: Math.min(merged.length, maxCount),
+          truncated: limited || merged.length > maxCount,
+          commits: merged.slice(0, maxCount),
+          ...(skipped.length > 0 && { skipped }),
+        });
+      } catch (error) {
+        return errorResult(error, "build workspace timeline");
+      }
+    }
+  );
+}
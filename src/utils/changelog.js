@@ -0,0 +1,310 @@
+// ============================================
+// Changelog Generation
+// ============================================
+// Parses Conventional Commit messages, groups
+// them into release sections and renders
+// them as Markdown release notes
+// ============================================
+
+// Field and record separators in the log format (never appear in messages)
+const FIELD_SEP = "\x1f";
+const RECORD_SEP = "\x1e";
+
+// `git log` arguments producing the input parseChangelogLog expects
+export const CHANGELOG_LOG_ARGS = [
+  `--format=${RECORD_SEP}%H${FIELD_SEP}%aN${FIELD_SEP}%aE${FIELD_SEP}%aI${FIELD_SEP}%B`,
+  "--no-merges",
+];
+
+// Conventional Commit types in release-notes order, with their section titles
+const SECTION_TITLES = {
+  feat: "Features",
+  fix: "Bug Fixes",
+  perf: "Performance Improvements",
+  revert: "Reverts",
+  refactor: "Code Refactoring",
+  docs: "Documentation",
+  style: "Styles",
+  test: "Tests",
+  build: "Build System",
+  ci: "Continuous Integration",
+  chore: "Chores",
+};
+
+// Section for commits that do not follow the Conventional Commits format
+const OTHER_SECTION = "other";
+const OTHER_TITLE = "Other Changes";
+
+// type(scope)!: description
+const HEADER_PATTERN = /^(\w+)(?:\(([^)]*)\))?(!)?:\s*(.+)$/;
+
+// BREAKING CHANGE: notes (the rest of the paragraph belongs to the note)
+const BREAKING_FOOTER_PATTERN = /(?:^|\n)BREAKING[ -]CHANGE:\s*([\s\S]*?)(?=\n\s*\n|\n[\w-]+(?::| #)|$)/;
+
+// #12, GH-12, owner/repo#12 and GitLab merge requests (!12)
+const REFERENCE_PATTERN = /(?:^|[\s(,])((?:[\w.-]+\/[\w.-]+)?#(\d+)|GH-(\d+)|!(\d+))\b/gm;
+
+// Squash-merged pull requests end their subject with "(#12)"
+const SQUASH_PR_PATTERN = /\(#(\d+)\)\s*$/;
+
+/**
+ * Parse `git log` output produced with CHANGELOG_LOG_ARGS
+ * @param {string} text - Log output
+ * @returns {Array<{hash: string, author: string, email: string, date: string, message: string}>}
+ */
+export function parseChangelogLog(text) {
+  return text
+    .split(RECORD_SEP)
+    .filter((record) => record.trim())
+    .map((record) => {
+      const [hash, author, email, date, message = ""] = record.split(FIELD_SEP);
+      return { hash: hash.trim(), author, email, date, message: message.trim() };
+    });
+}
+
+/**
+ * Find the issue and pull request numbers mentioned in a commit message
+ * @param {string} message - Full commit message
+ * @returns {Array<{id: string, number: number, kind: "issue"|"pull", repository?: string}>} In order of appearance, without duplicates
+ */
+function findReferences(message) {
+  const squashed = SQUASH_PR_PATTERN.exec(message.split("\n")[0]);
+  const references = new Map();
+
+  for (const match of message.matchAll(REFERENCE_PATTERN)) {
+    const [, id, hashNumber, ghNumber, mergeRequest] = match;
+    const number = Number(hashNumber ?? ghNumber ?? mergeRequest);
+    const repository = id.includes("/") ? id.slice(0, id.indexOf("#")) : undefined;
+    const kind = mergeRequest || (!repository && squashed && Number(squashed[1]) === number) ? "pull" : "issue";
+    if (!references.has(id)) {
+      references.set(id, { id, number, kind, ...(repository && { repository }) });
+    }
+  }
+
+  return [...references.values()];
+}
+
+/**
+ * Parse a commit message using the Conventional Commits format
+ * @param {string} message - Full commit message
+ * @returns {{type: string, scope: string|null, description: string, breaking: boolean, breakingNotes: string[], references: Object[]}}
+ *   Type is "other" when the subject does not follow the format
+ */
+export function parseConventionalCommit(message) {
+  const [subject, ...rest] = message.split("\n");
+  const body = rest.join("\n");
+  const header = HEADER_PATTERN.exec(subject.trim());
+
+  const breakingNotes = [];
+  const footer = BREAKING_FOOTER_PATTERN.exec(body);
+  if (footer && footer[1].trim()) {
+    breakingNotes.push(footer[1].trim().replace(/\s*\n\s*/g, " "));
+  }
+
+  // The squash-merge suffix is listed as a reference instead
+  const description = (header ? header[4] : subject).replace(SQUASH_PR_PATTERN, "").trim();
+  const type = header?.[1].toLowerCase();
+  return {
+    type: header && SECTION_TITLES[type] ? type : OTHER_SECTION,
+    scope: header?.[2]?.trim() || null,
+    description,
+    breaking: Boolean(header?.[3] || footer),
+    breakingNotes,
+    references: findReferences(message),
+  };
+}
+
+/**
+ * Get the web URL of a repository hosted on GitHub or GitLab
+ * @param {string} remoteUrl - Fetch URL of a remote (https, ssh or scp-like)
+ * @returns {{host: "github"|"gitlab", url: string}|null} Null for other hosts
+ */
+export function getRepositoryWebUrl(remoteUrl) {
+  const match = /^(?:https?:\/\/(?:[^@/]+@)?|ssh:\/\/(?:[^@/]+@)?|[^@/]+@)([^/:]+)(?::\d+)?[/:](.+?)(?:\.git)?\/?$/.exec(remoteUrl ?? "");
+  if (!match) return null;
+
+  const [, hostname, repoPath] = match;
+  const host = hostname.includes("github") ? "github" : hostname.includes("gitlab") ? "gitlab" : null;
+  return host ? { host, url: `https://${hostname}/${repoPath}` } : null;
+}
+
+/**
+ * Build the web link for an issue or pull request reference
+ * @param {Object} reference - Reference from findReferences
+ * @param {{host: string, url: string}} web - Result of getRepositoryWebUrl
+ * @returns {string}
+ */
+function referenceUrl(reference, web) {
+  const base = reference.repository ? `${new URL(web.url).origin}/${reference.repository}` : web.url;
+  if (web.host === "gitlab") {
+    return `${base}/-/${reference.kind === "pull" ? "merge_requests" : "issues"}/${reference.number}`;
+  }
+  return `${base}/${reference.kind === "pull" ? "pull" : "issues"}/${reference.number}`;
+}
+
+/**
+ * Group commits into changelog sections by Conventional Commit type and scope
+ * @param {Object[]} commits - Result of parseChangelogLog (newest first)
+ * @param {Object} [options]
+ * @param {{host: string, url: string}|null} [options.web] - Repository web URL used to link commits and references
+ * @param {boolean} [options.includeOther=true] - Keep commits that do not follow the Conventional Commits format
+ * @returns {{sections: Array<{type: string, title: string, scopes: Array<{scope: string|null, entries: Object[]}>}>, breaking: Object[], commitCount: number}}
+ */
+export function buildChangelog(commits, { web = null, includeOther = true } = {}) {
+  const sections = new Map();
+  const breaking = [];
+
+  for (const commit of commits) {
+    const parsed = parseConventionalCommit(commit.message);
+    if (parsed.type === OTHER_SECTION && !includeOther) continue;
+
+    const entry = {
+      hash: commit.hash,
+      shortHash: commit.hash.slice(0, 7),
+      ...(parsed.type !== OTHER_SECTION && { type: parsed.type }),
+      scope: parsed.scope,
+      description: parsed.description,
+      breaking: parsed.breaking,
+      author: commit.author,
+      date: commit.date,
+      references: parsed.references.map((reference) => ({
+        ...reference,
+        ...(web && { url: referenceUrl(reference, web) }),
+      })),
+      ...(web && { url: `${web.url}${web.host === "gitlab" ? "/-" : ""}/commit/${commit.hash}` }),
+    };
+
+    if (!sections.has(parsed.type)) sections.set(parsed.type, new Map());
+    const scopes = sections.get(parsed.type);
+    if (!scopes.has(parsed.scope)) scopes.set(parsed.scope, []);
+    scopes.get(parsed.scope).push(entry);
+
+    if (parsed.breaking) {
+      breaking.push({ ...entry, notes: parsed.breakingNotes.length > 0 ? parsed.breakingNotes : [parsed.description] });
+    }
+  }
+
+  const order = [...Object.keys(SECTION_TITLES), OTHER_SECTION];
+  return {
+    commitCount: commits.length,
+    breaking,
+    sections: [...sections.entries()]
+      .sort(([a], [b]) => order.indexOf(a) - order.indexOf(b))
+      .map(([type, scopes]) => ({
+        type,
+        title: SECTION_TITLES[type] ?? OTHER_TITLE,
+        // Unscoped entries first, then scopes alphabetically
+        scopes: [...scopes.entries()]
+          .sort(([a], [b]) => (a === null ? -1 : b === null ? 1 : a.localeCompare(b)))
+          .map(([scope, entries]) => ({ scope, entries })),
+      })),
+  };
+}
+
+/**
+ * Render one changelog entry as a Markdown list item
+ * @param {Object} entry - Entry from buildChangelog
+ * @param {boolean} [withScope] - Prefix the entry with its bold scope
+ * @returns {string}
+ */
+function renderEntry(entry, withScope) {
+  const scope = withScope && entry.scope ? `**${entry.scope}:** ` : "";
+  const commit = entry.url ? `[${entry.shortHash}](${entry.url})` : entry.shortHash;
+  const references = entry.references
+    .map((reference) => (reference.url ? `[${reference.id}](${reference.url})` : reference.id))
+    .join(", ");
+  return `- ${scope}${entry.description} (${commit}${references ? `, ${references}` : ""})`;
+}
+
+/**
+ * Render a Markdown heading
+ * @param {number} level - Heading level
+ * @param {string} text - Heading text
+ * @returns {string}
+ */
+function heading(level, text) {
+  return `${"#".repeat(Math.min(level, 6))} ${text}`;
+}
+
+/**
+ * Render one release as Markdown release notes
+ * @param {Object} release - Release (project, from, to, date, compareUrl) merged with a buildChangelog result
+ * @param {Object} [options]
+ * @param {number} [options.level=2] - Level of the release heading
+ * @param {boolean} [options.withProject=false] - Start the release heading with the project name
+ * @returns {string}
+ */
+export function renderReleaseMarkdown(release, { level = 2, withProject = false } = {}) {
+  const label = release.to === "HEAD" ? "Unreleased" : release.to;
+  const name = release.compareUrl ? `[${label}](${release.compareUrl})` : label;
+  const title = `${withProject ? `${release.project} ` : ""}${name} (${release.date.slice(0, 10)})`;
+  const lines = [heading(level, title), ""];
+
+  if (release.commitCount === 0) {
+    lines.push("No changes.", "");
+    return lines.join("\n");
+  }
+
+  if (release.breaking.length > 0) {
+    lines.push(heading(level + 1, "⚠ BREAKING CHANGES"), "");
+    for (const entry of release.breaking) {
+      entry.notes.forEach((note) => lines.push(renderEntry({ ...entry, description: note }, true)));
+    }
+    lines.push("");
+  }
+
+  for (const section of release.sections) {
+    lines.push(heading(level + 1, section.title), "");
+    for (const { entries } of section.scopes) {
+      entries.forEach((entry) => lines.push(renderEntry(entry, true)));
+    }
+    lines.push("");
+  }
+
+  if (release.truncated) {
+    lines.push(`_Only the newest ${release.commitCount} commits are listed._`, "");
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Render coordinated release notes for several projects released in the same window
+ * @param {Object} notes
+ * @param {{since: string|null, until: string|null}} notes.window - Window bounds (ISO 8601)
+ * @param {Object[]} notes.releases - Releases as accepted by renderReleaseMarkdown
+ * @param {string[]} [notes.untagged] - Projects without a release in the window
+ * @param {Object[]} [notes.skipped] - Projects that are not git repositories ({project, reason})
+ * @returns {string}
+ */
+export function renderWorkspaceReleaseNotesMarkdown({ window, releases, untagged = [], skipped = [] }) {
+  const day = (date) => date.slice(0, 10);
+  const span = window.since && window.until
+    ? `between ${day(window.since)} and ${day(window.until)}`
+    : window.since ? `since ${day(window.since)}` : `up to ${day(window.until)}`;
+  const lines = [heading(1, "Workspace Release Notes"), "", `Releases tagged ${span}.`, ""];
+
+  if (releases.length > 0) {
+    lines.push("| Project | Release | Previous | Commits | Breaking changes |", "| --- | --- | --- | --- | --- |");
+    for (const release of releases) {
+      lines.push(`| ${release.project} | ${release.to} | ${release.from ?? "–"} | ${release.commitCount} | ${release.breaking.length} |`);
+    }
+    lines.push("");
+
+    const breaking = releases.filter((release) => release.breaking.length > 0).map((release) => release.project);
+    if (breaking.length > 0) {
+      lines.push(`**⚠ Breaking changes in:** ${breaking.join(", ")}`, "");
+    }
+  }
+
+  releases.forEach((release) => lines.push(renderReleaseMarkdown(release, { withProject: true })));
+
+  if (untagged.length > 0) {
+    lines.push(`No release in this window: ${untagged.join(", ")}`, "");
+  }
+  if (skipped.length > 0) {
+    lines.push(`Skipped (not git repositories): ${skipped.map((entry) => entry.project).join(", ")}`, "");
+  }
+
+  return lines.join("\n");
+}
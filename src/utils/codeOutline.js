@@ -0,0 +1,780 @@
+// ============================================
+// Code Outline Extraction
+// ============================================
+// Lightweight, dependency-free outlines of
+// JS/TS, Python and Go sources: imports,
+// exports and top-level symbols with line
+// ranges. Heuristic by design - it masks
+// strings and comments, then reads structure
+// from brackets and indentation.
+// ============================================
+
+import path from "path";
+
+const LANGUAGES_BY_EXTENSION = {
+  ".js": "javascript",
+  ".mjs": "javascript",
+  ".cjs": "javascript",
+  ".jsx": "javascript",
+  ".ts": "typescript",
+  ".mts": "typescript",
+  ".cts": "typescript",
+  ".tsx": "typescript",
+  ".py": "python",
+  ".pyi": "python",
+  ".go": "go",
+};
+
+// Signatures are cut off after this many characters
+const MAX_SIGNATURE_LENGTH = 200;
+
+// Keywords that look like method calls at the start of a line
+const CONTROL_KEYWORDS = new Set(["if", "for", "while", "switch", "catch", "return", "function", "with", "else", "do"]);
+
+// Tokens after which a `/` starts a regular expression literal rather than a division
+const REGEX_PRECEDERS = /(^|[(,=:[!&|?{};+\-*%<>~^]|\b(?:return|typeof|case|in|of|delete|void|throw|new|yield|await))\s*$/;
+
+/**
+ * Detect the outline language of a file from its extension
+ * @param {string} filePath - File path
+ * @returns {string|null} "javascript", "typescript", "python", "go" or null if unsupported
+ */
+export function detectLanguage(filePath) {
+  return LANGUAGES_BY_EXTENSION[path.extname(filePath).toLowerCase()] || null;
+}
+
+/**
+ * Replace the contents of comments and string literals with spaces
+ *
+ * The result has the same length and line breaks as the input, so offsets and line
+ * numbers carry over, but brackets and keywords inside strings no longer count.
+ * Quote characters of single-line strings are kept so string positions stay recognizable.
+ *
+ * @param {string} text - Source text
+ * @param {string} language - Outline language
+ * @returns {string}
+ */
+function maskSource(text, language) {
+  const out = text.split("");
+  const blank = (from, to) => {
+    for (let k = from; k < to; k++) {
+      if (out[k] !== "\n") out[k] = " ";
+    }
+  };
+  const lineComment = language === "python" ? "#" : "//";
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (text.startsWith(lineComment, i)) {
+      const end = text.indexOf("\n", i);
+      const stop = end === -1 ? text.length : end;
+      blank(i, stop);
+      i = stop;
+      continue;
+    }
+
+    if (language !== "python" && text.startsWith("/*", i)) {
+      const end = text.indexOf("*/", i + 2);
+      const stop = end === -1 ? text.length : end + 2;
+      blank(i, stop);
+      i = stop;
+      continue;
+    }
+
+    if (language === "python" && (text.startsWith('"""', i) || text.startsWith("'''", i))) {
+      const quote = text.slice(i, i + 3);
+      let j = i + 3;
+      while (j < text.length && !text.startsWith(quote, j)) {
+        j += text[j] === "\\" ? 2 : 1;
+      }
+      // Multi-line strings lose their quotes too, so no stray line looks like code
+      const multiline = text.slice(i, j).includes("\n");
+      blank(multiline ? i : i + 3, Math.min(multiline ? j + 3 : j, text.length));
+      i = j + 3;
+      continue;
+    }
+
+    const isQuote = ch === '"' || ch === "'"
+      || (ch === "`" && language !== "python");
+    if (isQuote) {
+      const raw = ch === "`";
+      let j = i + 1;
+      let braces = 0;
+      while (j < text.length) {
+        if (text[j] === "\\" && !(raw && language === "go")) {
+          j += 2;
+          continue;
+        }
+        if (!raw && text[j] === "\n") break;
+        if (raw && language !== "go") {
+          // Skip over ${ ... } expressions inside template literals
+          if (text.startsWith("${", j)) {
+            braces++;
+            j += 2;
+            continue;
+          }
+          if (braces > 0) {
+            if (text[j] === "{") braces++;
+            if (text[j] === "}") braces--;
+            j++;
+            continue;
+          }
+        }
+        if (text[j] === ch) break;
+        j++;
+      }
+      const multiline = text.slice(i, j).includes("\n");
+      blank(multiline ? i : i + 1, Math.min(multiline ? j + 1 : j, text.length));
+      i = j + 1;
+      continue;
+    }
+
+    if (ch === "/" && language !== "python" && language !== "go") {
+      const before = out.slice(Math.max(0, i - 20), i).join("");
+      if (REGEX_PRECEDERS.test(before)) {
+        let j = i + 1;
+        let inClass = false;
+        while (j < text.length && text[j] !== "\n") {
+          if (text[j] === "\\") {
+            j += 2;
+            continue;
+          }
+          if (text[j] === "[") inClass = true;
+          else if (text[j] === "]") inClass = false;
+          else if (text[j] === "/" && !inClass) break;
+          j++;
+        }
+        if (text[j] === "/") {
+          blank(i + 1, j);
+          i = j + 1;
+          continue;
+        }
+      }
+    }
+
+    i++;
+  }
+
+  return out.join("");
+}
+
+/**
+ * Compute the bracket depth at the start of every line
+ * @param {string[]} maskedLines - Masked source lines
+ * @returns {number[]} Depth per line, plus one trailing entry for the end of the file
+ */
+function computeDepths(maskedLines) {
+  const depths = [];
+  let depth = 0;
+  for (const line of maskedLines) {
+    depths.push(depth);
+    for (const ch of line) {
+      if (ch === "{" || ch === "(" || ch === "[") depth++;
+      else if ((ch === "}" || ch === ")" || ch === "]") && depth > 0) depth--;
+    }
+  }
+  depths.push(depth);
+  return depths;
+}
+
+/**
+ * Prepare a source text for line-based scanning
+ * @param {string} text - Source text
+ * @param {string} language - Outline language
+ * @returns {{lines: string[], masked: string[], depths: number[]}}
+ */
+function scanSource(text, language) {
+  const lines = text.split(/\r?\n/);
+  const masked = maskSource(text.replace(/\r\n/g, "\n"), language).split("\n");
+  return { lines, masked, depths: computeDepths(masked) };
+}
+
+/**
+ * Find the next non-blank masked line
+ * @param {string[]} masked - Masked source lines
+ * @param {number} from - Line index to start at
+ * @returns {number} Line index, or -1
+ */
+function nextCodeLine(masked, from) {
+  for (let i = from; i < masked.length; i++) {
+    if (masked[i].trim()) return i;
+  }
+  return -1;
+}
+
+/**
+ * Find the last line of a bracket-delimited statement (JS/TS and Go)
+ * @param {Object} source - Result of scanSource
+ * @param {number} start - First line index of the statement
+ * @param {number} baseDepth - Bracket depth the statement starts at
+ * @returns {number} Last line index of the statement
+ */
+function findStatementEnd({ masked, depths }, start, baseDepth) {
+  for (let j = start; j < masked.length; j++) {
+    if (depths[j + 1] > baseDepth) continue;
+
+    // Lines ending in an operator or opening a chain continue on the next line
+    const trimmed = masked[j].trim();
+    if (/(?:[=,(+\-&|?:]|=>)$/.test(trimmed) && !/(?:\+\+|--)$/.test(trimmed)) continue;
+
+    const next = nextCodeLine(masked, j + 1);
+    if (next !== -1 && /^(?:\.[^.]|\?\.?|:|&&|\|\||\+|=>|,)/.test(masked[next].trim())) continue;
+
+    return j;
+  }
+  return masked.length - 1;
+}
+
+/**
+ * Collapse a declaration's header into a one-line signature
+ * @param {Object} source - Result of scanSource
+ * @param {number} start - First line index of the declaration
+ * @param {number} end - Last line index of the declaration
+ * @param {Object} options
+ * @param {string} options.stopAt - Character that ends the signature at depth 0 (e.g. "{" or ":")
+ * @param {boolean} [options.stopAfterArrow=false] - Also stop right after a top-level `=>`
+ * @returns {string}
+ */
+function extractSignature({ lines, masked }, start, end, { stopAt, stopAfterArrow = false }) {
+  let result = "";
+  let depth = 0;
+
+  outer:
+  for (let i = start; i <= end; i++) {
+    for (let c = 0; c < masked[i].length; c++) {
+      const ch = masked[i][c];
+      if (depth === 0 && ch === stopAt) break outer;
+      if (ch === "(" || ch === "[" || ch === "{" || (ch === "<" && stopAt !== ":")) depth++;
+      if ((ch === ")" || ch === "]" || ch === "}" || (ch === ">" && stopAt !== ":" && masked[i][c - 1] !== "=")) && depth > 0) depth--;
+      result += lines[i][c] ?? "";
+      if (stopAfterArrow && depth === 0 && result.endsWith("=>")) break outer;
+    }
+    result += " ";
+    if (result.length > MAX_SIGNATURE_LENGTH) break;
+  }
+
+  const signature = result.replace(/\s+/g, " ").trim().replace(/[;,]$/, "");
+  return signature.length > MAX_SIGNATURE_LENGTH
+    ? `${signature.slice(0, MAX_SIGNATURE_LENGTH - 1)}…`
+    : signature;
+}
+
+/**
+ * Split an import/export name list ("a, b as c, type d") into names
+ * @param {string} list - Comma-separated names
+ * @returns {string[]}
+ */
+function splitNames(list) {
+  return list
+    .split(",")
+    .map((name) => name.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse an ES import statement
+ * @param {string} statement - Statement text
+ * @param {number} line - 1-based line number
+ * @returns {Object|null} Import record
+ */
+function parseEsImport(statement, line) {
+  const source = /\bfrom\s*["']([^"']+)["']/.exec(statement)?.[1]
+    ?? /^import\s*["']([^"']+)["']/.exec(statement)?.[1];
+  if (!source) return null;
+
+  const record = { source, line };
+  const clause = /^import\s+(?:type\s+)?([\s\S]*?)\s*from\s*["']/.exec(statement)?.[1] ?? "";
+  if (/^type\s/.test(statement.slice(6).trim())) record.typeOnly = true;
+
+  const defaultName = /^([\w$]+)/.exec(clause)?.[1];
+  if (defaultName) record.default = defaultName;
+
+  const namespace = /\*\s*as\s+([\w$]+)/.exec(clause)?.[1];
+  if (namespace) record.namespace = namespace;
+
+  const named = /\{([\s\S]*)\}/.exec(clause)?.[1];
+  if (named !== undefined) record.named = splitNames(named);
+
+  return record;
+}
+
+/**
+ * Parse a CommonJS `require` declaration
+ * @param {string} statement - Statement text
+ * @param {number} line - 1-based line number
+ * @returns {Object|null} Import record
+ */
+function parseRequire(statement, line) {
+  const match = /^(?:const|let|var)\s+([\s\S]+?)\s*=\s*require\(\s*["']([^"']+)["']\s*\)/.exec(statement);
+  if (!match) return null;
+
+  const [, binding, source] = match;
+  const named = /^\{([\s\S]*)\}$/.exec(binding)?.[1];
+  if (named !== undefined) {
+    return { source, line, require: true, named: splitNames(named).map((name) => name.replace(/\s*:\s*/, " as ")) };
+  }
+  return { source, line, require: true, default: binding };
+}
+
+/**
+ * Classify a JS/TS declaration statement
+ * @param {string} maskedStatement - Masked statement text
+ * @param {string} statement - Original statement text
+ * @returns {{kind: string, name: string, exported: boolean}|null}
+ */
+function classifyScriptDeclaration(maskedStatement, statement) {
+  const match = /^(export\s+)?(default\s+)?(?:declare\s+)?(?:abstract\s+)?(?:async\s+)?(function\b\s*\*?|class\b|interface\b|type\b|(?:const\s+)?enum\b|namespace\b|module\b|const\b|let\b|var\b)\s*([\w$]*)/.exec(maskedStatement);
+  if (!match) return null;
+
+  const [, exportKeyword, defaultKeyword, keyword, rawName] = match;
+  const exported = Boolean(exportKeyword);
+  const name = rawName || (defaultKeyword ? "default" : "");
+  const declarator = keyword.replace(/\s+/g, " ").replace(/\s*\*$/, "").trim();
+
+  if (!name) return null;
+
+  if (declarator === "type") {
+    return /^[^=]*\btype\s+[\w$]+\s*(?:<[^=]*>)?\s*=/.test(maskedStatement) ? { kind: "type", name, exported } : null;
+  }
+  if (declarator === "const enum" || declarator === "enum") return { kind: "enum", name, exported };
+  if (declarator === "namespace" || declarator === "module") {
+    // `module.exports = ...` is handled as a CommonJS export
+    return /^(?:export\s+)?(?:declare\s+)?(?:namespace|module)\s+[\w$."']+\s*\{/.test(maskedStatement)
+      ? { kind: "namespace", name, exported }
+      : null;
+  }
+  if (declarator === "const" || declarator === "let" || declarator === "var") {
+    if (/require\(\s*["']/.test(statement)) return null;
+    const initializer = maskedStatement.slice(maskedStatement.indexOf("=") + 1).trim();
+    if (/^(?:async\s+)?(?:function\b|\([^)]*\)\s*(?::[^=]+)?=>|[\w$]+\s*=>)/.test(initializer)) {
+      return { kind: "function", name, exported };
+    }
+    if (/^class\b/.test(initializer)) return { kind: "class", name, exported };
+    return { kind: "variable", name, exported };
+  }
+  return { kind: declarator, name, exported };
+}
+
+/**
+ * List the methods of a JS/TS class
+ * @param {Object} source - Result of scanSource
+ * @param {number} start - First line index of the class
+ * @param {number} end - Last line index of the class
+ * @returns {Object[]} Member symbols
+ */
+function scriptClassMembers(source, start, end) {
+  const { masked, depths } = source;
+  const members = [];
+  const classDepth = depths[start];
+
+  for (let i = start + 1; i < end; i++) {
+    if (depths[i] !== classDepth + 1 || !masked[i].trim()) continue;
+
+    const text = masked[i].trim();
+    const modifiers = "(?:(?:public|private|protected|static|readonly|override|abstract|declare|async|get|set|accessor)\\s+)*";
+    const method = new RegExp(`^${modifiers}\\*?\\s*(#?[\\w$]+)\\s*[?!]?\\s*(?:<[^>]*>)?\\s*\\(`).exec(text);
+    const arrowField = new RegExp(`^${modifiers}(#?[\\w$]+)\\s*[?!]?\\s*(?::[^=]+)?=\\s*(?:async\\s*)?(?:\\([^)]*\\)|[\\w$]+)\\s*(?::[^=]+)?=>`).exec(text);
+    const name = method?.[1] ?? arrowField?.[1];
+    if (!name || CONTROL_KEYWORDS.has(name)) continue;
+
+    const memberEnd = findStatementEnd(source, i, classDepth + 1);
+    members.push({
+      kind: "method",
+      name,
+      ...(/\bstatic\s/.test(text) && { static: true }),
+      startLine: i + 1,
+      endLine: memberEnd + 1,
+      signature: extractSignature(source, i, memberEnd, { stopAt: "{", stopAfterArrow: Boolean(arrowField) }),
+    });
+    i = memberEnd;
+  }
+
+  return members;
+}
+
+/**
+ * Outline a JavaScript or TypeScript source
+ * @param {string} text - Source text
+ * @param {string} language - "javascript" or "typescript"
+ * @returns {Object} Outline
+ */
+function outlineScript(text, language) {
+  const source = scanSource(text, language);
+  const { lines, masked, depths } = source;
+  const imports = [];
+  const exports = [];
+  const symbols = [];
+  let decoratorStart = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    if (depths[i] !== 0 || !masked[i].trim()) continue;
+
+    const end = findStatementEnd(source, i, 0);
+    const statement = lines.slice(i, end + 1).join("\n").trim();
+    const maskedStatement = masked.slice(i, end + 1).join("\n").trim();
+    const line = i + 1;
+    const startLine = (decoratorStart ?? i) + 1;
+
+    if (maskedStatement.startsWith("@")) {
+      decoratorStart ??= i;
+      i = end;
+      continue;
+    }
+    decoratorStart = null;
+
+    let match;
+    if (/^import\s*[\w${*"']/.test(maskedStatement) && !/^import\s*\(/.test(maskedStatement)) {
+      const record = parseEsImport(statement, line);
+      if (record) imports.push(record);
+    } else if ((match = /^export\s+(?:type\s+)?\{([\s\S]*?)\}\s*(?:from\s*["']([^"']+)["'])?/.exec(statement))) {
+      exports.push({ names: splitNames(match[1]), ...(match[2] && { source: match[2] }), line });
+    } else if ((match = /^export\s*\*\s*(?:as\s+([\w$]+)\s*)?from\s*["']([^"']+)["']/.exec(statement))) {
+      exports.push({ names: [match[1] ? `* as ${match[1]}` : "*"], source: match[2], line });
+    } else if (/^export\s*=/.test(maskedStatement) || /^module\.exports\s*=/.test(maskedStatement)) {
+      const objectNames = /=\s*\{([^{}]*)\}\s*;?$/.exec(maskedStatement)?.[1];
+      const names = objectNames !== undefined
+        ? splitNames(objectNames).map((name) => name.split(/\s*:\s*/)[0])
+        : ["default"];
+      exports.push({ names, line });
+    } else if ((match = /^(?:module\.)?exports\.([\w$]+)\s*=\s*(.*)/.exec(maskedStatement))) {
+      exports.push({ names: [match[1]], line });
+      if (/^(?:async\s+)?(?:function\b|\([^)]*\)\s*=>|[\w$]+\s*=>)/.test(match[2])) {
+        symbols.push({
+          kind: "function",
+          name: match[1],
+          exported: true,
+          startLine,
+          endLine: end + 1,
+          signature: extractSignature(source, i, end, { stopAt: "{", stopAfterArrow: true }),
+        });
+      }
+    } else if (/^export\s+default\s/.test(maskedStatement) && !classifyScriptDeclaration(maskedStatement, statement)) {
+      exports.push({ names: ["default"], line });
+    } else {
+      const record = parseRequire(statement, line);
+      if (record) {
+        imports.push(record);
+      } else {
+        const declaration = classifyScriptDeclaration(maskedStatement, statement);
+        if (declaration) {
+          const isCallable = ["function", "class", "interface", "enum", "namespace"].includes(declaration.kind);
+          const symbol = {
+            ...declaration,
+            startLine,
+            endLine: end + 1,
+            signature: extractSignature(source, i, end, {
+              stopAt: isCallable ? "{" : "=",
+              stopAfterArrow: declaration.kind === "function",
+            }),
+          };
+          if (declaration.kind === "class") {
+            symbol.members = scriptClassMembers(source, i, end);
+          }
+          symbols.push(symbol);
+        }
+      }
+    }
+
+    i = end;
+  }
+
+  // Local export lists (`export { a }`, `module.exports = { a }`) export earlier declarations
+  const exportedNames = new Set(exports
+    .filter((entry) => !entry.source)
+    .flatMap((entry) => entry.names.map((name) => name.split(/\s+as\s+/)[0])));
+  symbols.forEach((symbol) => {
+    if (exportedNames.has(symbol.name)) symbol.exported = true;
+  });
+
+  return { language, lineCount: lines.length, imports, exports, symbols };
+}
+
+/**
+ * Measure the indentation of a line
+ * @param {string} line - Source line
+ * @returns {number}
+ */
+function indentOf(line) {
+  return /^[ \t]*/.exec(line)[0].replace(/\t/g, "    ").length;
+}
+
+/**
+ * Find the last line of a Python block that starts at a given indentation
+ * @param {Object} source - Result of scanSource
+ * @param {number} start - First line index of the block
+ * @param {number} indent - Indentation of the block's header
+ * @returns {number} Last line index of the block
+ */
+function findPythonBlockEnd({ lines, masked, depths }, start, indent) {
+  let last = start;
+  for (let j = start + 1; j < lines.length; j++) {
+    if (!masked[j].trim()) continue;
+
+    // Lines inside open brackets or after a backslash continue the previous statement
+    const continued = depths[j] > 0 || masked[last].trimEnd().endsWith("\\");
+    if (!continued && indentOf(lines[j]) <= indent) break;
+    last = j;
+  }
+  return last;
+}
+
+/**
+ * Outline a Python source
+ * @param {string} text - Source text
+ * @returns {Object} Outline
+ */
+function outlinePython(text) {
+  const source = scanSource(text, "python");
+  const { lines, masked, depths } = source;
+  const imports = [];
+  const exports = [];
+  const symbols = [];
+
+  /**
+   * Collect the definitions at one indentation level of a block
+   * @param {number} from - First line index
+   * @param {number} to - Last line index
+   * @param {number} indent - Indentation of the definitions
+   * @param {boolean} topLevel - Whether this is the module level
+   * @returns {Object[]}
+   */
+  const collect = (from, to, indent, topLevel) => {
+    const found = [];
+    let decoratorStart = null;
+
+    for (let i = from; i <= to; i++) {
+      if (!masked[i].trim() || depths[i] !== 0 || indentOf(lines[i]) !== indent) continue;
+
+      const header = masked[i].trim();
+      const end = findPythonBlockEnd(source, i, indent);
+      const line = i + 1;
+
+      if (header.startsWith("@")) {
+        decoratorStart ??= i;
+        i = end;
+        continue;
+      }
+      const startLine = (decoratorStart ?? i) + 1;
+      decoratorStart = null;
+
+      let match;
+      if ((match = /^(async\s+)?def\s+(\w+)/.exec(header)) || (match = /^(class)\s+(\w+)/.exec(header))) {
+        const kind = match[1] === "class" ? "class" : topLevel ? "function" : "method";
+        const symbol = {
+          kind,
+          name: match[2],
+          exported: !match[2].startsWith("_"),
+          startLine,
+          endLine: end + 1,
+          signature: extractSignature(source, i, end, { stopAt: ":" }),
+        };
+        if (kind === "class") {
+          const bodyLine = nextCodeLine(masked, i + 1);
+          const bodyIndent = bodyLine !== -1 && bodyLine <= end ? indentOf(lines[bodyLine]) : null;
+          symbol.members = bodyIndent !== null && bodyIndent > indent
+            ? collect(bodyLine, end, bodyIndent, false).filter((member) => member.kind === "method")
+            : [];
+        }
+        found.push(symbol);
+      } else if (topLevel && (match = /^import\s+([\s\S]+)/.exec(masked.slice(i, end + 1).join(" ")))) {
+        for (const name of splitNames(match[1].replace(/[()\\]/g, ""))) {
+          const [module, alias] = name.split(/\s+as\s+/);
+          imports.push({ source: module, line, ...(alias && { default: alias }) });
+        }
+      } else if (topLevel && (match = /^from\s+(\S+)\s+import\s+([\s\S]+)/.exec(masked.slice(i, end + 1).join(" ")))) {
+        const names = splitNames(match[2].replace(/[()\\]/g, ""));
+        imports.push({ source: match[1], line, ...(names[0] === "*" ? { namespace: "*" } : { named: names }) });
+      } else if (topLevel && /^__all__\s*[+]?=/.test(header)) {
+        const statement = lines.slice(i, end + 1).join(" ");
+        exports.push({ names: [...statement.matchAll(/["'](\w+)["']/g)].map((m) => m[1]), line });
+      } else if (topLevel && (match = /^([A-Za-z_]\w*)\s*(?::[^=]+)?=(?!=)/.exec(header))) {
+        found.push({
+          kind: "variable",
+          name: match[1],
+          exported: !match[1].startsWith("_"),
+          startLine,
+          endLine: end + 1,
+          signature: extractSignature(source, i, end, { stopAt: "=" }),
+        });
+      }
+
+      i = end;
+    }
+    return found;
+  };
+
+  symbols.push(...collect(0, lines.length - 1, 0, true));
+
+  // An explicit __all__ defines what the module exports
+  const allNames = exports.flatMap((entry) => entry.names);
+  if (allNames.length > 0) {
+    symbols.forEach((symbol) => {
+      symbol.exported = allNames.includes(symbol.name);
+    });
+  }
+
+  return { language: "python", lineCount: lines.length, imports, exports, symbols };
+}
+
+/**
+ * Outline a Go source
+ * @param {string} text - Source text
+ * @returns {Object} Outline
+ */
+function outlineGo(text) {
+  const source = scanSource(text, "go");
+  const { lines, masked, depths } = source;
+  const imports = [];
+  const symbols = [];
+  let packageName = null;
+  const isExported = (name) => /^[A-Z]/.test(name);
+
+  for (let i = 0; i < lines.length; i++) {
+    if (depths[i] !== 0 || !masked[i].trim()) continue;
+
+    const header = masked[i].trim();
+    const end = findStatementEnd(source, i, 0);
+    const line = i + 1;
+    let match;
+
+    if ((match = /^package\s+(\w+)/.exec(header))) {
+      packageName = match[1];
+    } else if (/^import\b/.test(header)) {
+      for (let j = i; j <= end; j++) {
+        const spec = /^(?:import\s*\(?)?\s*([\w.]+\s+)?"([^"]+)"/.exec(lines[j].trim());
+        if (spec) {
+          imports.push({ source: spec[2], line: j + 1, ...(spec[1] && { default: spec[1].trim() }) });
+        }
+      }
+    } else if ((match = /^func\s*(?:\(([^)]*)\))?\s*(\w+)/.exec(header))) {
+      const receiver = match[1] ? match[1].trim().split(/\s+/).pop().replace(/^\*/, "").replace(/\[.*$/, "") : null;
+      symbols.push({
+        kind: receiver ? "method" : "function",
+        name: match[2],
+        ...(receiver && { receiver }),
+        exported: isExported(match[2]),
+        startLine: line,
+        endLine: end + 1,
+        signature: extractSignature(source, i, end, { stopAt: "{" }),
+      });
+    } else if ((match = /^(type|var|const)\s*(\(?)\s*(\w*)/.exec(header))) {
+      const [, keyword, grouped, name] = match;
+      const specs = grouped
+        ? lines.slice(i + 1, end).map((specLine, k) => ({ text: specLine, index: i + 1 + k }))
+          .filter(({ index }) => depths[index] === 1 && masked[index].trim() && masked[index].trim() !== ")")
+        : [{ text: lines[i].replace(/^\s*(?:type|var|const)\s+/, ""), index: i }];
+
+      for (const { text: specText, index } of specs) {
+        // `var X, Y = 1, 2` declares every listed name; type specs declare one
+        const nameList = /^\s*(\w+(?:\s*,\s*\w+)*)/.exec(specText)?.[1] ?? name;
+        if (!nameList) continue;
+        const specNames = keyword === "type" ? [nameList.split(",")[0].trim()] : nameList.split(/\s*,\s*/);
+        const specEnd = grouped ? findStatementEnd(source, index, 1) : end;
+        const typeKind = /^\s*\w+\s*(?:\[[^\]]*\]\s*)?(struct|interface)\b/.exec(specText)?.[1];
+        const signature = extractSignature(source, index, specEnd, { stopAt: keyword === "type" ? "{" : "=" });
+        for (const specName of specNames) {
+          symbols.push({
+            kind: keyword === "type" ? (typeKind ?? "type") : keyword === "const" ? "constant" : "variable",
+            name: specName,
+            exported: isExported(specName),
+            startLine: index + 1,
+            endLine: specEnd + 1,
+            signature,
+          });
+        }
+      }
+    }
+
+    i = end;
+  }
+
+  // Attach methods to their receiver types for a class-like view
+  for (const method of symbols.filter((symbol) => symbol.kind === "method")) {
+    const owner = symbols.find((symbol) => symbol.name === method.receiver && symbol.kind !== "method" && symbol.kind !== "function");
+    if (owner) {
+      (owner.methods ??= []).push(method.name);
+    }
+  }
+
+  return { language: "go", lineCount: lines.length, package: packageName, imports, exports: [], symbols };
+}
+
+/**
+ * Build an outline of a source file
+ * @param {string} text - Source text
+ * @param {string} language - Language from detectLanguage
+ * @returns {{language: string, lineCount: number, imports: Object[], exports: Object[], symbols: Object[]}}
+ */
+export function outlineSource(text, language) {
+  switch (language) {
+    case "javascript":
+    case "typescript":
+      return outlineScript(text, language);
+    case "python":
+      return outlinePython(text);
+    case "go":
+      return outlineGo(text);
+    default:
+      throw new Error(`Unsupported language: ${language}`);
+  }
+}
+
+/**
+ * Collect the line indexes covered by import statements
+ * @param {Object} source - Result of scanSource
+ * @param {string} language - Outline language
+ * @returns {Set<number>}
+ */
+function importLines(source, language) {
+  const { masked, depths } = source;
+  const covered = new Set();
+  const isImport = language === "python"
+    ? (text) => /^(?:import|from)\s/.test(text)
+    : language === "go"
+      ? (text) => /^import\b/.test(text)
+      : (text) => /^import\s*[\w${*"']/.test(text) || /^(?:const|let|var)\s[^=]*=\s*require\(/.test(text);
+
+  for (let i = 0; i < masked.length; i++) {
+    if (depths[i] !== 0 || !isImport(masked[i].trim())) continue;
+    const end = language === "python"
+      ? (depths[i + 1] > 0 ? findStatementEnd(source, i, 0) : i)
+      : findStatementEnd(source, i, 0);
+    for (let j = i; j <= end; j++) covered.add(j);
+    i = end;
+  }
+  return covered;
+}
+
+/**
+ * Find the code references to an identifier, ignoring comments, strings and imports
+ * @param {string} text - Source text
+ * @param {string} language - Outline language
+ * @param {string} identifier - Local name (may be dotted, e.g. a Python module path)
+ * @param {string} [member] - Only match `identifier.member` accesses
+ * @returns {Array<{line: number, column: number, text: string}>} 1-based positions
+ */
+export function findIdentifierUsages(text, language, identifier, member) {
+  const source = scanSource(text, language);
+  const skipped = importLines(source, language);
+  const escaped = identifier.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\\\./g, "\\s*\\.\\s*");
+  const pattern = member
+    ? new RegExp(`(?<![\\w$.])${escaped}\\s*\\.\\s*${member.replace(/[$]/g, "\\$")}(?![\\w$])`, "g")
+    : new RegExp(`(?<![\\w$.])${escaped}(?![\\w$])`, "g");
+  const usages = [];
+
+  source.masked.forEach((line, index) => {
+    if (skipped.has(index)) return;
+    for (const match of line.matchAll(pattern)) {
+      const lineText = source.lines[index].trim();
+      usages.push({
+        line: index + 1,
+        column: match.index + 1,
+        text: lineText.length > MAX_SIGNATURE_LENGTH ? `${lineText.slice(0, MAX_SIGNATURE_LENGTH - 1)}…` : lineText,
+      });
+    }
+  });
+
+  return usages;
+}
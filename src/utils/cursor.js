@@ -0,0 +1,29 @@
+// ============================================
+// Pagination Cursors
+// ============================================
+// Opaque continuation cursors for paginated
+// listings
+// ============================================
+
+/**
+ * Encode a listing offset as an opaque continuation cursor
+ * @param {number} offset - Number of entries already returned
+ * @returns {string}
+ */
+export function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString("base64url");
+}
+
+/**
+ * Decode a continuation cursor produced by encodeCursor
+ * @param {string} cursor - Opaque cursor
+ * @returns {number|null} Offset to resume from, or null if the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    return Number.isInteger(offset) && offset >= 0 ? offset : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,202 @@
+// ============================================
+// File Content Helpers
+// ============================================
+// Utilities for inspecting file contents and
+// reading bounded slices of (possibly huge or
+// binary) files
+// ============================================
+
+import fs from "fs/promises";
+import { createReadStream } from "fs";
+import path from "path";
+import readline from "readline";
+
+// Number of leading bytes inspected when sniffing for binary content
+const SNIFF_BYTES = 8000;
+
+// Magic numbers for the image formats MCP clients can render
+const IMAGE_SIGNATURES = [
+  { mimeType: "image/png", bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { mimeType: "image/jpeg", bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: "image/gif", bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mimeType: "image/webp", bytes: [0x52, 0x49, 0x46, 0x46], also: { at: 8, bytes: [0x57, 0x45, 0x42, 0x50] } },
+];
+
+// Best-effort MIME types for common binary files, keyed by extension
+const BINARY_MIME_TYPES = {
+  ".pdf": "application/pdf",
+  ".zip": "application/zip",
+  ".gz": "application/gzip",
+  ".tar": "application/x-tar",
+  ".jar": "application/java-archive",
+  ".wasm": "application/wasm",
+  ".ico": "image/x-icon",
+  ".bmp": "image/bmp",
+  ".mp3": "audio/mpeg",
+  ".mp4": "video/mp4",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+  ".ttf": "font/ttf",
+  ".sqlite": "application/vnd.sqlite3",
+};
+
+/**
+ * Check whether a buffer looks like binary data (contains a NUL byte)
+ * @param {Buffer} buffer - File content or a leading slice of it
+ * @returns {boolean}
+ */
+export function isBinaryBuffer(buffer) {
+  return buffer.subarray(0, SNIFF_BYTES).includes(0);
+}
+
+/**
+ * Read a file as UTF-8 text, skipping binary files
+ * @param {string} absolutePath - Absolute file path
+ * @returns {Promise<string|null>} File text, or null if the file is binary
+ */
+export async function readTextFile(absolutePath) {
+  const buffer = await fs.readFile(absolutePath);
+  return isBinaryBuffer(buffer) ? null : buffer.toString("utf8");
+}
+
+/**
+ * Check whether a buffer starts with the given bytes at an offset
+ * @param {Buffer} buffer - Buffer to inspect
+ * @param {number[]} bytes - Expected bytes
+ * @param {number} [at=0] - Offset to compare at
+ * @returns {boolean}
+ */
+function hasBytes(buffer, bytes, at = 0) {
+  return bytes.every((byte, i) => buffer[at + i] === byte);
+}
+
+/**
+ * Sniff the leading bytes of a file to classify it
+ * @param {string} absolutePath - Absolute file path
+ * @returns {Promise<{binary: boolean, mimeType: string|null, isImage: boolean}>}
+ */
+export async function detectFileType(absolutePath) {
+  const handle = await fs.open(absolutePath, "r");
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0);
+    const head = buffer.subarray(0, bytesRead);
+
+    const image = IMAGE_SIGNATURES.find((sig) =>
+      hasBytes(head, sig.bytes, sig.at) && (!sig.also || hasBytes(head, sig.also.bytes, sig.also.at))
+    );
+    if (image) {
+      return { binary: true, mimeType: image.mimeType, isImage: true };
+    }
+
+    if (isBinaryBuffer(head)) {
+      const extension = path.extname(absolutePath).toLowerCase();
+      return { binary: true, mimeType: BINARY_MIME_TYPES[extension] || "application/octet-stream", isImage: false };
+    }
+
+    return { binary: false, mimeType: null, isImage: false };
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Read a byte range of a file
+ * @param {string} absolutePath - Absolute file path
+ * @param {number} offset - Byte offset to start at
+ * @param {number} length - Maximum number of bytes to read
+ * @returns {Promise<Buffer>}
+ */
+export async function readBytes(absolutePath, offset, length) {
+  const handle = await fs.open(absolutePath, "r");
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, offset);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Stream a 1-based, inclusive line range of a text file
+ * @param {string} absolutePath - Absolute file path
+ * @param {Object} options
+ * @param {number} [options.startLine=1] - First line to return
+ * @param {number} [options.endLine=Infinity] - Last line to return
+ * @param {number} options.maxBytes - Stop once this many bytes of text were collected
+ * @returns {Promise<{lines: string[], firstLine: number, lastLine: number, truncated: boolean, reachedEnd: boolean}>}
+ */
+export async function readLineRange(absolutePath, { startLine = 1, endLine = Infinity, maxBytes }) {
+  const input = createReadStream(absolutePath, { encoding: "utf8" });
+  const reader = readline.createInterface({ input, crlfDelay: Infinity });
+
+  const lines = [];
+  let lineNumber = 0;
+  let bytes = 0;
+  let truncated = false;
+  let reachedEnd = true;
+
+  try {
+    for await (const line of reader) {
+      lineNumber++;
+      if (lineNumber < startLine) continue;
+      if (lineNumber > endLine) {
+        reachedEnd = false;
+        break;
+      }
+
+      bytes += Buffer.byteLength(line) + 1;
+      if (bytes > maxBytes && lines.length > 0) {
+        truncated = true;
+        reachedEnd = false;
+        break;
+      }
+      lines.push(line);
+    }
+  } finally {
+    reader.close();
+    input.destroy();
+  }
+
+  return {
+    lines,
+    firstLine: startLine,
+    lastLine: startLine + lines.length - 1,
+    truncated,
+    reachedEnd,
+  };
+}
+
+/**
+ * Prefix lines with right-aligned line numbers (like `cat -n`)
+ * @param {string[]} lines - Lines to number
+ * @param {number} firstLine - Number of the first line
+ * @returns {string}
+ */
+export function numberLines(lines, firstLine) {
+  const width = String(firstLine + lines.length - 1).length;
+  return lines.map((line, i) => `${String(firstLine + i).padStart(width)}\t${line}`).join("\n");
+}
+
+/**
+ * Atomically replace a file's content, keeping its permissions
+ *
+ * Writes a sibling temp file and renames it over the target so readers never
+ * observe a partially written file.
+ *
+ * @param {string} filePath - Absolute file path
+ * @param {string|Buffer} content - New content
+ */
+export async function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  try {
+    await fs.writeFile(tempPath, content);
+    const existing = await fs.stat(filePath).catch(() => null);
+    if (existing) {
+      await fs.chmod(tempPath, existing.mode);
+    }
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
@@ -0,0 +1,139 @@
+// ============================================
+// Project File Walker
+// ============================================
+// Recursively walks a project directory while
+// honoring .gitignore files and access rules
+// ============================================
+
+import fs from "fs/promises";
+import path from "path";
+import ignore from "ignore";
+import { Minimatch } from "minimatch";
+import { checkAccess } from "./pathAccess.js";
+
+// Directories that are never worth descending into
+const GIT_DIRECTORY = ".git";
+
+/**
+ * Compile user-supplied glob filters; patterns without a slash match at any depth
+ * @param {string[]} [patterns] - Glob patterns
+ * @returns {Minimatch[]}
+ */
+export function compileGlobs(patterns = []) {
+  return patterns.map((pattern) => new Minimatch(pattern, { dot: true, matchBase: true }));
+}
+
+/**
+ * Check a relative path against include/exclude glob filters
+ * @param {string} relativePath - Project-relative path (posix separators)
+ * @param {Minimatch[]} include - Compiled include globs (empty means everything)
+ * @param {Minimatch[]} exclude - Compiled exclude globs
+ * @returns {boolean}
+ */
+export function matchesGlobs(relativePath, include, exclude) {
+  if (exclude.some((glob) => glob.match(relativePath))) {
+    return false;
+  }
+  return include.length === 0 || include.some((glob) => glob.match(relativePath));
+}
+
+/**
+ * Load the .gitignore file of a directory, if any
+ * @param {string} absoluteDir - Absolute directory path
+ * @returns {Promise<Object|null>} An `ignore` instance or null
+ */
+async function loadGitignore(absoluteDir) {
+  try {
+    const content = await fs.readFile(path.join(absoluteDir, ".gitignore"), "utf8");
+    return ignore().add(content);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check whether any .gitignore on the stack ignores a path
+ * @param {Array<{base: string, matcher: Object}>} stack - Active .gitignore matchers
+ * @param {string} relativePath - Project-relative path
+ * @param {boolean} isDirectory - Whether the path is a directory
+ * @returns {boolean}
+ */
+function isGitignored(stack, relativePath, isDirectory) {
+  return stack.some(({ base, matcher }) => {
+    const local = base ? path.posix.relative(base, relativePath) : relativePath;
+    return matcher.ignores(isDirectory ? `${local}/` : local);
+  });
+}
+
+/**
+ * Walk a project directory depth-first in a stable (sorted) order
+ *
+ * Yields directories before their contents. Symlinks are reported but never followed.
+ *
+ * @param {string} root - Absolute project root
+ * @param {Object} [options]
+ * @param {string} [options.startDir=""] - Project-relative directory to start from
+ * @param {Object} [options.rules] - Compiled access rules (see getAccessRules)
+ * @param {boolean} [options.gitignore=true] - Honor .gitignore files
+ * @param {number} [options.maxDepth=Infinity] - Maximum depth below startDir (1 = direct children)
+ * @param {string[]} [options.skipDirectories=[]] - Extra directory names never descended into (e.g. node_modules)
+ * @param {boolean} [options.includeGitDirectory=false] - Still yield .git directories (their contents are never walked)
+ * @returns {AsyncGenerator<{relativePath: string, absolutePath: string, name: string, type: string, depth: number}>}
+ */
+export async function* walkProject(root, { startDir = "", rules, gitignore = true, maxDepth = Infinity, skipDirectories = [], includeGitDirectory = false } = {}) {
+  const startParts = startDir.split("/").filter(Boolean);
+  const skipped = new Set(skipDirectories);
+  const inherited = [];
+
+  // Pick up .gitignore files from the project root down to the start directory
+  if (gitignore) {
+    for (let i = 0; i < startParts.length; i++) {
+      const base = startParts.slice(0, i).join("/");
+      const matcher = await loadGitignore(path.join(root, base));
+      if (matcher) inherited.push({ base, matcher });
+    }
+  }
+
+  async function* walk(relativeDir, depth, parentFrames) {
+    const absoluteDir = path.join(root, relativeDir);
+    const frames = [...parentFrames];
+
+    if (gitignore) {
+      const matcher = await loadGitignore(absoluteDir);
+      if (matcher) frames.push({ base: relativeDir, matcher });
+    }
+
+    let entries;
+    try {
+      entries = await fs.readdir(absoluteDir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      const isDirectory = entry.isDirectory();
+
+      if (isDirectory && skipped.has(entry.name)) continue;
+      if (isDirectory && entry.name === GIT_DIRECTORY && !includeGitDirectory) continue;
+      if (rules && !checkAccess(rules, relativePath, { isDirectory }).allowed) continue;
+      if (gitignore && isGitignored(frames, relativePath, isDirectory)) continue;
+
+      const type = entry.isSymbolicLink() ? "symlink" : isDirectory ? "directory" : "file";
+      yield {
+        relativePath,
+        absolutePath: path.join(absoluteDir, entry.name),
+        name: entry.name,
+        type,
+        depth,
+      };
+
+      if (isDirectory && depth < maxDepth && entry.name !== GIT_DIRECTORY) {
+        yield* walk(relativePath, depth + 1, frames);
+      }
+    }
+  }
+
+  yield* walk(startParts.join("/"), 1, inherited);
+}
@@ -0,0 +1,274 @@
+// ============================================
+// Git Instance Pool & Result Cache
+// ============================================
+// Reuses one simple-git instance per repository
+// directory, caps the git processes each runs
+// at once, and caches query results until the
+// repository's refs change
+// ============================================
+
+import { createHash } from "crypto";
+import simpleGit from "simple-git";
+
+// Git processes run at once per pooled instance; further commands queue
+export const MAX_CONCURRENT_PROCESSES = 4;
+
+// Result cache bounds. Entries also expire, so relative dates ("2 weeks ago") stay current.
+const MAX_CACHE_ENTRIES = 500;
+const MAX_CACHE_BYTES = 64 * 1024 * 1024;
+const CACHE_TTL_MS = 10 * 60 * 1000;
+
+// Pooled instances by directory: { git, isRepo } (isRepo is only remembered once true)
+const pool = new Map();
+
+/**
+ * Get the pooled git instance for a directory, creating it on first use
+ * @param {string} root - Directory (a project root)
+ * @returns {SimpleGit}
+ */
+export function getPooledGit(root) {
+  if (!pool.has(root)) {
+    pool.set(root, {
+      git: simpleGit({ baseDir: root, maxConcurrentProcesses: MAX_CONCURRENT_PROCESSES }),
+      isRepo: false,
+    });
+  }
+  return pool.get(root).git;
+}
+
+/**
+ * Check whether a directory is inside a git work tree
+ *
+ * A positive answer is remembered; a negative one is checked again next time so a
+ * directory that becomes a repository is picked up.
+ *
+ * @param {string} root - Directory (a project root)
+ * @returns {Promise<boolean>}
+ */
+export async function isGitRepository(root) {
+  const git = getPooledGit(root);
+  const entry = pool.get(root);
+  if (!entry.isRepo) {
+    entry.isRepo = await git.checkIsRepo();
+  }
+  return entry.isRepo;
+}
+
+/**
+ * List the pooled instances
+ * @returns {Array<{path: string, repository: boolean}>} By directory
+ */
+export function listPooledRepositories() {
+  return [...pool.entries()].map(([root, entry]) => ({ path: root, repository: entry.isRepo }));
+}
+
+/**
+ * Fingerprint the refs of a repository: HEAD, branches, tags, remotes and stash
+ * @param {SimpleGit} git - Git instance
+ * @returns {Promise<string>} Changes whenever any ref moves
+ */
+async function getRefState(git) {
+  // Exits non-zero without output in a repository without commits
+  const refs = await git.raw(["show-ref", "--head"]).catch(() => "");
+  return createHash("sha1").update(refs).digest("hex");
+}
+
+/**
+ * Least-recently-used cache of tool results, bounded by entry count and size
+ */
+class ResultCache {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxEntries - Entries kept before the least recently used is evicted
+   * @param {number} options.maxBytes - Total (approximate) size kept
+   * @param {number} options.ttlMs - Age after which an entry is no longer served
+   */
+  constructor({ maxEntries, maxBytes, ttlMs }) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.ttlMs = ttlMs;
+    this.entries = new Map();
+    this.bytes = 0;
+    this.counters = { hits: 0, misses: 0, evictions: 0, invalidations: 0 };
+    this.tools = new Map();
+  }
+
+  /**
+   * Count a lookup for the statistics
+   * @param {string} tool - Tool name
+   * @param {boolean} hit - Whether the result came from the cache
+   */
+  record(tool, hit) {
+    const counts = this.tools.get(tool) ?? { hits: 0, misses: 0 };
+    counts[hit ? "hits" : "misses"]++;
+    this.tools.set(tool, counts);
+    this.counters[hit ? "hits" : "misses"]++;
+  }
+
+  /**
+   * Look up an entry and mark it as recently used
+   * @param {string} key - Cache key
+   * @returns {*} The cached value, or undefined
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (Date.now() - entry.created > this.ttlMs) {
+      this.delete(key);
+      return undefined;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Store an entry, evicting the least recently used ones to stay within bounds
+   * @param {string} key - Cache key
+   * @param {*} value - Value
+   * @param {Object} meta
+   * @param {string} meta.root - Repository directory the value was computed from
+   * @param {number} meta.size - Approximate size in bytes
+   */
+  set(key, value, { root, size }) {
+    if (size > this.maxBytes) return;
+    this.delete(key);
+    this.entries.set(key, { value, root, size, created: Date.now() });
+    this.bytes += size;
+
+    for (const oldest of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries && this.bytes <= this.maxBytes) break;
+      this.delete(oldest);
+      this.counters.evictions++;
+    }
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key - Cache key
+   */
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.bytes -= entry.size;
+      this.entries.delete(key);
+    }
+  }
+
+  /**
+   * Remove every entry computed from a repository directory
+   * @param {string} root - Repository directory
+   */
+  invalidate(root) {
+    for (const [key, entry] of this.entries) {
+      if (entry.root === root) {
+        this.delete(key);
+        this.counters.invalidations++;
+      }
+    }
+  }
+
+  /**
+   * Remove all entries (statistics are kept)
+   * @returns {number} Entries removed
+   */
+  clear() {
+    const count = this.entries.size;
+    this.entries.clear();
+    this.bytes = 0;
+    return count;
+  }
+
+  /**
+   * Report size, bounds and hit statistics
+   * @returns {Object}
+   */
+  stats() {
+    const lookups = this.counters.hits + this.counters.misses;
+    return {
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      ttlSeconds: this.ttlMs / 1000,
+      ...this.counters,
+      hitRate: lookups > 0 ? Math.round((this.counters.hits / lookups) * 1000) / 1000 : null,
+      tools: [...this.tools.entries()]
+        .map(([tool, counts]) => ({ tool, ...counts }))
+        .sort((a, b) => a.tool.localeCompare(b.tool)),
+    };
+  }
+}
+
+const resultCache = new ResultCache({ maxEntries: MAX_CACHE_ENTRIES, maxBytes: MAX_CACHE_BYTES, ttlMs: CACHE_TTL_MS });
+
+// Last ref fingerprint seen per repository directory
+const refStates = new Map();
+
+// Lookups still being computed, so identical concurrent queries run once
+const inFlight = new Map();
+
+/**
+ * Serve a git query from the result cache, computing and storing it on a miss
+ *
+ * Keys combine the tool, its arguments and the repository's ref fingerprint; when the
+ * refs change, everything cached for that repository is dropped. Results with isError
+ * set are returned but not stored.
+ *
+ * @param {Object} query
+ * @param {string} query.tool - Tool name (for the statistics)
+ * @param {string} query.root - Repository directory the query runs in
+ * @param {string} query.key - Everything else the result depends on (arguments, access rules)
+ * @param {Function} compute - Produces the tool result on a miss
+ * @returns {Promise<Object>} Tool result
+ */
+export async function withResultCache({ tool, root, key }, compute) {
+  const state = await getRefState(getPooledGit(root));
+  if (refStates.has(root) && refStates.get(root) !== state) {
+    resultCache.invalidate(root);
+  }
+  refStates.set(root, state);
+
+  const cacheKey = JSON.stringify([tool, root, state, key]);
+  const cached = resultCache.get(cacheKey);
+  if (cached) {
+    resultCache.record(tool, true);
+    return cached;
+  }
+  if (inFlight.has(cacheKey)) {
+    resultCache.record(tool, true);
+    return inFlight.get(cacheKey);
+  }
+
+  resultCache.record(tool, false);
+  const pending = (async () => {
+    const result = await compute();
+    if (!result.isError) {
+      resultCache.set(cacheKey, result, { root, size: JSON.stringify(result).length });
+    }
+    return result;
+  })();
+
+  inFlight.set(cacheKey, pending);
+  try {
+    return await pending;
+  } finally {
+    inFlight.delete(cacheKey);
+  }
+}
+
+/**
+ * Report result cache statistics
+ * @returns {Object} Size, bounds, hits, misses, evictions, invalidations and per-tool counts
+ */
+export function getResultCacheStats() {
+  return resultCache.stats();
+}
+
+/**
+ * Drop every cached result
+ * @returns {number} Entries removed
+ */
+export function clearResultCache() {
+  return resultCache.clear();
+}
@@ -0,0 +1,267 @@
+// ============================================
+// Git Diff Parsing
+// ============================================
+// Turns `git diff` output into per-file entries
+// (status, line counts and hunks) with size
+// budgets for tool responses
+// ============================================
+
+// `git diff --name-status` letters and the status reported for them
+const CHANGE_STATUSES = {
+  A: "added",
+  C: "copied",
+  D: "deleted",
+  M: "modified",
+  R: "renamed",
+  T: "typechange",
+  U: "unmerged",
+};
+
+// Make output parseable regardless of the user's git config (quoted paths, custom prefixes)
+const DIFF_OUTPUT_ARGS = ["--no-color", "--no-ext-diff", "--src-prefix=a/", "--dst-prefix=b/"];
+
+/**
+ * List the files a `git diff` would touch, with line counts
+ *
+ * Paths are relative to the project directory (`--relative`), which may be a
+ * subdirectory of the repository.
+ *
+ * @param {SimpleGit} git - Git instance rooted at the project
+ * @param {string[]} diffArgs - What to diff (e.g. [], ["--cached"], ["main"])
+ * @param {string} pathspec - Path to limit the diff to ("." for the whole project)
+ * @returns {Promise<Array<{path: string, oldPath?: string, status: string, additions: number|null, deletions: number|null, binary: boolean}>>}
+ */
+export async function listChangedFiles(git, diffArgs, pathspec) {
+  const base = ["diff", ...diffArgs, "--relative", "-M", "-z"];
+  const [nameStatus, numstat] = await Promise.all([
+    git.raw([...base, "--name-status", "--", pathspec]),
+    git.raw([...base, "--numstat", "--", pathspec]),
+  ]);
+
+  // -z output: "<status>\0<path>\0", renames and copies carry two paths
+  const files = [];
+  const statusFields = nameStatus.split("\0");
+  for (let i = 0; i < statusFields.length - 1;) {
+    const code = statusFields[i++];
+    const entry = { path: statusFields[i++], status: CHANGE_STATUSES[code[0]] ?? "unknown" };
+    if (code[0] === "R" || code[0] === "C") {
+      entry.oldPath = entry.path;
+      entry.path = statusFields[i++];
+    }
+    files.push(entry);
+  }
+
+  // -z numstat: "<added>\t<deleted>\t<path>\0", or "<added>\t<deleted>\t\0<old>\0<new>\0" for renames
+  const counts = new Map();
+  const numstatFields = numstat.split("\0");
+  for (let i = 0; i < numstatFields.length - 1;) {
+    const [additions, deletions, filePath] = numstatFields[i++].split("\t");
+    let key = filePath;
+    if (!key) {
+      // Skip the old path; entries are keyed by their new path
+      i++;
+      key = numstatFields[i++];
+    }
+    counts.set(key, { additions, deletions });
+  }
+
+  return files.map((entry) => {
+    const count = counts.get(entry.path);
+    const binary = count?.additions === "-";
+    return {
+      ...entry,
+      additions: count && !binary ? Number(count.additions) : null,
+      deletions: count && !binary ? Number(count.deletions) : null,
+      binary,
+    };
+  });
+}
+
+/**
+ * Strip the a/ or b/ prefix from a path in a diff header
+ * @param {string} value - Path from a ---/+++ line
+ * @returns {string|null} Null for /dev/null
+ */
+function stripDiffPrefix(value) {
+  const cleaned = value.replace(/\t.*$/, "");
+  if (cleaned === "/dev/null") return null;
+  return cleaned.replace(/^[ab]\//, "");
+}
+
+/**
+ * Parse unified `git diff` output into per-file hunks
+ * @param {string} text - Output of `git diff` (produced with DIFF_OUTPUT_ARGS)
+ * @returns {Map<string, {binary: boolean, hunks: Object[]}>} Keyed by the new path (the old path for deletions)
+ */
+export function parseUnifiedDiff(text) {
+  const files = new Map();
+  let current = null;
+  let hunk = null;
+
+  const finish = () => {
+    if (current) files.set(current.newPath ?? current.oldPath ?? current.headerPath, current);
+  };
+
+  for (const line of text.split("\n")) {
+    if (line.startsWith("diff --git ")) {
+      finish();
+      // "a/<path> b/<path>": both halves are equal unless renamed, which has its own lines
+      const rest = line.slice("diff --git ".length);
+      current = { headerPath: rest.slice((rest.length + 1) / 2 + 2), binary: false, hunks: [] };
+      hunk = null;
+      continue;
+    }
+    if (!current) continue;
+
+    if (hunk) {
+      if (/^[ +\-\\]/.test(line)) {
+        hunk.lines.push(line);
+        continue;
+      }
+      hunk = null;
+    }
+
+    const range = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/.exec(line);
+    if (range) {
+      hunk = {
+        header: line,
+        oldStart: Number(range[1]),
+        oldLines: range[2] === undefined ? 1 : Number(range[2]),
+        newStart: Number(range[3]),
+        newLines: range[4] === undefined ? 1 : Number(range[4]),
+        lines: [],
+      };
+      current.hunks.push(hunk);
+    } else if (line.startsWith("--- ")) {
+      current.oldPath = stripDiffPrefix(line.slice(4));
+    } else if (line.startsWith("+++ ")) {
+      current.newPath = stripDiffPrefix(line.slice(4));
+    } else if (line.startsWith("rename to ") || line.startsWith("copy to ")) {
+      current.newPath = line.slice(line.indexOf(" to ") + 4);
+    } else if (line.startsWith("Binary files ")) {
+      current.binary = true;
+    }
+  }
+  finish();
+
+  return files;
+}
+
+/**
+ * Collect a diff as structured per-file entries within a size budget
+ *
+ * Each file carries its status, old path (renames and copies), line counts and hunks.
+ * A file whose hunks exceed `maxFileBytes` is cut off and marked `truncated`; once
+ * `maxTotalBytes` of hunk text has been collected, further files are listed with
+ * `hunksOmitted: true` instead.
+ *
+ * @param {SimpleGit} git - Git instance rooted at the project
+ * @param {string[]} diffArgs - What to diff (e.g. ["<parent>", "<commit>"], ["main...feature"])
+ * @param {Object} [options]
+ * @param {string} [options.pathspec="."] - Path to limit the diff to
+ * @param {Function} [options.filter] - Keeps a file entry when it returns true
+ * @param {boolean} [options.filesOnly=false] - Skip hunks and return the file list only
+ * @param {number} [options.contextLines=3] - Lines of context around changes
+ * @param {number} options.maxFileBytes - Hunk text budget per file
+ * @param {number} options.maxTotalBytes - Hunk text budget for the whole diff
+ * @returns {Promise<{summary: {files: number, additions: number, deletions: number}, files: Object[], truncated: boolean}>}
+ */
+export async function getStructuredDiff(git, diffArgs, {
+  pathspec = ".",
+  filter = () => true,
+  filesOnly = false,
+  contextLines = 3,
+  maxFileBytes,
+  maxTotalBytes,
+}) {
+  const files = (await listChangedFiles(git, diffArgs, pathspec)).filter(filter);
+  const summary = {
+    files: files.length,
+    additions: files.reduce((sum, entry) => sum + (entry.additions ?? 0), 0),
+    deletions: files.reduce((sum, entry) => sum + (entry.deletions ?? 0), 0),
+  };
+  if (filesOnly || files.length === 0) {
+    return { summary, files, truncated: false };
+  }
+
+  const patch = await git.raw([
+    "-c", "core.quotePath=false",
+    "diff", ...diffArgs, "--relative", "-M", ...DIFF_OUTPUT_ARGS, `-U${contextLines}`, "--", pathspec,
+  ]);
+  const parsed = parseUnifiedDiff(patch);
+
+  let totalBytes = 0;
+  let truncated = false;
+
+  for (const entry of files) {
+    const hunks = parsed.get(entry.path)?.hunks ?? [];
+    if (hunks.length === 0) continue;
+
+    if (totalBytes >= maxTotalBytes) {
+      entry.hunksOmitted = true;
+      truncated = true;
+      continue;
+    }
+
+    // Keep whole lines until the per-file (or remaining total) budget runs out
+    const budget = Math.min(maxFileBytes, maxTotalBytes - totalBytes);
+    let fileBytes = 0;
+    entry.hunks = [];
+    for (const { lines, ...hunk } of hunks) {
+      const kept = [];
+      for (const line of lines) {
+        const size = Buffer.byteLength(line) + 1;
+        if (fileBytes + size > budget) break;
+        fileBytes += size;
+        kept.push(line);
+      }
+      if (kept.length > 0) entry.hunks.push({ ...hunk, lines: kept });
+      if (kept.length < lines.length) {
+        entry.truncated = true;
+        truncated = true;
+        break;
+      }
+    }
+    totalBytes += fileBytes;
+  }
+
+  return { summary, files, truncated };
+}
+
+// Separators for the commit header of `git log -L` records (never appear in names or messages)
+const FIELD_SEP = "\x1f";
+const RECORD_SEP = "\x1e";
+
+// `git log -L` arguments producing the input parseLineHistory expects
+export const LINE_HISTORY_ARGS = [
+  `--format=${RECORD_SEP}%H${FIELD_SEP}%an${FIELD_SEP}%ae${FIELD_SEP}%aI${FIELD_SEP}%s`,
+  ...DIFF_OUTPUT_ARGS,
+];
+
+/**
+ * Parse `git log -L` output produced with LINE_HISTORY_ARGS
+ * @param {string} text - Log output
+ * @returns {Array<{hash: string, author: string, email: string, date: string, message: string, path: string|null, oldPath: string|null, hunks: Object[]}>}
+ *   Newest first; paths are as git reports them (relative to the repository root)
+ */
+export function parseLineHistory(text) {
+  return text
+    .split(RECORD_SEP)
+    .filter((record) => record.trim())
+    .map((record) => {
+      const newline = record.indexOf("\n");
+      const header = newline === -1 ? record : record.slice(0, newline);
+      const [hash, author, email, date, message] = header.split(FIELD_SEP);
+      const [file] = parseUnifiedDiff(newline === -1 ? "" : record.slice(newline + 1)).values();
+      return {
+        hash,
+        author,
+        email,
+        date,
+        message,
+        path: file?.newPath ?? null,
+        oldPath: file?.oldPath ?? null,
+        hunks: file?.hunks ?? [],
+      };
+    });
+}
@@ -4,27 +4,42 @@
 // Utility functions for git operations
 // ============================================
 
-import simpleGit from "simple-git";
+import path from "path";
 import { getProjectPath } from "../config/projectLoader.js";
+import { AccessError } from "./toolResults.js";
+import { getPooledGit, isGitRepository } from "./gitCache.js";
 
 /**
- * Get a git instance for a project and verify it's a git repository
+ * Get the pooled git instance for a project and verify it's a git repository
  * @param {Object} projects - Projects registry
  * @param {string} projectName - The name of the project
  * @returns {Promise<{git: SimpleGit, root: string}>}
- * @throws {Error} If project not found or not a git repository
+ * @throws {AccessError} If project not found or not a git repository
  */
 export async function getGitInstance(projects, projectName) {
   const root = getProjectPath(projects, projectName);
-  const git = simpleGit(root);
-  
-  // Check if it's a git repository
-  const isRepo = await git.checkIsRepo();
-  if (!isRepo) {
-    throw new Error(`Project '${projectName}' at ${root} is not a git repository`);
+  if (!(await isGitRepository(root))) {
+    throw new AccessError(
+      "NOT_A_GIT_REPO",
+      `Project '${projectName}' at ${root} is not a git repository`,
+      { project: projectName }
+    );
   }
 
-  return { git, root };
+  return { git: getPooledGit(root), root };
+}
+
+/**
+ * Turn a project-relative path into a pathspec git takes literally
+ *
+ * Without the `:(literal)` prefix a path such as ':(top)' would be read as pathspec
+ * magic and match files outside a project that is a subdirectory of its repository.
+ *
+ * @param {string} relativePath - Path relative to the project root ("" for the whole project)
+ * @returns {string}
+ */
+export function literalPathspec(relativePath) {
+  return `:(literal)${relativePath || "."}`;
 }
 
 /**
@@ -42,3 +57,233 @@ export function formatCommit(commit) {
     body: commit.body || "",
   };
 }
+
+/**
+ * Check whether a file has uncommitted changes (staged, unstaged or untracked)
+ * @param {string} root - Project root directory
+ * @param {string} relativePath - File path relative to the project root
+ * @returns {Promise<boolean|null>} Null when the project is not a git repository
+ */
+export async function hasUncommittedChanges(root, relativePath) {
+  if (!(await isGitRepository(root))) {
+    return null;
+  }
+
+  const status = await getPooledGit(root).raw(["status", "--porcelain", "--", relativePath]);
+  return status.trim() !== "";
+}
+
+/**
+ * Resolve a revision to its commit hash
+ * @param {SimpleGit} git - Git instance rooted at the project
+ * @param {string} ref - Commit-ish (branch, tag, hash, HEAD~1, ...)
+ * @returns {Promise<string|null>} Full commit hash, or null when the revision does not exist
+ */
+export async function resolveCommit(git, ref) {
+  const commit = await git.raw(["rev-parse", "--verify", "--quiet", `${ref}^{commit}`]).catch(() => "");
+  return commit.trim() || null;
+}
+
+/**
+ * Get the project directory's path inside its repository
+ * @param {SimpleGit} git - Git instance rooted at the project
+ * @returns {Promise<string>} "" at the repository root, otherwise e.g. "packages/api/"
+ */
+export async function getRepositoryPrefix(git) {
+  return (await git.raw(["rev-parse", "--show-prefix"])).trim();
+}
+
+/**
+ * Build a `<ref>:<path>` object spec for a path relative to the project root
+ *
+ * The `./` prefix makes git resolve the path against the project directory, which
+ * may be a subdirectory of the repository.
+ *
+ * @param {string} ref - Commit-ish (branch, tag, hash, HEAD~1, ...)
+ * @param {string} relativePath - Path relative to the project root (posix separators)
+ * @returns {string}
+ */
+export function revisionSpec(ref, relativePath) {
+  return `${ref}:./${relativePath}`;
+}
+
+/**
+ * Get the type of the object at a path in a revision
+ * @param {SimpleGit} git - Git instance rooted at the project
+ * @param {string} ref - Commit-ish
+ * @param {string} relativePath - Path relative to the project root
+ * @returns {Promise<"blob"|"tree"|null>} Null when the path does not exist in the revision
+ */
+export async function getRevisionObjectType(git, ref, relativePath) {
+  try {
+    const type = (await git.catFile(["-t", revisionSpec(ref, relativePath)])).trim();
+    return type === "blob" || type === "tree" ? type : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read a file as it was in a revision
+ * @param {SimpleGit} git - Git instance rooted at the project
+ * @param {string} ref - Commit-ish
+ * @param {string} relativePath - Path relative to the project root
+ * @returns {Promise<Buffer>}
+ */
+export async function readRevisionFile(git, ref, relativePath) {
+  return git.binaryCatFile(["blob", revisionSpec(ref, relativePath)]);
+}
+
+/**
+ * List the files below a directory in a revision
+ * @param {SimpleGit} git - Git instance rooted at the project
+ * @param {string} ref - Commit-ish
+ * @param {string} relativeDir - Directory relative to the project root ("" for the root)
+ * @returns {Promise<Array<{path: string, object: string}>>} Project-relative paths with their blob ids
+ */
+export async function listRevisionFiles(git, ref, relativeDir) {
+  const output = await git.raw(["ls-tree", "-r", "-z", ref, "--", relativeDir || "."]);
+  return output
+    .split("\0")
+    .filter(Boolean)
+    .map((line) => {
+      const [meta, filePath] = line.split("\t");
+      const [, type, object] = meta.split(" ");
+      return { type, object, path: filePath };
+    })
+    .filter((entry) => entry.type === "blob")
+    .map(({ path, object }) => ({ path, object }));
+}
+
+// ls-tree object types (and the symlink mode) and the entry type reported for them
+const TREE_ENTRY_TYPES = { blob: "file", tree: "directory", commit: "submodule" };
+const SYMLINK_MODE = "120000";
+
+/**
+ * List the entries of a directory in a revision, with sizes
+ * @param {SimpleGit} git - Git instance rooted at the project
+ * @param {string} ref - Commit-ish
+ * @param {string} relativeDir - Directory relative to the project root ("" for the root)
+ * @param {Object} [options]
+ * @param {boolean} [options.recursive=false] - Include everything below the directory, subdirectories included
+ * @returns {Promise<Array<{path: string, type: string, size: number|null, object: string}>>} Project-relative paths in tree order
+ */
+export async function listRevisionTree(git, ref, relativeDir, { recursive = false } = {}) {
+  const prefix = relativeDir ? `${relativeDir}/` : "";
+  const args = ["ls-tree", "-z", "-l", ...(recursive ? ["-r", "-t"] : []), ref];
+  const output = await git.raw([...args, "--", prefix || "."]);
+
+  return output
+    .split("\0")
+    .filter(Boolean)
+    .map((line) => {
+      const [meta, filePath] = line.split("\t");
+      const [mode, type, object, size] = meta.split(/\s+/);
+      return {
+        path: filePath,
+        type: mode === SYMLINK_MODE ? "symlink" : TREE_ENTRY_TYPES[type] ?? type,
+        size: size === "-" ? null : Number(size),
+        object,
+      };
+    })
+    // -t also reports the trees leading to the directory ("./", and "../" entries when
+    // the project is a subdirectory of its repository)
+    .filter((entry) => entry.path.startsWith(prefix) && entry.path !== prefix && entry.path !== "./" && !entry.path.startsWith("../"));
+}
+
+/**
+ * List tags, newest first
+ * @param {SimpleGit} git - Git instance rooted at the project
+ * @param {string} [pattern] - Only tags matching this glob (e.g. "api-v*")
+ * @returns {Promise<Array<{name: string, date: string}>>} Tag names with their creation date (tagger date, or commit date for lightweight tags)
+ */
+export async function listTags(git, pattern) {
+  // The last --sort key is the primary one; tags created in the same second fall back to version order
+  const tags = await git.tags([
+    "--sort=-version:refname",
+    "--sort=-creatordate",
+    "--format=%(refname:strip=2)%09%(creatordate:iso-strict)",
+    ...(pattern ? [pattern] : []),
+  ]);
+  return tags.all.map((line) => {
+    const [name, date] = line.split("\t");
+    return { name, date };
+  });
+}
+
+/**
+ * Get the date a revision was made: the creation date of a tag, otherwise the commit date
+ * @param {SimpleGit} git - Git instance rooted at the project
+ * @param {string} ref - Commit-ish
+ * @returns {Promise<string>} Strict ISO 8601 date
+ */
+export async function getRevisionDate(git, ref) {
+  const tagDate = await git.raw(["for-each-ref", "--format=%(creatordate:iso-strict)", `refs/tags/${ref}`]);
+  if (tagDate.trim()) {
+    return tagDate.trim();
+  }
+  return (await git.raw(["log", "-1", "--format=%cI", ref])).trim();
+}
+
+/**
+ * Convert a date the way `git log --since` understands it ("2024-01-01", "2 weeks ago") into a timestamp
+ * @param {SimpleGit} git - Git instance
+ * @param {string} date - Date expression
+ * @returns {Promise<number>} Milliseconds since the epoch
+ */
+export async function parseGitDate(git, date) {
+  const output = await git.raw(["rev-parse", `--since=${date}`]);
+  return Number(output.trim().replace("--max-age=", "")) * 1000;
+}
+
+/**
+ * Predict the result of merging two revisions without touching the working tree or index
+ *
+ * Runs `git merge-tree --write-tree` (git 2.38+), which performs the merge on objects only.
+ *
+ * @param {SimpleGit} git - Git instance rooted at the project
+ * @param {string} base - Revision merged into
+ * @param {string} other - Revision being merged
+ * @returns {Promise<{clean: boolean, conflicts: Array<{path: string, type: string, message: string}>}>}
+ *   Paths are relative to the repository root; a path may appear once per conflict it is part of
+ * @throws {Error} If the revisions cannot be merged or git is too old
+ */
+export async function predictMerge(git, base, other) {
+  const [output, prefix] = await Promise.all([
+    git.raw(["merge-tree", "--write-tree", "-z", base, other]),
+    getRepositoryPrefix(git),
+  ]);
+
+  // -z output: "<tree>\0" then "<mode> <object> <stage>\t<path>\0" per conflicted
+  // stage, an empty field, then "<path count>\0<paths>\0...<type>\0<message>\0" per message.
+  // Stage paths are relative to the working directory, message paths to the repository root.
+  const fields = output.split("\0");
+  const conflicted = new Set();
+  let i = 1;
+  for (; i < fields.length && fields[i] !== ""; i++) {
+    conflicted.add(path.posix.join(prefix, fields[i].slice(fields[i].indexOf("\t") + 1)));
+  }
+
+  const conflicts = [];
+  for (i++; i < fields.length - 1;) {
+    const count = Number(fields[i++]);
+    const paths = fields.slice(i, i + count);
+    i += count;
+    const type = fields[i++];
+    const message = fields[i++].trim();
+    if (!type.startsWith("CONFLICT")) continue;
+
+    // "CONFLICT (modify/delete)" -> "modify/delete"
+    const kind = /^CONFLICT \((.+)\)$/.exec(type)?.[1] ?? type;
+    paths.forEach((conflictPath) => conflicts.push({ path: conflictPath, type: kind, message }));
+  }
+
+  // Conflicted paths git did not explain in a message
+  for (const conflictPath of conflicted) {
+    if (!conflicts.some((conflict) => conflict.path === conflictPath)) {
+      conflicts.push({ path: conflictPath, type: "unknown", message: `Merge conflict in ${conflictPath}` });
+    }
+  }
+
+  return { clean: conflicted.size === 0 && conflicts.length === 0, conflicts };
+}
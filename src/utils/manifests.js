@@ -0,0 +1,348 @@
+// ============================================
+// Package Manifest Parsing
+// ============================================
+// Extracts package names, versions and declared
+// dependencies from package.json, go.mod,
+// requirements.txt and pyproject.toml
+// ============================================
+
+import path from "path";
+
+// Manifest files looked up in every project root, in reporting order
+export const MANIFEST_FILES = ["package.json", "go.mod", "pyproject.toml", "requirements.txt"];
+
+// package.json dependency fields and the type reported for them
+const NPM_DEPENDENCY_FIELDS = {
+  dependencies: "prod",
+  devDependencies: "dev",
+  peerDependencies: "peer",
+  optionalDependencies: "optional",
+};
+
+// npm specifiers that point at a directory on disk
+const NPM_LOCAL_PROTOCOLS = /^(?:file|link|portal):/;
+
+/**
+ * Normalize a package name so the same package compares equal across manifests
+ *
+ * Python names are case-insensitive and treat `-`, `_` and `.` alike (PEP 503).
+ *
+ * @param {string} ecosystem - "npm", "go" or "python"
+ * @param {string} name - Package name
+ * @returns {string}
+ */
+export function normalizePackageName(ecosystem, name) {
+  return ecosystem === "python" ? name.toLowerCase().replace(/[-_.]+/g, "-") : name;
+}
+
+/**
+ * Resolve a local dependency path relative to the manifest's directory
+ * @param {string} projectRoot - Directory holding the manifest
+ * @param {string} localPath - Path from the manifest (may be a file: URL)
+ * @returns {string} Absolute path
+ */
+function resolveLocalPath(projectRoot, localPath) {
+  const cleaned = localPath.replace(/^file:(?:\/\/)?/, "").replace(/^(?:link|portal):/, "");
+  return path.resolve(projectRoot, cleaned);
+}
+
+/**
+ * Check whether a dependency specifier is a filesystem path
+ * @param {string} spec - Specifier
+ * @returns {boolean}
+ */
+function isLocalPath(spec) {
+  return /^(?:\.{1,2}[\\/]|\/|~\/|file:)/.test(spec);
+}
+
+/**
+ * Parse a package.json manifest
+ * @param {string} text - File content
+ * @param {string} projectRoot - Directory holding the manifest
+ * @returns {{packages: Object[], dependencies: Object[]}}
+ */
+function parsePackageJson(text, projectRoot) {
+  const manifest = JSON.parse(text);
+  const packages = manifest.name
+    ? [{ ecosystem: "npm", name: manifest.name, version: manifest.version ?? null }]
+    : [];
+  const dependencies = [];
+
+  for (const [field, type] of Object.entries(NPM_DEPENDENCY_FIELDS)) {
+    for (const [name, spec] of Object.entries(manifest[field] ?? {})) {
+      const specText = String(spec);
+      dependencies.push({
+        ecosystem: "npm",
+        name,
+        spec: specText,
+        type,
+        ...(NPM_LOCAL_PROTOCOLS.test(specText) && { path: resolveLocalPath(projectRoot, specText) }),
+      });
+    }
+  }
+
+  return { packages, dependencies };
+}
+
+/**
+ * Parse a go.mod manifest
+ * @param {string} text - File content
+ * @param {string} projectRoot - Directory holding the manifest
+ * @returns {{packages: Object[], dependencies: Object[]}}
+ */
+function parseGoMod(text, projectRoot) {
+  const packages = [];
+  const dependencies = [];
+  const replacements = new Map();
+  let block = null;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const indirect = /\/\/\s*indirect/.test(rawLine);
+    const line = rawLine.replace(/\/\/.*$/, "").trim();
+    if (!line) continue;
+
+    if (block && line === ")") {
+      block = null;
+      continue;
+    }
+
+    let directive = block;
+    let rest = line;
+    if (!block) {
+      const match = /^(\w+)\s*(\(?)\s*(.*)$/.exec(line);
+      if (!match) continue;
+      [, directive, , rest] = match;
+      if (match[2]) {
+        block = directive;
+        if (!rest) continue;
+      }
+    }
+
+    if (directive === "module") {
+      packages.push({ ecosystem: "go", name: rest.replace(/"/g, ""), version: null });
+    } else if (directive === "require") {
+      const [name, version] = rest.split(/\s+/);
+      if (name && version) {
+        dependencies.push({ ecosystem: "go", name, spec: version, type: indirect ? "indirect" : "prod" });
+      }
+    } else if (directive === "replace") {
+      const match = /^(\S+)(?:\s+\S+)?\s*=>\s*(\S+)/.exec(rest);
+      if (match && isLocalPath(match[2])) {
+        replacements.set(match[1], resolveLocalPath(projectRoot, match[2]));
+      }
+    }
+  }
+
+  // `replace example.com/lib => ../lib` points a requirement at a local checkout
+  for (const dependency of dependencies) {
+    if (replacements.has(dependency.name)) {
+      dependency.path = replacements.get(dependency.name);
+    }
+  }
+
+  return { packages, dependencies };
+}
+
+/**
+ * Parse a PEP 508 requirement string ("requests[socks]>=2.0; python_version>'3'")
+ * @param {string} requirement - Requirement string
+ * @param {string} type - Dependency type
+ * @param {string} projectRoot - Directory holding the manifest
+ * @returns {Object|null} Dependency record
+ */
+function parseRequirement(requirement, type, projectRoot) {
+  const withoutMarker = requirement.split(";")[0].trim();
+  const match = /^([A-Za-z0-9][A-Za-z0-9._-]*)\s*(?:\[[^\]]*\])?\s*(.*)$/.exec(withoutMarker);
+  if (!match) return null;
+
+  const [, name, rest] = match;
+  const directReference = /^@\s*(.+)$/.exec(rest)?.[1];
+  return {
+    ecosystem: "python",
+    name,
+    spec: directReference ?? rest.replace(/\s+/g, ""),
+    type,
+    ...(directReference && isLocalPath(directReference) && { path: resolveLocalPath(projectRoot, directReference) }),
+  };
+}
+
+/**
+ * Parse a requirements.txt file
+ * @param {string} text - File content
+ * @param {string} projectRoot - Directory holding the manifest
+ * @returns {{packages: Object[], dependencies: Object[]}}
+ */
+function parseRequirementsTxt(text, projectRoot) {
+  const dependencies = [];
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/(^|\s)#.*$/, "").trim();
+    if (!line) continue;
+
+    // Editable installs and bare paths refer to local checkouts
+    const editable = /^(?:-e|--editable)\s+(.+)$/.exec(line)?.[1];
+    const target = editable ?? line;
+    if (isLocalPath(target)) {
+      const localPath = resolveLocalPath(projectRoot, target.replace(/#egg=.*$/, ""));
+      const egg = /#egg=([\w.-]+)/.exec(target)?.[1];
+      dependencies.push({ ecosystem: "python", name: egg ?? path.basename(localPath), spec: target, type: "prod", path: localPath });
+      continue;
+    }
+    if (line.startsWith("-")) continue;
+
+    const dependency = parseRequirement(line, "prod", projectRoot);
+    if (dependency) dependencies.push(dependency);
+  }
+
+  return { packages: [], dependencies };
+}
+
+/**
+ * Split the tables of a TOML document into raw `key = value` strings
+ *
+ * Only what manifests need is supported: tables, dotted table names, strings,
+ * (multi-line) arrays and inline tables. Values are returned unparsed.
+ *
+ * @param {string} text - TOML text
+ * @returns {Object<string, Object<string, string>>} Table name -> key -> raw value
+ */
+function splitTomlTables(text) {
+  const tables = { "": {} };
+  let current = tables[""];
+  let pendingKey = null;
+  let pendingValue = "";
+
+  const bracketBalance = (value) => {
+    const stripped = value.replace(/"(?:[^"\\]|\\.)*"|'[^']*'/g, "");
+    return (stripped.match(/[[{]/g) || []).length - (stripped.match(/[\]}]/g) || []).length;
+  };
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/\s+#.*$/, "").trim();
+
+    if (pendingKey) {
+      pendingValue += ` ${line}`;
+      if (bracketBalance(pendingValue) <= 0) {
+        current[pendingKey] = pendingValue.trim();
+        pendingKey = null;
+      }
+      continue;
+    }
+
+    if (!line || line.startsWith("#")) continue;
+
+    const table = /^\[([^[\]]+)\]$/.exec(line)?.[1];
+    if (table) {
+      current = tables[table.trim()] ??= {};
+      continue;
+    }
+    if (line.startsWith("[[")) {
+      current = {};
+      continue;
+    }
+
+    const match = /^("[^"]+"|'[^']+'|[\w.-]+)\s*=\s*(.*)$/.exec(line);
+    if (!match) continue;
+    const key = match[1].replace(/^["']|["']$/g, "");
+    if (bracketBalance(match[2]) > 0) {
+      pendingKey = key;
+      pendingValue = match[2];
+    } else {
+      current[key] = match[2];
+    }
+  }
+
+  return tables;
+}
+
+/**
+ * Read the string items of a raw TOML array or the text of a raw TOML string
+ * @param {string} [raw] - Raw TOML value
+ * @returns {string[]}
+ */
+function tomlStrings(raw) {
+  if (!raw) return [];
+  return [...raw.matchAll(/"((?:[^"\\]|\\.)*)"|'([^']*)'/g)].map((match) => match[1] ?? match[2]);
+}
+
+/**
+ * Parse a pyproject.toml manifest (PEP 621 and Poetry)
+ * @param {string} text - File content
+ * @param {string} projectRoot - Directory holding the manifest
+ * @returns {{packages: Object[], dependencies: Object[]}}
+ */
+function parsePyproject(text, projectRoot) {
+  const tables = splitTomlTables(text);
+  const packages = [];
+  const dependencies = [];
+
+  const pep621 = tables.project;
+  const poetry = tables["tool.poetry"];
+  const meta = pep621?.name ? pep621 : poetry;
+  if (meta?.name) {
+    packages.push({
+      ecosystem: "python",
+      name: tomlStrings(meta.name)[0],
+      version: tomlStrings(meta.version)[0] ?? null,
+    });
+  }
+
+  for (const requirement of tomlStrings(pep621?.dependencies)) {
+    const dependency = parseRequirement(requirement, "prod", projectRoot);
+    if (dependency) dependencies.push(dependency);
+  }
+  for (const raw of Object.values(tables["project.optional-dependencies"] ?? {})) {
+    for (const requirement of tomlStrings(raw)) {
+      const dependency = parseRequirement(requirement, "optional", projectRoot);
+      if (dependency) dependencies.push(dependency);
+    }
+  }
+
+  // Poetry: [tool.poetry.dependencies], [tool.poetry.dev-dependencies], [tool.poetry.group.<name>.dependencies]
+  for (const [tableName, entries] of Object.entries(tables)) {
+    const type = tableName === "tool.poetry.dependencies"
+      ? "prod"
+      : /^tool\.poetry\.(?:dev-dependencies|group\.[\w-]+\.dependencies)$/.test(tableName) ? "dev" : null;
+    if (!type) continue;
+
+    for (const [name, raw] of Object.entries(entries)) {
+      if (name === "python") continue;
+      const inlinePath = /\bpath\s*=\s*["']([^"']+)["']/.exec(raw)?.[1];
+      const version = raw.startsWith("{")
+        ? /\bversion\s*=\s*["']([^"']+)["']/.exec(raw)?.[1] ?? ""
+        : tomlStrings(raw)[0] ?? "";
+      dependencies.push({
+        ecosystem: "python",
+        name,
+        spec: inlinePath ?? version,
+        type,
+        ...(inlinePath && { path: resolveLocalPath(projectRoot, inlinePath) }),
+      });
+    }
+  }
+
+  return { packages, dependencies };
+}
+
+/**
+ * Parse a manifest file
+ * @param {string} fileName - Manifest file name (one of MANIFEST_FILES)
+ * @param {string} text - File content
+ * @param {string} projectRoot - Directory holding the manifest
+ * @returns {{packages: Object[], dependencies: Object[]}} Published packages and declared dependencies
+ * @throws {Error} If the manifest is malformed
+ */
+export function parseManifest(fileName, text, projectRoot) {
+  switch (fileName) {
+    case "package.json":
+      return parsePackageJson(text, projectRoot);
+    case "go.mod":
+      return parseGoMod(text, projectRoot);
+    case "pyproject.toml":
+      return parsePyproject(text, projectRoot);
+    case "requirements.txt":
+      return parseRequirementsTxt(text, projectRoot);
+    default:
+      throw new Error(`Unsupported manifest: ${fileName}`);
+  }
+}
@@ -0,0 +1,364 @@
+// ============================================
+// Module Resolution
+// ============================================
+// Resolves import specifiers to files of the
+// registered projects (package names, exports
+// maps, relative paths, Python modules and Go
+// import paths) and follows re-exports
+// ============================================
+
+import fs from "fs/promises";
+import path from "path";
+import { detectLanguage, outlineSource } from "./codeOutline.js";
+import { readTextFile } from "./fileContent.js";
+
+// Extensions tried, in order, when a JS/TS specifier omits one
+const SCRIPT_EXTENSIONS = [".ts", ".tsx", ".mts", ".cts", ".d.ts", ".js", ".jsx", ".mjs", ".cjs"];
+
+// TypeScript ESM sources import "./x.js" for x.ts
+const COMPILED_EXTENSIONS = { ".js": [".ts", ".tsx"], ".jsx": [".tsx"], ".mjs": [".mts"], ".cjs": [".cts"] };
+
+// Build output directories whose sources usually live under src/
+const BUILD_DIRECTORY = /^(?:dist|build|lib|out)\//;
+
+// Re-export chains longer than this are not followed
+export const MAX_REEXPORT_DEPTH = 8;
+
+// Files larger than this are not parsed while following re-exports
+const MAX_RESOLVED_FILE_SIZE = 1024 * 1024;
+
+/**
+ * Group languages that can import each other
+ * @param {string} language - Outline language
+ * @returns {string}
+ */
+export function languageFamily(language) {
+  return language === "typescript" ? "javascript" : language;
+}
+
+/**
+ * Check whether a path is an existing regular file
+ * @param {string} target - Absolute path
+ * @returns {Promise<boolean>}
+ */
+async function isFile(target) {
+  try {
+    return (await fs.stat(target)).isFile();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Resolve a JS/TS module path the way bundlers do (extensions, index files)
+ * @param {string} base - Absolute path without guaranteed extension
+ * @returns {Promise<string|null>} Absolute file path
+ */
+async function resolveScriptFile(base) {
+  const extension = path.extname(base);
+  const stem = base.slice(0, base.length - extension.length);
+  const candidates = [
+    base,
+    ...(COMPILED_EXTENSIONS[extension] ?? []).map((sourceExtension) => `${stem}${sourceExtension}`),
+    ...SCRIPT_EXTENSIONS.map((candidate) => `${base}${candidate}`),
+    ...SCRIPT_EXTENSIONS.map((candidate) => path.join(base, `index${candidate}`)),
+  ];
+
+  for (const candidate of candidates) {
+    if (await isFile(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Resolve a path inside a package, mapping build output back to sources
+ * @param {string} root - Package root
+ * @param {string} target - Package-relative path (e.g. "./dist/index.js")
+ * @returns {Promise<string|null>}
+ */
+async function resolvePackageFile(root, target) {
+  const relative = path.posix.normalize(target.replace(/^\.\//, ""));
+  const direct = await resolveScriptFile(path.join(root, relative));
+  if (direct && !/\.d\.[cm]?ts$/.test(direct)) return direct;
+
+  if (BUILD_DIRECTORY.test(relative)) {
+    const sourcePath = relative.replace(BUILD_DIRECTORY, "src/").replace(/\.(?:d\.)?[cm]?[jt]sx?$/, "");
+    const fromSource = await resolveScriptFile(path.join(root, sourcePath));
+    if (fromSource) return fromSource;
+  }
+  return direct;
+}
+
+/**
+ * Collect the string targets of a package.json `exports` condition tree
+ * @param {*} value - Exports value
+ * @returns {string[]}
+ */
+function exportLeaves(value) {
+  if (typeof value === "string") return [value];
+  if (Array.isArray(value)) return value.flatMap(exportLeaves);
+  if (value && typeof value === "object") return Object.values(value).flatMap(exportLeaves);
+  return [];
+}
+
+/**
+ * Look up a subpath in a package.json `exports` field
+ * @param {*} exportsField - The `exports` field
+ * @param {string} subpath - "." or "./sub/path"
+ * @returns {string[]} Package-relative targets
+ */
+function matchExports(exportsField, subpath) {
+  const isSubpathMap = exportsField && typeof exportsField === "object" && !Array.isArray(exportsField)
+    && Object.keys(exportsField).some((key) => key.startsWith("."));
+  if (!isSubpathMap) {
+    return subpath === "." ? exportLeaves(exportsField) : [];
+  }
+
+  if (exportsField[subpath] !== undefined) {
+    return exportLeaves(exportsField[subpath]);
+  }
+  for (const [key, value] of Object.entries(exportsField)) {
+    const star = key.indexOf("*");
+    if (star === -1) continue;
+    const prefix = key.slice(0, star);
+    const suffix = key.slice(star + 1);
+    if (subpath.startsWith(prefix) && subpath.endsWith(suffix) && subpath.length >= key.length - 1) {
+      const match = subpath.slice(prefix.length, subpath.length - suffix.length);
+      return exportLeaves(value).map((target) => target.replace(/\*/g, match));
+    }
+  }
+  return [];
+}
+
+/**
+ * Read the module metadata of a project
+ * @param {string} root - Real project root
+ * @returns {Promise<{root: string, npm: Object|null, goModule: string|null}>}
+ */
+async function readProjectInfo(root) {
+  const npm = await fs.readFile(path.join(root, "package.json"), "utf8")
+    .then((text) => JSON.parse(text))
+    .catch(() => null);
+  const goModule = await fs.readFile(path.join(root, "go.mod"), "utf8")
+    .then((text) => /^module\s+"?([^\s"]+)"?/m.exec(text)?.[1] ?? null)
+    .catch(() => null);
+  return { root, npm: npm?.name ? npm : null, goModule };
+}
+
+/**
+ * Split an `a as b` import/export name into its parts
+ * @param {string} name - Name from an outline
+ * @returns {[string, string]} [imported, local]
+ */
+export function splitAlias(name) {
+  const [imported, local] = name.replace(/^type\s+/, "").split(/\s+as\s+/);
+  return [imported, local ?? imported];
+}
+
+/**
+ * Create a resolver for the modules of the registered projects
+ *
+ * Results are cached for the lifetime of the resolver, so create one per request.
+ *
+ * @param {Object} projects - Projects registry
+ * @returns {Object} Resolver with resolveImport, getExposedNames, getOutline and getProjectInfo
+ */
+export function createModuleResolver(projects) {
+  const infoCache = new Map();
+  const importCache = new Map();
+  const outlineCache = new Map();
+  const exposureCache = new Map();
+
+  const getProjectInfo = (name) => {
+    if (!infoCache.has(name)) {
+      infoCache.set(name, fs.realpath(projects[name]).then(readProjectInfo));
+    }
+    return infoCache.get(name);
+  };
+  const allProjectInfos = () => Promise.all(Object.keys(projects).map(getProjectInfo));
+
+  /**
+   * Outline a file, or return null if it cannot be parsed
+   * @param {string} absolutePath - Absolute file path
+   * @returns {Promise<Object|null>}
+   */
+  const getOutline = (absolutePath) => {
+    if (!outlineCache.has(absolutePath)) {
+      outlineCache.set(absolutePath, (async () => {
+        const language = detectLanguage(absolutePath);
+        const stats = await fs.stat(absolutePath).catch(() => null);
+        if (!language || !stats?.isFile() || stats.size > MAX_RESOLVED_FILE_SIZE) return null;
+        const text = await readTextFile(absolutePath);
+        return text === null ? null : outlineSource(text, language);
+      })());
+    }
+    return outlineCache.get(absolutePath);
+  };
+
+  const resolveScriptImport = async (fromFile, specifier) => {
+    if (specifier.startsWith(".")) {
+      return resolveScriptFile(path.resolve(path.dirname(fromFile), specifier));
+    }
+
+    for (const info of await allProjectInfos()) {
+      const name = info.npm?.name;
+      if (!name || (specifier !== name && !specifier.startsWith(`${name}/`))) continue;
+
+      const subpath = specifier === name ? "." : `.${specifier.slice(name.length)}`;
+      const targets = info.npm.exports !== undefined
+        ? matchExports(info.npm.exports, subpath)
+        : subpath === "."
+          ? [info.npm.source, info.npm.module, info.npm.main, "./src/index", "./index"].filter(Boolean)
+          : [subpath, `./src/${subpath.slice(2)}`];
+
+      for (const target of targets) {
+        const resolved = await resolvePackageFile(info.root, target);
+        if (resolved) return resolved;
+      }
+    }
+    return null;
+  };
+
+  const resolvePythonModule = async (base, parts) => {
+    const modulePath = path.join(base, ...parts);
+    for (const candidate of [`${modulePath}.py`, `${modulePath}.pyi`, path.join(modulePath, "__init__.py")]) {
+      if (await isFile(candidate)) return candidate;
+    }
+    return null;
+  };
+
+  const resolvePythonImport = async (fromFile, specifier) => {
+    const dots = /^\.*/.exec(specifier)[0].length;
+    const parts = specifier.slice(dots).split(".").filter(Boolean);
+
+    if (dots > 0) {
+      let base = path.dirname(fromFile);
+      for (let i = 1; i < dots; i++) base = path.dirname(base);
+      return resolvePythonModule(base, parts);
+    }
+
+    for (const info of await allProjectInfos()) {
+      for (const base of [info.root, path.join(info.root, "src")]) {
+        const resolved = await resolvePythonModule(base, parts);
+        if (resolved) return resolved;
+      }
+    }
+    return null;
+  };
+
+  const resolveGoImport = async (specifier) => {
+    for (const info of await allProjectInfos()) {
+      const modulePath = info.goModule;
+      if (!modulePath || (specifier !== modulePath && !specifier.startsWith(`${modulePath}/`))) continue;
+      return path.join(info.root, specifier.slice(modulePath.length));
+    }
+    return null;
+  };
+
+  /**
+   * Resolve an import specifier to a file (a package directory for Go)
+   * @param {string} fromFile - Absolute path of the importing file
+   * @param {string} language - Language of the importing file
+   * @param {string} specifier - Module specifier as written
+   * @returns {Promise<string|null>} Absolute path, or null for modules outside the workspace
+   */
+  const resolveImport = (fromFile, language, specifier) => {
+    const family = languageFamily(language);
+    const relative = specifier.startsWith(".");
+    const key = `${family}\0${relative ? path.dirname(fromFile) : ""}\0${specifier}`;
+
+    if (!importCache.has(key)) {
+      importCache.set(key, family === "python"
+        ? resolvePythonImport(fromFile, specifier)
+        : family === "go"
+          ? resolveGoImport(specifier)
+          : resolveScriptImport(fromFile, specifier));
+    }
+    return importCache.get(key);
+  };
+
+  /**
+   * Work out under which names a module exposes the symbols of a target file
+   * @param {string} modulePath - Absolute path of the imported module (directory for Go)
+   * @param {string} language - Language of the importing file
+   * @param {string} targetPath - Absolute path of the file defining the symbols
+   * @param {Map<string, string>} targetNames - Exported name -> symbol name in the target file
+   * @param {number} [depth=0] - Current re-export depth
+   * @returns {Promise<Map<string, string>>} Exported name -> symbol name
+   */
+  const getExposedNames = async (modulePath, language, targetPath, targetNames, depth = 0) => {
+    if (languageFamily(language) === "go") {
+      return modulePath === path.dirname(targetPath) ? targetNames : new Map();
+    }
+    if (modulePath === targetPath) return targetNames;
+    if (depth > MAX_REEXPORT_DEPTH) return new Map();
+
+    if (!exposureCache.has(modulePath)) {
+      // Register before resolving so import cycles end with an empty result
+      const pending = { result: new Map() };
+      exposureCache.set(modulePath, pending);
+      pending.result = await collectReexports(modulePath, language, targetPath, targetNames, depth);
+    }
+    return exposureCache.get(modulePath).result;
+  };
+
+  const collectReexports = async (modulePath, language, targetPath, targetNames, depth) => {
+    const outline = await getOutline(modulePath);
+    const exposed = new Map();
+    if (!outline) return exposed;
+
+    const follow = async (specifier) => {
+      const resolved = await resolveImport(modulePath, language, specifier);
+      return resolved ? getExposedNames(resolved, language, targetPath, targetNames, depth + 1) : new Map();
+    };
+
+    if (outline.language === "python") {
+      // Python modules re-export everything they import
+      for (const record of outline.imports) {
+        if (!record.named && record.namespace !== "*") continue;
+        const inner = await follow(record.source);
+        if (record.namespace === "*") {
+          inner.forEach((symbol, name) => exposed.set(name, symbol));
+        }
+        for (const [imported, local] of (record.named ?? []).map(splitAlias)) {
+          if (inner.has(imported)) exposed.set(local, inner.get(imported));
+        }
+      }
+      return exposed;
+    }
+
+    for (const entry of outline.exports) {
+      if (entry.source) {
+        const inner = await follow(entry.source);
+        for (const name of entry.names) {
+          if (name === "*") {
+            inner.forEach((symbol, exportedName) => {
+              if (exportedName !== "default") exposed.set(exportedName, symbol);
+            });
+          } else if (!name.startsWith("*")) {
+            const [imported, exportedName] = splitAlias(name);
+            if (inner.has(imported)) exposed.set(exportedName, inner.get(imported));
+          }
+        }
+        continue;
+      }
+
+      // `import { a } from "./x"; export { a }`
+      for (const [local, exportedName] of entry.names.map(splitAlias)) {
+        const record = outline.imports.find((candidate) =>
+          candidate.default === local
+          || (candidate.named ?? []).some((name) => splitAlias(name)[1] === local)
+        );
+        if (!record) continue;
+        const imported = record.default === local
+          ? "default"
+          : splitAlias(record.named.find((name) => splitAlias(name)[1] === local))[0];
+        const inner = await follow(record.source);
+        if (inner.has(imported)) exposed.set(exportedName, inner.get(imported));
+      }
+    }
+    return exposed;
+  };
+
+  return { resolveImport, getExposedNames, getOutline, getProjectInfo };
+}
@@ -0,0 +1,231 @@
+// ============================================
+// Path Access Guard
+// ============================================
+// Resolves file paths inside a project and
+// enforces the project sandbox boundary plus
+// per-project include/exclude/hidden rules
+// ============================================
+
+import fs from "fs/promises";
+import path from "path";
+import { Minimatch } from "minimatch";
+import { getProjectPath } from "../config/projectLoader.js";
+import { AccessError } from "./toolResults.js";
+
+// Compiled rules are cached per settings entry so recursive walks stay cheap
+const compiledRulesCache = new WeakMap();
+
+const OPEN_RULES = { include: [], exclude: [], hidden: false };
+
+/**
+ * Compile a glob pattern, treating a trailing slash as "everything below"
+ * @param {string} pattern - Glob pattern relative to the project root
+ * @returns {Minimatch}
+ */
+function compilePattern(pattern) {
+  const normalized = pattern.replace(/\\/g, "/").replace(/^\.\//, "");
+  const expanded = normalized.endsWith("/") ? `${normalized}**` : normalized;
+  return new Minimatch(expanded, { dot: true });
+}
+
+/**
+ * Get the compiled access rules for a project
+ * @param {Object} settings - Project settings registry
+ * @param {string} projectName - Project name
+ * @returns {{include: Minimatch[], exclude: Minimatch[], hidden: boolean}}
+ */
+export function getAccessRules(settings, projectName) {
+  const projectSettings = settings?.[projectName];
+  if (!projectSettings) {
+    return OPEN_RULES;
+  }
+
+  let rules = compiledRulesCache.get(projectSettings);
+  if (!rules) {
+    rules = {
+      include: (projectSettings.include || []).map(compilePattern),
+      exclude: (projectSettings.exclude || []).map(compilePattern),
+      hidden: projectSettings.hidden === true,
+    };
+    compiledRulesCache.set(projectSettings, rules);
+  }
+
+  return rules;
+}
+
+/**
+ * Check whether a path or any of its ancestor directories matches a pattern
+ * @param {Minimatch[]} patterns - Compiled patterns
+ * @param {string[]} segments - Path segments
+ * @returns {boolean}
+ */
+function matchesSelfOrAncestor(patterns, segments) {
+  for (let i = 1; i <= segments.length; i++) {
+    const candidate = segments.slice(0, i).join("/");
+    if (patterns.some((pattern) => pattern.match(candidate))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Check a project-relative path against access rules
+ * @param {Object} rules - Compiled rules from getAccessRules
+ * @param {string} relativePath - Path relative to the project root
+ * @param {Object} [options]
+ * @param {boolean} [options.isDirectory=false] - Whether the path is a directory
+ * @returns {{allowed: boolean, code?: string, reason?: string}}
+ */
+export function checkAccess(rules, relativePath, { isDirectory = false } = {}) {
+  const segments = relativePath.split(/[\\/]/).filter((s) => s && s !== ".");
+
+  // The project root itself is always reachable
+  if (segments.length === 0) {
+    return { allowed: true };
+  }
+
+  if (rules.hidden && segments.some((s) => s.startsWith("."))) {
+    return { allowed: false, code: "PATH_HIDDEN", reason: "hidden files are not exposed for this project" };
+  }
+
+  if (matchesSelfOrAncestor(rules.exclude, segments)) {
+    return { allowed: false, code: "PATH_EXCLUDED", reason: "path matches an exclude rule" };
+  }
+
+  if (rules.include.length > 0) {
+    const included = matchesSelfOrAncestor(rules.include, segments)
+      // A directory stays visible while it may still contain included files
+      || (isDirectory && rules.include.some((pattern) => pattern.match(segments.join("/"), true)));
+
+    if (!included) {
+      return { allowed: false, code: "PATH_EXCLUDED", reason: "path does not match any include rule" };
+    }
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Check whether a project-relative path points into a `.git` directory at the project root
+ * @param {string} relativePath - Path relative to the project root
+ * @returns {boolean}
+ */
+export function isGitMetadataPath(relativePath) {
+  const [first] = relativePath.split(/[\\/]/).filter((s) => s && s !== ".");
+  // Case-insensitive file systems resolve .GIT to the same directory
+  return first?.toLowerCase() === ".git";
+}
+
+/**
+ * Check whether an absolute path lies inside a root directory
+ * @param {string} root - Root directory
+ * @param {string} target - Absolute path
+ * @returns {boolean}
+ */
+export function isInsideRoot(root, target) {
+  const relative = path.relative(root, target);
+  return relative === "" || (relative.split(path.sep)[0] !== ".." && !path.isAbsolute(relative));
+}
+
+/**
+ * Resolve the real path of a target, following symlinks of the deepest existing ancestor
+ * @param {string} target - Absolute path
+ * @returns {Promise<{realPath: string, exists: boolean}>}
+ */
+async function resolveRealPath(target) {
+  try {
+    return { realPath: await fs.realpath(target), exists: true };
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw error;
+    }
+    const parent = path.dirname(target);
+    if (parent === target) {
+      throw error;
+    }
+    const { realPath } = await resolveRealPath(parent);
+    return { realPath: path.join(realPath, path.basename(target)), exists: false };
+  }
+}
+
+/**
+ * Resolve a project-relative path and verify it is accessible
+ * @param {Object} projects - Projects registry
+ * @param {Object} settings - Project settings registry
+ * @param {string} projectName - Project name
+ * @param {string} relativePath - Path relative to the project root
+ * @param {Object} [options]
+ * @param {boolean} [options.mustExist=true] - Reject paths that do not exist
+ * @param {boolean} [options.allowGitMetadata=true] - Allow paths inside the project's `.git` directory
+ * @returns {Promise<{root: string, absolutePath: string, relativePath: string, stats: fs.Stats|null}>}
+ * @throws {AccessError} If the path escapes the project or is denied by its rules
+ */
+export async function resolveProjectFile(projects, settings, projectName, relativePath = "", { mustExist = true, allowGitMetadata = true } = {}) {
+  const root = getProjectPath(projects, projectName);
+  const details = { project: projectName, path: relativePath };
+  const lexicalPath = path.resolve(root, relativePath);
+
+  if (!isInsideRoot(root, lexicalPath)) {
+    throw new AccessError(
+      "PATH_OUTSIDE_PROJECT",
+      `Path '${relativePath}' is outside project '${projectName}'`,
+      details
+    );
+  }
+
+  const realRoot = await fs.realpath(root);
+  const { realPath, exists } = await resolveRealPath(lexicalPath);
+
+  if (!isInsideRoot(realRoot, realPath)) {
+    throw new AccessError(
+      "PATH_OUTSIDE_PROJECT",
+      `Path '${relativePath}' resolves outside project '${projectName}'`,
+      details
+    );
+  }
+
+  if (!exists && mustExist) {
+    throw new AccessError(
+      "PATH_NOT_FOUND",
+      `Path '${relativePath}' not found in project '${projectName}'`,
+      details
+    );
+  }
+
+  const stats = exists ? await fs.stat(realPath) : null;
+  const isDirectory = Boolean(stats?.isDirectory());
+  const rules = getAccessRules(settings, projectName);
+
+  // Check both the requested path and its symlink target so links cannot bypass rules
+  const candidates = new Set([
+    path.relative(root, lexicalPath),
+    path.relative(realRoot, realPath),
+  ]);
+  for (const candidate of candidates) {
+    // Writing hooks or config there would run code on the next git command
+    if (!allowGitMetadata && isGitMetadataPath(candidate)) {
+      throw new AccessError(
+        "PATH_GIT_METADATA",
+        `Access to '${relativePath}' in project '${projectName}' is denied: files inside .git are not exposed`,
+        details
+      );
+    }
+
+    const access = checkAccess(rules, candidate, { isDirectory });
+    if (!access.allowed) {
+      throw new AccessError(
+        access.code,
+        `Access to '${relativePath}' in project '${projectName}' is denied: ${access.reason}`,
+        details
+      );
+    }
+  }
+
+  return {
+    root,
+    absolutePath: realPath,
+    relativePath: path.relative(root, lexicalPath).split(path.sep).join("/"),
+    stats,
+  };
+}
@@ -0,0 +1,210 @@
+// ============================================
+// Repository Statistics
+// ============================================
+// Aggregates `git log --numstat` output into
+// contributor, activity, churn, hotspot and
+// ownership reports
+// ============================================
+
+// Field and record separators in the log format (never appear in names or paths)
+const FIELD_SEP = "\x1f";
+const RECORD_SEP = "\x1e";
+
+// `git log` arguments producing the input parseNumstatLog expects
+export const NUMSTAT_LOG_ARGS = [
+  `--format=${RECORD_SEP}%H${FIELD_SEP}%aN${FIELD_SEP}%aE${FIELD_SEP}%aI`,
+  "--numstat",
+  "--no-renames",
+];
+
+// Files need at least this many commits before their ownership is judged
+const OWNERSHIP_MIN_COMMITS = 3;
+
+/**
+ * Parse `git log` output produced with NUMSTAT_LOG_ARGS
+ * @param {string} text - Log output
+ * @returns {Array<{hash: string, author: string, email: string, date: string, files: Array<{path: string, additions: number, deletions: number, binary: boolean}>}>}
+ */
+export function parseNumstatLog(text) {
+  return text
+    .split(RECORD_SEP)
+    .filter((record) => record.trim())
+    .map((record) => {
+      const [header, ...lines] = record.split("\n");
+      const [hash, author, email, date] = header.split(FIELD_SEP);
+      const files = lines
+        .filter((line) => line.includes("\t"))
+        .map((line) => {
+          const [additions, deletions, ...rest] = line.split("\t");
+          const binary = additions === "-";
+          return {
+            path: rest.join("\t"),
+            additions: binary ? 0 : Number(additions),
+            deletions: binary ? 0 : Number(deletions),
+            binary,
+          };
+        });
+      return { hash, author, email, date, files };
+    });
+}
+
+/**
+ * Get the bucket a commit date falls into
+ *
+ * Uses the calendar date in the author's own timezone; weeks start on Monday.
+ *
+ * @param {string} isoDate - Strict ISO 8601 author date
+ * @param {"day"|"week"|"month"} period - Bucket size
+ * @returns {string} YYYY-MM-DD (day, week start) or YYYY-MM (month)
+ */
+function periodKey(isoDate, period) {
+  const day = isoDate.slice(0, 10);
+  if (period === "day") return day;
+  if (period === "month") return day.slice(0, 7);
+
+  const [year, month, date] = day.split("-").map(Number);
+  const start = new Date(Date.UTC(year, month - 1, date));
+  start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  return start.toISOString().slice(0, 10);
+}
+
+/**
+ * Aggregate parsed commits into repository statistics
+ * @param {Object[]} commits - Result of parseNumstatLog (newest first)
+ * @param {Object} options
+ * @param {"day"|"week"|"month"} options.period - Activity bucket size
+ * @param {number} options.directoryDepth - Path segments that make up a directory in the churn report
+ * @param {number} options.top - Entries kept in each ranked list
+ * @param {number} options.ownershipThreshold - Share of changed lines (0-1) that makes one author the owner
+ * @returns {Object} { summary, contributors, activity, churn: { files, directories }, hotspots, ownership }
+ */
+export function computeRepositoryStats(commits, { period, directoryDepth, top, ownershipThreshold }) {
+  const contributors = new Map();
+  const activity = new Map();
+  const files = new Map();
+  const directories = new Map();
+  const totals = { additions: 0, deletions: 0 };
+
+  for (const commit of commits) {
+    const key = commit.email.toLowerCase();
+    if (!contributors.has(key)) {
+      contributors.set(key, {
+        name: commit.author,
+        email: commit.email,
+        commits: 0,
+        additions: 0,
+        deletions: 0,
+        files: new Set(),
+        firstCommit: commit.date,
+        lastCommit: commit.date,
+      });
+    }
+    const contributor = contributors.get(key);
+    contributor.commits++;
+    contributor.firstCommit = commit.date;
+
+    const bucketKey = periodKey(commit.date, period);
+    if (!activity.has(bucketKey)) {
+      activity.set(bucketKey, { period: bucketKey, commits: 0, additions: 0, deletions: 0, authors: new Set() });
+    }
+    const bucket = activity.get(bucketKey);
+    bucket.commits++;
+    bucket.authors.add(key);
+
+    const touchedDirectories = new Set();
+    for (const change of commit.files) {
+      const lines = change.additions + change.deletions;
+      totals.additions += change.additions;
+      totals.deletions += change.deletions;
+      contributor.additions += change.additions;
+      contributor.deletions += change.deletions;
+      contributor.files.add(change.path);
+      bucket.additions += change.additions;
+      bucket.deletions += change.deletions;
+
+      if (!files.has(change.path)) {
+        files.set(change.path, { path: change.path, commits: 0, additions: 0, deletions: 0, authors: new Map() });
+      }
+      const file = files.get(change.path);
+      file.commits++;
+      file.additions += change.additions;
+      file.deletions += change.deletions;
+      const authorStats = file.authors.get(key) ?? { name: commit.author, commits: 0, lines: 0 };
+      authorStats.commits++;
+      authorStats.lines += lines;
+      file.authors.set(key, authorStats);
+
+      const segments = change.path.split("/").slice(0, -1);
+      const directory = segments.slice(0, directoryDepth).join("/") || ".";
+      if (!directories.has(directory)) {
+        directories.set(directory, { path: directory, commits: 0, additions: 0, deletions: 0, files: new Set() });
+      }
+      const entry = directories.get(directory);
+      entry.additions += change.additions;
+      entry.deletions += change.deletions;
+      entry.files.add(change.path);
+      touchedDirectories.add(directory);
+    }
+    touchedDirectories.forEach((directory) => directories.get(directory).commits++);
+  }
+
+  const byChurn = (a, b) => (b.additions + b.deletions) - (a.additions + a.deletions) || b.commits - a.commits;
+  const fileList = [...files.values()];
+
+  // One author wrote most of the changed lines of a file that keeps changing
+  const ownership = fileList
+    .filter((file) => file.commits >= OWNERSHIP_MIN_COMMITS)
+    .map((file) => {
+      const totalLines = file.additions + file.deletions;
+      const [owner] = [...file.authors.values()].sort((a, b) => b.lines - a.lines || b.commits - a.commits);
+      const share = totalLines > 0 ? owner.lines / totalLines : owner.commits / file.commits;
+      return { path: file.path, owner: owner.name, share: Math.round(share * 100) / 100, commits: file.commits, authors: file.authors.size };
+    })
+    .filter((file) => file.share >= ownershipThreshold)
+    .sort((a, b) => b.commits - a.commits || b.share - a.share)
+    .slice(0, top);
+
+  const fileSummary = ({ path, commits: count, additions, deletions, authors }) => ({
+    path,
+    commits: count,
+    additions,
+    deletions,
+    churn: additions + deletions,
+    authors: authors.size,
+  });
+
+  return {
+    summary: {
+      commits: commits.length,
+      authors: contributors.size,
+      files: files.size,
+      additions: totals.additions,
+      deletions: totals.deletions,
+      firstCommit: commits[commits.length - 1]?.date ?? null,
+      lastCommit: commits[0]?.date ?? null,
+    },
+    contributors: [...contributors.values()]
+      .sort((a, b) => b.commits - a.commits || byChurn(a, b))
+      .slice(0, top)
+      .map(({ files: touched, ...contributor }) => ({ ...contributor, files: touched.size })),
+    activity: [...activity.values()]
+      .sort((a, b) => a.period.localeCompare(b.period))
+      .map(({ authors, ...bucket }) => ({ ...bucket, authors: authors.size })),
+    churn: {
+      files: [...fileList].sort(byChurn).slice(0, top).map(fileSummary),
+      directories: [...directories.values()]
+        .sort(byChurn)
+        .slice(0, top)
+        .map(({ files: touched, ...directory }) => ({
+          ...directory,
+          churn: directory.additions + directory.deletions,
+          files: touched.size,
+        })),
+    },
+    hotspots: [...fileList]
+      .sort((a, b) => b.commits - a.commits || byChurn(a, b))
+      .slice(0, top)
+      .map(fileSummary),
+    ownership,
+  };
+}
@@ -0,0 +1,95 @@
+// ============================================
+// Tool Results
+// ============================================
+// Builds MCP tool results: structured success
+// payloads and error results carrying a
+// machine-readable error code
+// ============================================
+
+import { GitError } from "simple-git";
+
+/**
+ * Error carrying a machine-readable code, returned to the client as a tool error result
+ */
+export class AccessError extends Error {
+  /**
+   * @param {string} code - Machine-readable error code (e.g. PATH_OUTSIDE_PROJECT)
+   * @param {string} message - Human-readable description
+   * @param {Object} [details] - Extra context (project, path, ...)
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "AccessError";
+    this.code = code;
+    this.details = details;
+  }
+
+  /**
+   * Describe the error as a plain object
+   * @returns {Object} Code, message and details
+   */
+  toObject() {
+    return {
+      code: this.code,
+      message: this.message,
+      ...this.details,
+    };
+  }
+
+  /**
+   * Convert the error into an MCP tool error result
+   *
+   * The error travels as JSON text only: clients check any structuredContent against
+   * the tool's output schema, error results included.
+   *
+   * @returns {Object} Tool result with isError set
+   */
+  toToolResult() {
+    return {
+      isError: true,
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({ error: this.toObject() }, null, 2),
+        },
+      ],
+    };
+  }
+}
+
+/**
+ * Build a successful tool result from a structured payload
+ *
+ * The payload becomes the result's structuredContent (checked against the tool's
+ * outputSchema). Clients without structured output read the text block, which is
+ * the payload as JSON unless the tool renders its own text.
+ *
+ * @param {Object} data - Structured payload
+ * @param {string|Object[]} [content] - Text or content blocks shown instead of the JSON
+ * @returns {Object} Tool result
+ */
+export function jsonResult(data, content = JSON.stringify(data, null, 2)) {
+  return {
+    content: typeof content === "string" ? [{ type: "text", text: content }] : content,
+    structuredContent: data,
+  };
+}
+
+/**
+ * Convert an error thrown while running a tool into a tool error result
+ *
+ * Coded errors keep their code; failed git commands become GIT_ERROR and anything
+ * else INTERNAL_ERROR.
+ *
+ * @param {Error} error - Error thrown by the tool
+ * @param {string} action - What the tool was doing (e.g. "get commit history")
+ * @returns {Object} Tool result with isError set
+ */
+export function errorResult(error, action) {
+  if (error instanceof AccessError) {
+    return error.toToolResult();
+  }
+
+  const code = error instanceof GitError ? "GIT_ERROR" : "INTERNAL_ERROR";
+  return new AccessError(code, `Failed to ${action}: ${error.message}`).toToolResult();
+}